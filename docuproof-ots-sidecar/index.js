@@ -2,7 +2,7 @@ const express = require('express');
 const morgan = require('morgan');
 const OpenTimestamps = require('opentimestamps');
 
-const { DetachedTimestampFile, Ops } = OpenTimestamps;
+const { DetachedTimestampFile, Ops, Notary } = OpenTimestamps;
 
 const app = express();
 app.use(express.json({ limit: '1mb' }));
@@ -18,6 +18,76 @@ function error(res, status, msg, detail) {
   return res.status(status).json(body);
 }
 
+function toHex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function sha256(bytes) {
+  return new Ops.OpSHA256().call(Array.from(bytes));
+}
+
+// Walk the timestamp tree and collect every attestation together with the
+// op path from the document digest and the calendar (nearest pending
+// attestation above it) that supplied the branch.
+function collectAttestations(ts, path = [], calendar = null, out = []) {
+  const pending = ts.attestations.find((a) => a instanceof Notary.PendingAttestation);
+  const from = pending ? pending.uri : calendar;
+
+  for (const attestation of ts.attestations) {
+    out.push({ attestation, node: ts, path, calendar: from });
+  }
+  for (const [op, sub] of ts.ops) {
+    const step = { op: op._TAG_NAME(), input: ts.msg };
+    if (op.arg) step.arg = toHex(op.arg);
+    collectAttestations(sub, path.concat([step]), from, out);
+  }
+  return out;
+}
+
+function hasBitcoinAttestation(ts) {
+  return ts.attestations.some((a) => a instanceof Notary.BitcoinBlockHeaderAttestation) ||
+    [...ts.ops.values()].some(hasBitcoinAttestation);
+}
+
+// A block merkle root path ends in [sibling, sha256, sha256] levels preceded by
+// the double-SHA256 of the transaction itself; recover that txid.
+function txidFromPath(path) {
+  const isSha = (s) => s && s.op === 'sha256';
+  const isSibling = (s) => s && (s.op === 'append' || s.op === 'prepend') && s.arg.length === 64;
+
+  let end = path.length;
+  while (end >= 3 && isSibling(path[end - 3]) && isSha(path[end - 2]) && isSha(path[end - 1])) {
+    end -= 3;
+  }
+  if (end < 2 || !isSha(path[end - 2]) || !isSha(path[end - 1])) return null;
+
+  const tx = path[end - 2].input;
+  if (!tx || tx.length < 60) return null;
+  return toHex(sha256(sha256(tx)).reverse());
+}
+
+function describeAttestations(timestamp) {
+  const bitcoin = [];
+  const pending = [];
+
+  for (const { attestation, node, path, calendar } of collectAttestations(timestamp)) {
+    if (attestation instanceof Notary.BitcoinBlockHeaderAttestation) {
+      bitcoin.push({
+        height: attestation.height,
+        txid: txidFromPath(path),
+        merkle_root: toHex(Array.from(node.msg).reverse()),
+        calendar,
+        path: path.map(({ op, arg }) => (arg ? { op, arg } : { op })),
+      });
+    } else if (attestation instanceof Notary.PendingAttestation) {
+      pending.push({ uri: attestation.uri, upgraded: hasBitcoinAttestation(node) });
+    }
+  }
+
+  bitcoin.sort((a, b) => a.height - b.height);
+  return { bitcoin, pending };
+}
+
 // Health check
 app.get('/', (req, res) => {
   res.json({ ok: true, service: 'docuProof OTS sidecar' });
@@ -90,44 +160,35 @@ app.post('/upgrade', async (req, res) => {
     const upgradedBytes = detached.serializeToBytes();
     const upgradedB64 = Buffer.from(upgradedBytes).toString('base64');
 
-    // Human-readable info (contains "# transaction id ..." lines)
-    const infoText = OpenTimestamps.info(detached) || '';
-
-    // --- KEY FIX: robust txid extraction ---
-    //
-    // OpenTimestamps JS prints lines like:
-    //   "# transaction id 3cd112ba6b40..."
-    //
-    // Older CLIs sometimes used:
-    //   "Bitcoin transaction id <txid>"
-    //
-    // We match both.
-    let txid = null;
-    let state = 'OTS_RECEIPT';
-
-    if (typeof infoText === 'string') {
-      const txMatch = infoText.match(
-        /(?:#\s*transaction id|Bitcoin transaction id)\s+([0-9a-fA-F]{64})/
-      );
-      if (txMatch) {
-        txid = txMatch[1].toLowerCase();
-        state = 'ANCHORED';
-      } else if (!changed) {
-        // No changes from upgrade() and still no txid => still pending
-        state = 'PENDING';
-      }
+    // Read attestations straight off the upgraded tree (no info() text parsing).
+    const { bitcoin, pending } = describeAttestations(detached.timestamp);
+    const waiting = pending.filter((p) => !p.upgraded).map((p) => p.uri);
+
+    let state;
+    if (bitcoin.length && waiting.length) {
+      // Anchored via at least one calendar; others have not caught up yet.
+      state = 'PARTIALLY_UPGRADED';
+    } else if (bitcoin.length) {
+      state = 'ANCHORED';
+    } else if (changed) {
+      state = 'OTS_RECEIPT';
+    } else {
+      state = 'PENDING';
     }
 
+    const first = bitcoin[0] || null;
     const response = {
       ok: true,
       id,
       state,
       receipt_b64: upgradedB64,
-      info: { raw_info: infoText },
+      attestations: bitcoin,
+      pending_calendars: waiting,
     };
 
-    if (txid) {
-      response.txid = txid;
+    if (first) {
+      if (first.txid) response.txid = first.txid;
+      response.block_height = first.height;
     }
 
     return res.json(response);
@@ -57,10 +57,11 @@ def upgrade():
 
     txid = extract_txid(ts)
 
+    # Confirmations are not known here; docuProof derives them from the
+    # attested block height against its header provider (_headers.js).
     return jsonify({
         "ok": True,
         "id": proof_id,
         "txid": txid,
-        "confirmations": 0,
         "receipt_b64": base64.b64encode(ts.serialize()).decode()
     })
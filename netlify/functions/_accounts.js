@@ -0,0 +1,276 @@
+// netlify/functions/_accounts.js
+// Subscriber accounts: the Stripe subscription behind an email and the
+// monthly proof allowance it grants.
+//
+//   stripe_webhook  customer.subscription.*, invoice.paid  → recordSubscription / recordInvoice
+//   subscriber_proof                                       → consumeProof (per proof id)
+//   _notify notifyQuota()                                  → claimQuotaWarning
+//
+// Allowances run in monthly windows counted from the start of the current
+// billing period, so an annual plan gets the same monthly allowance as the
+// monthly one. A proof id is counted once however often it is retried.
+
+const { normalizeEmail, getAccount, updateAccount } = require("./_db");
+
+const PLANS = {
+  starter: { label: "Starter", monthlyProofs: Number(process.env.STARTER_MONTHLY_PROOFS) || 30 },
+  pro: { label: "Pro", monthlyProofs: Number(process.env.PRO_MONTHLY_PROOFS) || 150 },
+};
+
+// Share of the allowance after which the subscriber is warned (once per window)
+const QUOTA_WARNING_RATIO = 0.8;
+
+// Stripe subscription statuses that grant the allowance
+const ACTIVE_STATUSES = new Set(["active", "trialing"]);
+
+// Price ids from the same env vars the checkout functions sell
+const PRICE_PLANS = [
+  [process.env.STRIPE_STARTER_MONTHLY_PRICE_ID, "starter", "month"],
+  [process.env.STRIPE_STARTER_ANNUAL_PRICE_ID, "starter", "year"],
+  [process.env.STRIPE_PRO_MONTHLY_PRICE_ID, "pro", "month"],
+  [process.env.STRIPE_PRO_ANNUAL_PRICE_ID, "pro", "year"],
+].filter(([priceId]) => priceId);
+
+function toIso(unixSeconds) {
+  return typeof unixSeconds === "number" ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+/**
+ * { plan, interval, priceId } for a Stripe subscription: by price id first,
+ * then by a "starter_monthly" / "pro-annual" style metadata.plan.
+ * plan is null when neither matches.
+ */
+function planOf(subscription) {
+  const price = subscription?.items?.data?.[0]?.price || null;
+  const priceId = price?.id || null;
+  const hit = PRICE_PLANS.find(([id]) => id === priceId);
+  if (hit) return { plan: hit[1], interval: hit[2], priceId };
+
+  const m = String(subscription?.metadata?.plan || "").toLowerCase().match(/^(starter|pro)[-_](monthly|annual)$/);
+  return {
+    plan: m ? m[1] : null,
+    interval: m ? (m[2] === "annual" ? "year" : "month") : price?.recurring?.interval || null,
+    priceId,
+  };
+}
+
+// `date` moved by whole months, day clamped to the target month's length
+function addMonths(date, months) {
+  const d = new Date(date);
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  d.setUTCFullYear(y, m, Math.min(d.getUTCDate(), lastDay));
+  return d;
+}
+
+/**
+ * Monthly allowance window containing `now`, counted from `anchorIso`
+ * (the billing period start): { start, end } as ISO strings.
+ */
+function usageWindow(anchorIso, now = new Date()) {
+  const anchor = new Date(anchorIso || now);
+  let k = Math.max(0,
+    (now.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + now.getUTCMonth() - anchor.getUTCMonth());
+  while (k > 0 && addMonths(anchor, k) > now) k--;
+  while (addMonths(anchor, k + 1) <= now) k++;
+  return { start: addMonths(anchor, k).toISOString(), end: addMonths(anchor, k + 1).toISOString() };
+}
+
+/**
+ * Allowance summary for an account document (pure):
+ * { email, active, status, plan, planLabel, limit, used, remaining, windowStart, resetsAt }.
+ */
+function entitlementOf(account, now = new Date()) {
+  const sub = account?.subscription || null;
+  const plan = sub && PLANS[sub.plan] ? sub.plan : null;
+  const active = !!(sub && plan && ACTIVE_STATUSES.has(sub.status));
+  const limit = active ? PLANS[plan].monthlyProofs : 0;
+  const window = active ? usageWindow(sub.currentPeriodStart, now) : null;
+  const usage = account?.usage;
+  const used = window && usage && usage.windowStart === window.start ? usage.used : 0;
+
+  return {
+    email: account?.email || null,
+    active,
+    status: sub?.status || null,
+    plan,
+    planLabel: plan ? PLANS[plan].label : null,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    windowStart: window?.start || null,
+    resetsAt: window?.end || null,
+  };
+}
+
+/**
+ * Current allowance for an email (see entitlementOf); inactive when there is
+ * no account.
+ */
+async function getEntitlement(email) {
+  const account = await getAccount(email);
+  return entitlementOf(account || { email: normalizeEmail(email) });
+}
+
+/**
+ * Store the state of a Stripe subscription on the account for `email`.
+ * Events can arrive out of order: an older event never overwrites the state
+ * from a newer one for the same subscription. Returns the account.
+ */
+async function recordSubscription(email, subscription, { eventCreated = null } = {}) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('recordSubscription: "email" is required');
+  if (!subscription || !subscription.id) throw new Error('recordSubscription: "subscription" is required');
+
+  const { plan, interval, priceId } = planOf(subscription);
+  const now = new Date().toISOString();
+  const next = {
+    id: subscription.id,
+    status: subscription.status,
+    plan,
+    interval,
+    priceId,
+    currentPeriodStart: toIso(subscription.current_period_start),
+    currentPeriodEnd: toIso(subscription.current_period_end),
+    cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+    canceledAt: toIso(subscription.canceled_at),
+    eventCreated: eventCreated || null,
+    updatedAt: now,
+  };
+
+  return updateAccount(e, (doc) => {
+    const prev = doc?.subscription;
+    if (
+      prev && prev.id === next.id && prev.eventCreated && next.eventCreated &&
+      prev.eventCreated > next.eventCreated
+    ) {
+      return undefined;
+    }
+    return {
+      usage: null,
+      createdAt: now,
+      ...doc,
+      email: e,
+      customerId: subscription.customer || doc?.customerId || null,
+      subscription: next,
+      updatedAt: now,
+    };
+  });
+}
+
+/**
+ * Note a paid subscription invoice on the account for `email`. Returns the account.
+ */
+async function recordInvoice(email, invoice) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('recordInvoice: "email" is required');
+  if (!invoice || !invoice.id) throw new Error('recordInvoice: "invoice" is required');
+
+  const now = new Date().toISOString();
+  return updateAccount(e, (doc) => ({
+    usage: null,
+    createdAt: now,
+    ...doc,
+    email: e,
+    customerId: invoice.customer || doc?.customerId || null,
+    lastInvoice: {
+      id: invoice.id,
+      subscriptionId: invoice.subscription || null,
+      amountPaid: invoice.amount_paid ?? null,
+      currency: invoice.currency || null,
+      periodEnd: toIso(invoice.lines?.data?.[0]?.period?.end),
+      paidAt: toIso(invoice.status_transitions?.paid_at) || now,
+    },
+    updatedAt: now,
+  }));
+}
+
+function accountError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
+
+/**
+ * Count `proofId` against the allowance of `email`. Idempotent per proof id.
+ * Returns the entitlement after the charge. Throws with err.code
+ * "NO_SUBSCRIPTION" (no active plan) or "QUOTA_EXCEEDED" (err.limit, err.used,
+ * err.resetsAt, err.plan).
+ */
+async function consumeProof(email, proofId, { now = new Date() } = {}) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('consumeProof: "email" is required');
+  if (!proofId) throw new Error('consumeProof: "proofId" is required');
+
+  const account = await updateAccount(e, (doc) => {
+    const ent = entitlementOf(doc, now);
+    if (!ent.active) {
+      throw accountError(
+        "NO_SUBSCRIPTION",
+        `No active docuProof subscription for ${e}. Choose a plan at /start to create proofs without checkout.`,
+        { status: ent.status }
+      );
+    }
+
+    const usage = doc.usage && doc.usage.windowStart === ent.windowStart
+      ? doc.usage
+      : { windowStart: ent.windowStart, windowEnd: ent.resetsAt, used: 0, proofIds: [] };
+    if (usage.proofIds.includes(proofId)) return undefined;
+
+    if (ent.used >= ent.limit) {
+      throw accountError(
+        "QUOTA_EXCEEDED",
+        `Monthly proof allowance used: ${ent.used} of ${ent.limit} on the ${ent.planLabel} plan. ` +
+          `It resets on ${ent.resetsAt.slice(0, 10)}.`,
+        { plan: ent.plan, limit: ent.limit, used: ent.used, resetsAt: ent.resetsAt }
+      );
+    }
+
+    return {
+      ...doc,
+      usage: { ...usage, used: usage.used + 1, proofIds: [...usage.proofIds, proofId] },
+      updatedAt: new Date().toISOString(),
+    };
+  });
+
+  return entitlementOf(account, now);
+}
+
+/**
+ * Claim the allowance warning that is due for `email` in the current window:
+ * "low" past QUOTA_WARNING_RATIO, "exhausted" at the limit, each at most once
+ * per window. Returns { level, entitlement } for the caller to send, or null.
+ */
+async function claimQuotaWarning(email, { now = new Date() } = {}) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('claimQuotaWarning: "email" is required');
+
+  let claim = null;
+  await updateAccount(e, (doc) => {
+    claim = null;
+    const ent = entitlementOf(doc, now);
+    if (!ent.active || !doc.usage || doc.usage.windowStart !== ent.windowStart) return undefined;
+    const level = ent.remaining <= 0 ? "exhausted" : ent.used >= Math.ceil(ent.limit * QUOTA_WARNING_RATIO) ? "low" : null;
+    const warnings = doc.usage.warnings || {};
+    if (!level || warnings[level]) return undefined;
+
+    claim = { level, entitlement: ent };
+    // Reaching the limit in one step also covers the "low" warning
+    const at = new Date().toISOString();
+    const next = level === "exhausted" ? { low: warnings.low || at, exhausted: at } : { ...warnings, low: at };
+    return { ...doc, usage: { ...doc.usage, warnings: next }, updatedAt: at };
+  });
+  return claim;
+}
+
+module.exports = {
+  PLANS,
+  QUOTA_WARNING_RATIO,
+  planOf,
+  usageWindow,
+  entitlementOf,
+  getEntitlement,
+  recordSubscription,
+  recordInvoice,
+  consumeProof,
+  claimQuotaWarning,
+};
@@ -0,0 +1,297 @@
+// netlify/functions/_anchor_state.js
+// Anchoring state machine. The only writer of anchor:<id>.json — submission,
+// resolver and cron functions move a proof between states through transition()
+// / advance() and never save the anchor document directly.
+//
+//   QUEUED → SUBMITTED → CALENDAR_PENDING → ANCHORED → CONFIRMED
+//   QUEUED | SUBMITTED | CALENDAR_PENDING → FAILED | RETRYING
+//   RETRYING → SUBMITTED | CALENDAR_PENDING | ANCHORED | FAILED;  FAILED → QUEUED | RETRYING
+//
+// Writes are read-modify-write with an ETag (_db.updateAnchor) and re-check
+// the move against the stored document, so concurrent resolvers cannot undo
+// each other; side effects follow only the write that changed the state.
+// Each state change is appended to the document's `history` (newest last) and
+// mirrored into the pending-work index: non-terminal states register the id
+// (before the document is saved, so a failed save never hides work from the
+// cron) and terminal states remove it.
+// Entering a milestone state queues the owner's webhook events (_webhooks.js):
+// proof.created with the first document, then proof.receipt_ready,
+// proof.anchored and proof.confirmed once each, including milestones a jump
+// skips over (e.g. SUBMITTED → ANCHORED also announces the receipt).
+// Documents written before the state machine (NEW, OTS_RECEIPT, PENDING,
+// PARTIALLY_UPGRADED, lastUpdateAt, receipt_ref, …) are normalized on read
+// and rewritten in the current shape on their next transition.
+
+const db = require("./_db");
+const { emitProofEvents } = require("./_webhooks");
+
+const STATES = {
+  QUEUED: "QUEUED",
+  SUBMITTED: "SUBMITTED",
+  CALENDAR_PENDING: "CALENDAR_PENDING",
+  ANCHORED: "ANCHORED",
+  CONFIRMED: "CONFIRMED",
+  FAILED: "FAILED",
+  RETRYING: "RETRYING",
+};
+
+// No further scheduled work (FAILED can still be requeued by hand)
+const TERMINAL_STATES = [STATES.CONFIRMED, STATES.FAILED];
+
+// Allowed moves; `null` is "no anchor document yet"
+const TRANSITIONS = {
+  null: [STATES.QUEUED, STATES.SUBMITTED, STATES.CALENDAR_PENDING, STATES.ANCHORED, STATES.FAILED],
+  QUEUED: [STATES.SUBMITTED, STATES.FAILED, STATES.RETRYING],
+  SUBMITTED: [STATES.CALENDAR_PENDING, STATES.ANCHORED, STATES.FAILED, STATES.RETRYING],
+  CALENDAR_PENDING: [STATES.ANCHORED, STATES.FAILED, STATES.RETRYING],
+  RETRYING: [STATES.SUBMITTED, STATES.CALENDAR_PENDING, STATES.ANCHORED, STATES.FAILED],
+  ANCHORED: [STATES.CONFIRMED],
+  CONFIRMED: [],
+  FAILED: [STATES.QUEUED, STATES.RETRYING],
+};
+
+// Position on the happy path, used by advance() to avoid moving backwards
+const RANK = {
+  QUEUED: 0,
+  SUBMITTED: 1,
+  CALENDAR_PENDING: 2,
+  ANCHORED: 3,
+  CONFIRMED: 4,
+};
+
+const LEGACY_STATES = {
+  NEW: STATES.QUEUED,
+  PENDING: STATES.CALENDAR_PENDING,
+  OTS_RECEIPT: STATES.CALENDAR_PENDING,
+  PARTIALLY_UPGRADED: STATES.ANCHORED,
+};
+
+// Fields callers may set; everything else in the document is owned here
+const FIELDS = [
+  "hash",
+  "email",
+  "displayName",
+  "receiptKey",
+  "txid",
+  "blockHeight",
+  "confirmations",
+  "attestations",
+  "pendingCalendars",
+  "verification",
+  "attempts",
+  "lastError",
+];
+
+const MAX_HISTORY = 100;
+
+// Webhook event announced when a proof first reaches each happy-path rank
+const MILESTONE_EVENTS = [
+  [RANK.CALENDAR_PENDING, "proof.receipt_ready"],
+  [RANK.ANCHORED, "proof.anchored"],
+  [RANK.CONFIRMED, "proof.confirmed"],
+];
+
+/**
+ * Map a stored or sidecar state name onto the state machine (null if unknown).
+ */
+function fromLegacyState(state) {
+  if (!state) return null;
+  const s = String(state).toUpperCase();
+  if (STATES[s]) return STATES[s];
+  return LEGACY_STATES[s] || null;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from ?? null] || []).includes(to);
+}
+
+function isTerminal(state) {
+  return TERMINAL_STATES.includes(state);
+}
+
+/**
+ * Bring a stored anchor document into the current shape.
+ */
+function normalize(doc, id) {
+  if (!doc || typeof doc !== "object") return null;
+  const {
+    state,
+    lastUpdateAt,
+    lastResolvedAt,
+    receipt_ref,
+    source,
+    authPath,
+    history,
+    ...rest
+  } = doc;
+
+  const updatedAt = rest.updatedAt || lastUpdateAt || lastResolvedAt || null;
+  const mapped = fromLegacyState(state) || STATES.CALENDAR_PENDING;
+  return {
+    ...rest,
+    id: rest.id || id,
+    state: mapped,
+    receiptKey: rest.receiptKey || receipt_ref || null,
+    txid: rest.txid || null,
+    blockHeight: Number.isFinite(rest.blockHeight) ? rest.blockHeight : null,
+    confirmations: Number.isFinite(rest.confirmations) ? rest.confirmations : 0,
+    createdAt: rest.createdAt || updatedAt,
+    updatedAt,
+    history: Array.isArray(history)
+      ? history
+      : state
+        ? [{ at: updatedAt, from: null, to: mapped, source: source || "legacy", note: `legacy state ${state}` }]
+        : [],
+  };
+}
+
+/**
+ * Current anchor document for a proof (normalized), or null.
+ */
+async function getAnchorState(id) {
+  return normalize(await db.getAnchor(id), id);
+}
+
+function pickFields(fields, fnName) {
+  const out = {};
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (!FIELDS.includes(k)) throw new Error(`${fnName}: unknown anchor field "${k}"`);
+    if (v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+/**
+ * Webhook event types for a move from document `current` (null: none yet)
+ * into `to`: milestones above the best rank in its history up to `to`.
+ */
+function milestoneEvents(current, to) {
+  if (RANK[to] === undefined) return current ? [] : ["proof.created"];
+  const reached = Math.max(-1, ...((current && current.history) || []).map((h) => RANK[h.to] ?? -1));
+  const types = MILESTONE_EVENTS.filter(([rank]) => rank > reached && rank <= RANK[to]).map(([, type]) => type);
+  return current ? types : ["proof.created", ...types];
+}
+
+// Next document for a move from `current` to `to` (pure): { doc, changed }
+function build(id, current, to, { source, note, fields }) {
+  const now = new Date().toISOString();
+  const history = current ? current.history.slice() : [];
+  const changed = !current || current.state !== to;
+  if (changed) {
+    const event = { at: now, from: current ? current.state : null, to, source: source || null };
+    if (note) event.note = String(note);
+    history.push(event);
+  }
+
+  const doc = {
+    txid: null,
+    blockHeight: null,
+    confirmations: 0,
+    ...(current || {}),
+    ...fields,
+    id,
+    state: to,
+    createdAt: (current && current.createdAt) || now,
+    updatedAt: now,
+    history: history.slice(-MAX_HISTORY),
+  };
+  return { doc, changed };
+}
+
+function illegalTransition(id, from, to) {
+  const err = new Error(`transition: ${from || "(none)"} → ${to} is not allowed for ${id}`);
+  err.code = "ILLEGAL_TRANSITION";
+  err.from = from;
+  err.to = to;
+  return err;
+}
+
+/**
+ * Write a move atomically. `pick(current)` chooses the target state from the
+ * stored document; it and the transition check run again whenever a
+ * concurrent writer wins the race, so a stale caller can never roll a proof
+ * back. Index updates and webhook events follow only when this write is the
+ * one that changed the state.
+ */
+async function apply(id, pick, opts) {
+  // Register non-terminal targets before the write (see header); recheck inside it
+  const before = await getAnchorState(id);
+  const planned = pick(before);
+  const from = before ? before.state : null;
+  if (from !== planned && !canTransition(from, planned)) throw illegalTransition(id, from, planned);
+  const registered = from !== planned && !isTerminal(planned) ? planned : null;
+  if (registered) await db.registerPending(id, { state: registered });
+
+  let outcome = null;
+  await db.updateAnchor(id, (raw) => {
+    const current = normalize(raw, id);
+    const to = pick(current);
+    const at = current ? current.state : null;
+    if (at !== to && !canTransition(at, to)) throw illegalTransition(id, at, to);
+    outcome = { current, to, ...build(id, current, to, opts) };
+    return outcome.doc;
+  });
+
+  const { current, to, doc, changed } = outcome;
+  if (changed && !isTerminal(to) && to !== registered) await db.registerPending(id, { state: to });
+  if (changed && isTerminal(to)) await db.removePending(id);
+  if (changed) {
+    // Best-effort: webhook_cron sends the queued deliveries, never the caller
+    await emitProofEvents(id, milestoneEvents(current, to), doc).catch((e) =>
+      console.error(`anchor_state: webhook emit failed for ${id}:`, e));
+  }
+  return doc;
+}
+
+/**
+ * Move a proof to `to`, merging `fields` into its anchor document.
+ * Throws (err.code "ILLEGAL_TRANSITION") when the move is not allowed;
+ * a call with the current state only updates fields.
+ */
+async function transition(id, to, { source, note, fields } = {}) {
+  if (!id) throw new Error('transition: "id" is required');
+  if (!STATES[to]) throw new Error(`transition: unknown state "${to}"`);
+  const patch = pickFields(fields, "transition");
+  return apply(id, () => to, { source, note, fields: patch });
+}
+
+/**
+ * Like transition(), for at-least-once callers: when the proof is already at
+ * or past `to` on the happy path, only the fields are updated.
+ */
+async function advance(id, to, { source, note, fields } = {}) {
+  if (!id) throw new Error('advance: "id" is required');
+  if (!STATES[to]) throw new Error(`advance: unknown state "${to}"`);
+  const patch = pickFields(fields, "advance");
+  const pick = (current) =>
+    current && RANK[current.state] !== undefined && RANK[to] !== undefined && RANK[current.state] >= RANK[to]
+      ? current.state
+      : to;
+  return apply(id, pick, { source, note, fields: patch });
+}
+
+/**
+ * Update fields of an existing anchor document without changing its state.
+ */
+async function patchAnchor(id, fields, { source } = {}) {
+  const patch = pickFields(fields, "patchAnchor");
+  const pick = (current) => {
+    if (!current) throw new Error(`patchAnchor: no anchor document for ${id}`);
+    return current.state;
+  };
+  return apply(id, pick, { source, fields: patch });
+}
+
+module.exports = {
+  STATES,
+  TERMINAL_STATES,
+  fromLegacyState,
+  canTransition,
+  isTerminal,
+  milestoneEvents,
+  normalize,
+  getAnchorState,
+  transition,
+  advance,
+  patchAnchor,
+};
@@ -0,0 +1,122 @@
+// netlify/functions/_api_keys.js
+// Per-account API keys for the /api/v1 surface (api_v1.mjs).
+//
+//   dpk_<keyId>_<secret>   keyId: 16 hex chars, secret: 32 random bytes (base64url)
+//
+// The full key is shown once, at creation (api_keys.js). We keep only its
+// SHA-256, so a leaked store cannot be replayed against the API.
+
+const crypto = require("crypto");
+const { normalizeEmail, getApiKey, saveApiKey, updateApiKey, updateAccount, getAccount } = require("./_db");
+
+const KEY_PATTERN = /^dpk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const MAX_KEYS_PER_ACCOUNT = 20;
+// lastUsedAt is refreshed at most this often, to keep API calls read-only
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+// What the account page shows for a key (never the hash)
+function publicView(doc) {
+  return {
+    id: doc.id,
+    name: doc.name,
+    prefix: `dpk_${doc.id}_…`,
+    createdAt: doc.createdAt,
+    lastUsedAt: doc.lastUsedAt || null,
+    revokedAt: doc.revokedAt || null,
+  };
+}
+
+/**
+ * Create a key for `email`. Returns { key, apiKey }: `key` is the secret to
+ * hand to the user (not recoverable later), `apiKey` its public view.
+ * Throws with err.code "TOO_MANY_KEYS" past MAX_KEYS_PER_ACCOUNT active keys.
+ */
+async function createApiKey(email, { name = "" } = {}) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('createApiKey: "email" is required');
+
+  const active = (await listApiKeys(e)).filter((k) => !k.revokedAt);
+  if (active.length >= MAX_KEYS_PER_ACCOUNT) {
+    throw Object.assign(new Error(`an account can hold at most ${MAX_KEYS_PER_ACCOUNT} active API keys`), {
+      code: "TOO_MANY_KEYS",
+    });
+  }
+
+  const id = crypto.randomBytes(8).toString("hex");
+  const key = `dpk_${id}_${crypto.randomBytes(32).toString("base64url")}`;
+  const doc = await saveApiKey({
+    id,
+    email: e,
+    name: String(name || "").trim().slice(0, 80) || "API key",
+    hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null,
+  });
+
+  await updateAccount(e, (acct) => ({
+    usage: null,
+    createdAt: doc.createdAt,
+    ...acct,
+    email: e,
+    apiKeyIds: [...((acct && acct.apiKeyIds) || []), id],
+    updatedAt: new Date().toISOString(),
+  }));
+  return { key, apiKey: publicView(doc) };
+}
+
+/**
+ * Keys of an account, newest first (public views, revoked ones included).
+ */
+async function listApiKeys(email) {
+  const account = await getAccount(email);
+  const ids = (account && account.apiKeyIds) || [];
+  const docs = await Promise.all(ids.map((id) => getApiKey(id)));
+  return docs.filter(Boolean).map(publicView).reverse();
+}
+
+/**
+ * Revoke key `keyId` if it belongs to `email`. Returns the public view, or
+ * null when there is no such key on the account.
+ */
+async function revokeApiKey(email, keyId) {
+  const e = normalizeEmail(email);
+  const doc = keyId ? await getApiKey(keyId) : null;
+  if (!doc || doc.email !== e) return null;
+  const next = await updateApiKey(keyId, (cur) =>
+    cur.revokedAt ? undefined : { ...cur, revokedAt: new Date().toISOString() }
+  );
+  return publicView(next || doc);
+}
+
+/**
+ * Account behind a presented key: { email, keyId } or null when the key is
+ * malformed, unknown, revoked or does not match.
+ */
+async function authenticateApiKey(key) {
+  const m = KEY_PATTERN.exec(String(key || "").trim());
+  if (!m) return null;
+  const doc = await getApiKey(m[1]);
+  if (!doc || doc.revokedAt) return null;
+
+  const want = Buffer.from(doc.hash, "hex");
+  const got = Buffer.from(hashKey(m[0]), "hex");
+  if (want.length !== got.length || !crypto.timingSafeEqual(want, got)) return null;
+
+  if (!doc.lastUsedAt || Date.now() - Date.parse(doc.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    // Only lastUsedAt changes; a revocation that lands meanwhile is kept
+    await updateApiKey(doc.id, (cur) => ({ ...cur, lastUsedAt: new Date().toISOString() })).catch(() => {});
+  }
+  return { email: doc.email, keyId: doc.id };
+}
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey,
+};
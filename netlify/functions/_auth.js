@@ -0,0 +1,205 @@
+// netlify/functions/_auth.js
+// Passwordless accounts: magic-link login, the session cookie and the
+// ownership check for proof endpoints.
+//
+//   login          POST email → loginToken() emailed as a link to login_confirm
+//   login_confirm  consumeLoginToken() → sessionCookie() (HTTP-only, signed)
+//   history, proof_pdf(_meta), download_receipt*  → proofAccess(event, id)
+//   operator endpoints (migrate_stores, migrate_receipt, debug_blobs) → isAdminRequest(event)
+//
+// Tokens are `<base64url JSON payload>.<base64url HMAC-SHA256>` signed with
+// DOCUPROOF_AUTH_SECRET; nothing about a session is stored server-side.
+// A proof belongs to the account whose email is its customerEmail.
+
+const crypto = require("crypto");
+const { normalizeEmail, getProof, claimLoginNonce } = require("./_db");
+
+const SESSION_COOKIE = "dp_session";
+const LOGIN_TTL_MS = 15 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Grant for server-side fetches on a customer's behalf (certificate emails)
+const ACCESS_TTL_MS = 10 * 60 * 1000;
+
+function secret() {
+  const s = process.env.DOCUPROOF_AUTH_SECRET;
+  if (!s) throw new Error("DOCUPROOF_AUTH_SECRET is not configured");
+  return s;
+}
+
+function mac(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+/**
+ * Sign `payload` (must carry `purpose`) with an expiry `ttlMs` from now.
+ */
+function signToken(payload, ttlMs) {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlMs })).toString("base64url");
+  return `${body}.${mac(body)}`;
+}
+
+/**
+ * Payload of a token signed for `purpose`, or null when it is malformed,
+ * forged, expired or meant for something else.
+ */
+function verifyToken(token, purpose) {
+  const [body, sig] = String(token || "").split(".");
+  if (!body || !sig) return null;
+  const want = Buffer.from(mac(body));
+  const got = Buffer.from(sig);
+  if (want.length !== got.length || !crypto.timingSafeEqual(want, got)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (payload.purpose !== purpose || !(payload.exp > Date.now())) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Single-use magic-link token for `email` (valid LOGIN_TTL_MS).
+ */
+function loginToken(email) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('loginToken: "email" is required');
+  return signToken({ purpose: "login", email: e, nonce: crypto.randomBytes(12).toString("hex") }, LOGIN_TTL_MS);
+}
+
+/**
+ * Email of a valid, unused magic-link token (and mark it used), or null.
+ */
+async function consumeLoginToken(token) {
+  const payload = verifyToken(token, "login");
+  if (!payload || !payload.nonce) return null;
+  const fresh = await claimLoginNonce(payload.nonce, { email: payload.email });
+  return fresh ? payload.email : null;
+}
+
+function cookieHeader(event) {
+  const headers = event.headers || {};
+  return headers.cookie || headers.Cookie || "";
+}
+
+/**
+ * Does the request carry DOCUPROOF_ADMIN_SECRET, as `Authorization: Bearer
+ * <secret>` or `x-docuproof-admin: <secret>`? Always false while the secret
+ * is not configured.
+ */
+function isAdminRequest(event) {
+  const want = process.env.DOCUPROOF_ADMIN_SECRET;
+  if (!want) return false;
+  const headers = event.headers || {};
+  const hit = (name) => headers[Object.keys(headers).find((k) => k.toLowerCase() === name)];
+  const bearer = String(hit("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  const got = (bearer && bearer[1].trim()) || String(hit("x-docuproof-admin") || "");
+  if (!got) return false;
+  // Compare digests: equal length, and nothing learned from the secret's length
+  const digest = (v) => crypto.createHash("sha256").update(v).digest();
+  return crypto.timingSafeEqual(digest(got), digest(want));
+}
+
+/**
+ * Signed-in account for a request: { email, expiresAt } or null.
+ */
+function getSession(event) {
+  const hit = cookieHeader(event)
+    .split(";")
+    .map((c) => c.trim())
+    .find((c) => c.startsWith(`${SESSION_COOKIE}=`));
+  if (!hit) return null;
+  const payload = verifyToken(decodeURIComponent(hit.slice(SESSION_COOKIE.length + 1)), "session");
+  return payload ? { email: payload.email, expiresAt: new Date(payload.exp).toISOString() } : null;
+}
+
+/**
+ * Set-Cookie value starting a session for `email`.
+ */
+function sessionCookie(email) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('sessionCookie: "email" is required');
+  const token = signToken({ purpose: "session", email: e }, SESSION_TTL_MS);
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}`;
+}
+
+/**
+ * Set-Cookie value ending the session.
+ */
+function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Lax; Max-Age=0`;
+}
+
+/**
+ * Short-lived grant to read proof `id` without a session, for server-side
+ * calls made on the owner's behalf (e.g. rendering the emailed certificate).
+ * Passed as `?access=`.
+ */
+function proofAccessToken(id) {
+  if (!id) throw new Error('proofAccessToken: "id" is required');
+  return signToken({ purpose: "proof", id }, ACCESS_TTL_MS);
+}
+
+/**
+ * May this request read proof `id`? Returns { ok: true, proof, session } for
+ * the owner (or a valid ?access= grant), else { ok: false, status, error }:
+ * 401 when nobody is signed in, 403 for someone else's proof, 404 when the
+ * proof does not exist.
+ */
+async function proofAccess(event, id) {
+  const session = getSession(event);
+  const grant = verifyToken((event.queryStringParameters || {}).access, "proof");
+  if (!session && !(grant && grant.id === id)) {
+    return { ok: false, status: 401, error: "Sign in to access this proof" };
+  }
+
+  const proof = await getProof(id);
+  if (!proof) return { ok: false, status: 404, error: "proof not found" };
+  if (grant && grant.id === id) return { ok: true, proof, session };
+  if (session.email !== normalizeEmail(proof.customerEmail)) {
+    return { ok: false, status: 403, error: "This proof belongs to a different account" };
+  }
+  return { ok: true, proof, session };
+}
+
+/**
+ * Local path to come back to after login (open-redirect safe), or null.
+ */
+function safeNext(next) {
+  const n = String(next || "");
+  return n.startsWith("/") && !n.startsWith("//") && !n.startsWith("/\\") ? n : null;
+}
+
+/**
+ * 302 to the login page, returning to the current request afterwards.
+ */
+function loginRedirect(event) {
+  const qp = { ...(event.queryStringParameters || {}) };
+  delete qp.access;
+  const qs = new URLSearchParams(qp).toString();
+  const next = `${event.path || "/"}${qs ? `?${qs}` : ""}`;
+  return {
+    statusCode: 302,
+    headers: {
+      Location: `/.netlify/functions/login?next=${encodeURIComponent(next)}`,
+      "Cache-Control": "no-store",
+    },
+    body: "",
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  LOGIN_TTL_MS,
+  signToken,
+  verifyToken,
+  loginToken,
+  consumeLoginToken,
+  getSession,
+  sessionCookie,
+  clearSessionCookie,
+  proofAccessToken,
+  proofAccess,
+  isAdminRequest,
+  safeNext,
+  loginRedirect,
+};
@@ -0,0 +1,251 @@
+// netlify/functions/_batch.js
+// Multi-file (batch) proofs: one checkout, one anchored merkle root, one proof
+// record per file.
+//
+//   create_checkout_session  createBatch()    → batches/<batchId>.json { root, files }
+//   stripe_webhook           expandBatch()    → proof:<sessionId>      (root, anchored)
+//   expand_batch-background  expandMembers()  → proof:<sessionId>-<n>  (one per file)
+//   batch_cron               processBatchExpansions()  (picks up unfinished batches)
+//
+// The webhook only writes the root and queues the batch: up to MAX_LEAVES file
+// records are written outside the request, in chunks whose progress is saved
+// on the manifest so any run can resume. Only the root goes into the feeds,
+// through submit_proof and through the anchoring state machine.
+// A file's record carries its merkle path (_merkle.js); readers resolve the
+// anchor through the root (getProofAnchor) and serve the root's receipt with
+// the path grafted on (getProofReceipt), so every file verifies on its own.
+
+const crypto = require("crypto");
+const {
+  keys,
+  getProof,
+  saveProof,
+  getOtsReceiptEx,
+  getBatch,
+  saveBatch,
+  updateBatch,
+  queueBatchExpansion,
+  listBatchExpansions,
+  settleBatchExpansion,
+} = require("./_db");
+const { getAnchorState } = require("./_anchor_state");
+const { merkleTree, MAX_LEAVES } = require("./_merkle");
+const { graftPath } = require("./_ots");
+
+const MAX_NAME_LENGTH = 200;
+
+// File records written concurrently, and between progress saves
+const EXPAND_CHUNK = 20;
+
+/**
+ * Proof id of the file at `index` (0-based) in the batch anchored as `rootId`.
+ */
+function memberId(rootId, index) {
+  return `${rootId}-${index + 1}`;
+}
+
+/**
+ * Validate the files picked in the browser, build the tree and save the
+ * manifest. `files` is [{ name, hash }]; when `root` is given (the browser's
+ * own computation) it must match. Returns the saved manifest.
+ * Throws with err.code "BAD_BATCH" on invalid input.
+ */
+async function createBatch({ files, root = null, email = null }) {
+  const bad = (message) => Object.assign(new Error(message), { code: "BAD_BATCH" });
+  if (!Array.isArray(files) || files.length < 2) throw bad("a batch needs at least two files");
+  if (files.length > MAX_LEAVES) throw bad(`a batch holds at most ${MAX_LEAVES} files`);
+
+  const entries = files.map((f, i) => ({
+    name: String((f && f.name) || `file-${i + 1}`).slice(0, MAX_NAME_LENGTH),
+    hash: String((f && f.hash) || "").trim().toLowerCase(),
+  }));
+
+  let tree;
+  try {
+    tree = merkleTree(entries.map((f) => f.hash));
+  } catch (e) {
+    throw bad(e.message);
+  }
+  if (root && String(root).trim().toLowerCase() !== tree.root) {
+    throw bad("merkle root does not match the file digests");
+  }
+
+  return saveBatch({
+    id: `b_${crypto.randomBytes(12).toString("hex")}`,
+    root: tree.root,
+    size: entries.length,
+    files: entries.map((f, i) => ({ ...f, path: tree.paths[i] })),
+    email: email || null,
+    rootId: null,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * [{ id, filename }] of the files of a paid batch, from its manifest.
+ */
+function memberSummaries(batch) {
+  return batch.files.map((file, index) => ({ id: memberId(batch.rootId, index), filename: file.name }));
+}
+
+/**
+ * Record a paid batch: write the root proof under `rootId` and queue the
+ * file records for expandMembers(). `fields` (displayName, customerEmail,
+ * createdAt, …) go on every record, `rootFields` (e.g. email bookkeeping) on
+ * the root only. Idempotent. Returns { batch, root, members } with member
+ * summaries (see memberSummaries).
+ */
+async function expandBatch(batchId, rootId, fields = {}, { rootFields = {} } = {}) {
+  const batch = await getBatch(batchId);
+  if (!batch) throw new Error(`expandBatch: batch ${batchId} not found`);
+  if (batch.rootId && batch.rootId !== rootId) {
+    throw new Error(`expandBatch: batch ${batchId} already belongs to ${batch.rootId}`);
+  }
+
+  const root = await saveProof({
+    filename: `${batch.size} files`,
+    ...fields,
+    ...rootFields,
+    id: rootId,
+    hash: batch.root,
+    batch: { id: batch.id, role: "root", size: batch.size },
+  });
+
+  const paid = await updateBatch(batchId, (doc) => {
+    if (doc.rootId === rootId) return undefined;
+    if (doc.rootId) throw new Error(`expandBatch: batch ${batchId} already belongs to ${doc.rootId}`);
+    return { ...doc, rootId, paidAt: new Date().toISOString(), memberFields: fields, expanded: 0, expandedAt: null };
+  });
+  if (!paid.expandedAt) await queueBatchExpansion(batchId);
+  return { batch: paid, root, members: memberSummaries(paid) };
+}
+
+function memberRecord(batch, index) {
+  const file = batch.files[index];
+  return {
+    ...(batch.memberFields || {}),
+    id: memberId(batch.rootId, index),
+    hash: file.hash,
+    filename: file.name,
+    batch: {
+      id: batch.id,
+      role: "member",
+      rootId: batch.rootId,
+      index,
+      size: batch.size,
+      root: batch.root,
+      path: file.path,
+    },
+  };
+}
+
+/**
+ * Write the file records of a paid batch, resuming after the last saved
+ * chunk, until all are written or `deadline` (epoch ms) passes. Concurrent
+ * runs only rewrite identical records. Returns { batchId, expanded, size, done }.
+ */
+async function expandMembers(batchId, { deadline = Infinity } = {}) {
+  let batch = await getBatch(batchId);
+  if (!batch || !batch.rootId) {
+    throw new Error(`expandMembers: batch ${batchId} is not paid`);
+  }
+
+  let next = batch.expanded || 0;
+  while (next < batch.size && Date.now() < deadline) {
+    const end = Math.min(next + EXPAND_CHUNK, batch.size);
+    const indexes = Array.from({ length: end - next }, (_, i) => next + i);
+    await Promise.all(indexes.map((index) => saveProof(memberRecord(batch, index))));
+    next = end;
+    batch = await updateBatch(batchId, (doc) => ({ ...doc, expanded: Math.max(doc.expanded || 0, next) }));
+  }
+
+  const done = next >= batch.size;
+  if (done) {
+    if (!batch.expandedAt) {
+      batch = await updateBatch(batchId, (doc) => ({ ...doc, expandedAt: new Date().toISOString() }));
+    }
+    await settleBatchExpansion(batchId);
+  }
+  return { batchId, expanded: next, size: batch.size, done };
+}
+
+/**
+ * expandMembers() for queued batches, oldest first, until `budgetMs` is
+ * spent. Returns { processed: [...results], remaining }.
+ */
+async function processBatchExpansions({ budgetMs = 20000 } = {}) {
+  const deadline = Date.now() + budgetMs;
+  const queued = await listBatchExpansions();
+  const processed = [];
+  for (const batchId of queued) {
+    if (Date.now() >= deadline) break;
+    try {
+      processed.push(await expandMembers(batchId, { deadline }));
+    } catch (e) {
+      console.error(`batch expansion failed for ${batchId}:`, e);
+      processed.push({ batchId, error: e.message });
+    }
+  }
+  return { processed, remaining: queued.length - processed.filter((r) => r.done).length };
+}
+
+/**
+ * Id whose anchor document and receipt cover this proof (the batch root for
+ * a batch member, otherwise the proof itself).
+ */
+function anchorIdOf(proof, id) {
+  return proof && proof.batch && proof.batch.role === "member" ? proof.batch.rootId : id;
+}
+
+/**
+ * { proof, anchorId, anchor } for a proof id; anchor is normalized or null.
+ */
+async function getProofAnchor(id) {
+  const proof = await getProof(id);
+  const anchorId = anchorIdOf(proof, id);
+  return { proof, anchorId, anchor: await getAnchorState(anchorId) };
+}
+
+/**
+ * Receipt bytes for a proof id, like getOtsReceiptEx(): batch members get the
+ * root's receipt with their merkle path grafted on. Adds { anchorId, member }.
+ */
+async function getProofReceipt(id) {
+  const proof = await getProof(id).catch(() => null);
+  const anchorId = anchorIdOf(proof, id);
+  const receipt = await getOtsReceiptEx(anchorId);
+  if (anchorId === id || !receipt.bytes) return { ...receipt, anchorId, member: false };
+
+  const bytes = graftPath(receipt.bytes, { digest: proof.hash, path: proof.batch.path });
+  return { ...receipt, bytes, anchorId, member: true, key: `${receipt.key}#${id}` };
+}
+
+/**
+ * Public manifest of a batch by root or member id:
+ * { batchId, rootId, root, size, files: [{ id, name, hash, path }] }, or null.
+ */
+async function getBatchManifest(id) {
+  const proof = await getProof(id);
+  if (!proof || !proof.batch) return null;
+  const batch = await getBatch(proof.batch.id);
+  if (!batch || !batch.rootId) return null;
+  return {
+    batchId: batch.id,
+    rootId: batch.rootId,
+    root: batch.root,
+    size: batch.size,
+    anchorKey: keys.anchor(batch.rootId),
+    files: batch.files.map((f, index) => ({ id: memberId(batch.rootId, index), ...f })),
+  };
+}
+
+module.exports = {
+  memberId,
+  createBatch,
+  expandBatch,
+  expandMembers,
+  processBatchExpansions,
+  getProofAnchor,
+  getProofReceipt,
+  getBatchManifest,
+};
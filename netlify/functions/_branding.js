@@ -0,0 +1,226 @@
+// netlify/functions/_branding.js
+// Certificate templates and per-account branding (Pro plan).
+//
+//   branding.js (settings page)  → saveBranding: template, accent, name, logo
+//   proof_pdf                    → themeForProof: colors, logo and name to draw
+//   verify_page                  → themeForProof: accent and logo for ?id=
+//
+// Settings live on the account document (`branding`), the logo bytes under
+// their own key (_db.js). They only apply while the account is on a branding
+// plan; the docuProof QR code and verify link stay on every certificate.
+
+const crypto = require("crypto");
+const { getAccount, updateAccount, getProof, setBrandingLogo, getBrandingLogo, removeBrandingLogo } = require("./_db");
+const { entitlementOf } = require("./_accounts");
+
+// Plans whose accounts may brand certificates
+const BRANDING_PLANS = new Set(["pro"]);
+
+const MAX_LOGO_BYTES = 256 * 1024;
+const MAX_NAME_LENGTH = 80;
+
+// Accents are pushed towards white (dark templates) or black (light ones)
+// until they reach this contrast with the background
+const MIN_ACCENT_CONTRAST = 3;
+
+const DEFAULT_TEMPLATE = "dark";
+
+const TEMPLATES = {
+  dark: {
+    label: "Dark",
+    background: "#0b0d0f",
+    text: "#E6E7EB",
+    muted: "#A8AAB0",
+    accent: "#16FF70",
+    qr: { dark: "#0b0d0f", light: "#16FF70", patch: "#16FF70" },
+    logos: ["./netlify/functions/assets/logo_nobg.png", "./netlify/functions/assets/logo.png"],
+  },
+  // Print-friendly: no page fill, dark text, docuProof green darkened for paper
+  light: {
+    label: "Light (print)",
+    background: "#FFFFFF",
+    text: "#1A1D21",
+    muted: "#5F6368",
+    accent: "#0A7F3F",
+    qr: { dark: "#000000", light: "#FFFFFF", patch: "#0A7F3F" },
+    // The stock logos have white lettering; light certificates get a text wordmark
+    logos: [],
+  },
+};
+
+/**
+ * Template name for `value` ("dark" | "light"), or null.
+ */
+function normalizeTemplate(value) {
+  const name = String(value || "").trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, name) ? name : null;
+}
+
+/**
+ * "#rrggbb" for "#RGB" / "#RRGGBB" (with or without "#"), or null.
+ */
+function normalizeAccent(value) {
+  const m = String(value || "").trim().toLowerCase().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (!m) return null;
+  const hex = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+  return `#${hex}`;
+}
+
+/**
+ * "image/png" or "image/jpeg" by magic bytes, or null.
+ */
+function logoType(bytes) {
+  if (!bytes || bytes.length < 8) return null;
+  if (bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return "image/jpeg";
+  return null;
+}
+
+function rgbOf(hex) {
+  const n = parseInt(normalizeAccent(hex).slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function hexOf(rgb) {
+  return `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")}`;
+}
+
+// WCAG relative luminance
+function luminance(hex) {
+  const [r, g, b] = rgbOf(hex).map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+/**
+ * `accent` mixed towards white or black, in 10% steps, until it stands out
+ * from `background` — so a navy accent still reads on the dark template.
+ */
+function readableAccent(accent, background) {
+  const base = rgbOf(accent);
+  const target = luminance(background) < 0.5 ? [255, 255, 255] : [0, 0, 0];
+  for (let step = 0; step <= 10; step++) {
+    const mixed = hexOf(base.map((c, i) => c + ((target[i] - c) * step) / 10));
+    if (contrastRatio(mixed, background) >= MIN_ACCENT_CONTRAST) return mixed;
+  }
+  return hexOf(target);
+}
+
+/**
+ * May this entitlement (_accounts.entitlementOf) brand certificates?
+ */
+function canBrand(entitlement) {
+  return !!(entitlement && entitlement.active && BRANDING_PLANS.has(entitlement.plan));
+}
+
+/**
+ * What to draw for `settings` (an account's `branding`, or {}):
+ * { template, label, background, text, muted, accent, qr, logos, name, logo, logoType, branded }.
+ * `template` overrides the saved template; `logo` is the uploaded logo (Buffer) or null.
+ */
+function themeOf(settings = {}, { template = null, logo = null } = {}) {
+  const name = normalizeTemplate(template) || normalizeTemplate(settings.template) || DEFAULT_TEMPLATE;
+  const base = TEMPLATES[name];
+  const accent = normalizeAccent(settings.accent);
+  return {
+    template: name,
+    ...base,
+    accent: accent ? readableAccent(accent, base.background) : base.accent,
+    name: settings.name || null,
+    logo: logo || null,
+    logoType: logoType(logo),
+    branded: !!(accent || settings.name || logo),
+  };
+}
+
+/**
+ * Saved branding settings for `email` (the account's `branding`), or null.
+ */
+async function getBranding(email) {
+  const account = await getAccount(email);
+  return (account && account.branding) || null;
+}
+
+/**
+ * Theme for certificates and verify pages of proof `id` (see themeOf): the
+ * owner's branding while their plan includes it, else the stock template.
+ */
+async function themeForProof(id, { template = null } = {}) {
+  const proof = id ? await getProof(id) : null;
+  const email = proof && proof.customerEmail;
+  const account = email ? await getAccount(email) : null;
+  if (!account || !account.branding || !canBrand(entitlementOf(account))) {
+    return themeOf({}, { template });
+  }
+  const logo = account.branding.logo ? await getBrandingLogo(email) : null;
+  return themeOf(account.branding, { template, logo });
+}
+
+function brandingError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Replace the branding of `email`. `logo` (Buffer) replaces the stored logo,
+ * `removeLogo` drops it, neither keeps it. Returns the saved settings.
+ * Throws with err.code "NOT_ENTITLED", "INVALID_LOGO" or "LOGO_TOO_LARGE".
+ */
+async function saveBranding(email, { template, accent, name, logo = null, removeLogo = false } = {}) {
+  if (!email) throw new Error('saveBranding: "email" is required');
+
+  const account = await getAccount(email);
+  if (!canBrand(entitlementOf(account || {}))) {
+    throw brandingError("NOT_ENTITLED", "Certificate branding is part of the Pro plan");
+  }
+
+  let logoMeta = account.branding?.logo || null;
+  if (logo && logo.length) {
+    if (logo.length > MAX_LOGO_BYTES) {
+      throw brandingError("LOGO_TOO_LARGE", `Logos can be at most ${MAX_LOGO_BYTES / 1024} KB`);
+    }
+    const type = logoType(logo);
+    if (!type) throw brandingError("INVALID_LOGO", "The logo must be a PNG or JPEG image");
+    await setBrandingLogo(email, logo, type);
+    logoMeta = {
+      type,
+      size: logo.length,
+      sha256: crypto.createHash("sha256").update(logo).digest("hex"),
+      updatedAt: new Date().toISOString(),
+    };
+  } else if (removeLogo && logoMeta) {
+    await removeBrandingLogo(email);
+    logoMeta = null;
+  }
+
+  const branding = {
+    template: normalizeTemplate(template) || DEFAULT_TEMPLATE,
+    accent: normalizeAccent(accent),
+    name: String(name || "").trim().slice(0, MAX_NAME_LENGTH) || null,
+    logo: logoMeta,
+    updatedAt: new Date().toISOString(),
+  };
+  await updateAccount(email, (doc) => ({ ...doc, branding, updatedAt: branding.updatedAt }));
+  return branding;
+}
+
+module.exports = {
+  TEMPLATES,
+  DEFAULT_TEMPLATE,
+  MAX_LOGO_BYTES,
+  normalizeTemplate,
+  normalizeAccent,
+  logoType,
+  readableAccent,
+  canBrand,
+  themeOf,
+  getBranding,
+  themeForProof,
+  saveBranding,
+};
@@ -0,0 +1,232 @@
+// netlify/functions/_bundle.js
+// Certificate PDFs as self-contained proof bundles: proof_pdf attaches the
+// .ots receipt and a JSON manifest to the PDF as embedded files (pdf-lib), and
+// extractBundle / verifyBundle read them back out of a certificate.
+//
+//   docuproof-manifest.json   { format, version, id, hash, algorithm, created, …, anchor, receipt, signature }
+//   <proof id>.ots            the receipt as stored when the certificate was generated
+//
+// The manifest's Ed25519 signature (_signing.js) is also written to the PDF
+// metadata (DocuProofSignature, DocuProofKeyId, DocuProofSignatureAlg), so
+// an edited manifest or a certificate docuProof never signed is flagged.
+//
+// A pending edition carries the pending receipt; regenerate the certificate
+// after anchoring for a bundle with the complete one.
+
+const crypto = require("crypto");
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFRawStream, PDFString, AFRelationship, decodePDFRawStream } = require("pdf-lib");
+const { verifyReceipt } = require("./_ots");
+const { trustedKeys, verifyManifestSignature } = require("./_signing");
+
+const MANIFEST_NAME = "docuproof-manifest.json";
+const MANIFEST_FORMAT = "docuproof-certificate";
+const MANIFEST_VERSION = 1;
+// PDF Info dictionary entries carrying the signature
+const INFO_KEYS = { value: "DocuProofSignature", kid: "DocuProofKeyId", alg: "DocuProofSignatureAlg" };
+
+function sha256Hex(bytes) {
+  return crypto.createHash("sha256").update(bytes).digest("hex");
+}
+
+function receiptNameOf(id) {
+  return `${id}.ots`;
+}
+
+/**
+ * Manifest for a certificate from loadCertificate() data (_certificate.js).
+ */
+function buildManifest(cert, { verifyUrl = null, generatedAt = new Date().toISOString() } = {}) {
+  const { proof } = cert;
+  const receipt = cert.receiptBytes;
+  return {
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    id: cert.id,
+    hash: cert.digest,
+    algorithm: "sha256",
+    created: cert.createdAt,
+    filename: proof.filename || null,
+    displayName: proof.displayName || null,
+    ...(proof.batch ? { batch: { id: proof.batch.id, role: proof.batch.role, size: proof.batch.size, root: proof.batch.root || null } } : {}),
+    verifyUrl,
+    generatedAt,
+    edition: cert.edition,
+    anchor: {
+      state: cert.state,
+      txid: cert.txid,
+      blockHeight: cert.block ? cert.block.height : null,
+      blockTime: cert.block ? cert.block.time : null,
+      confirmations: cert.confirmations,
+      headerCheck: cert.verified,
+      calendars: cert.calendars,
+    },
+    receipt: receipt
+      ? { name: receiptNameOf(cert.id), sha256: sha256Hex(receipt), size: receipt.length }
+      : null,
+  };
+}
+
+/**
+ * Attach the manifest (and the receipt, when there is one) to `pdfBytes`,
+ * and copy manifest.signature, when present, into the PDF metadata.
+ * Returns the new PDF bytes.
+ */
+async function embedBundle(pdfBytes, { manifest, receipt = null }) {
+  if (!manifest || !manifest.id) throw new Error('embedBundle: "manifest" is required');
+  const pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const when = manifest.generatedAt ? new Date(manifest.generatedAt) : new Date();
+  if (manifest.signature) {
+    const info = pdf.getInfoDict();
+    for (const [field, key] of Object.entries(INFO_KEYS)) {
+      if (manifest.signature[field]) info.set(PDFName.of(key), PDFString.of(String(manifest.signature[field])));
+    }
+  }
+
+  await pdf.attach(Buffer.from(JSON.stringify(manifest, null, 2)), MANIFEST_NAME, {
+    mimeType: "application/json",
+    description: "docuProof proof manifest",
+    creationDate: when,
+    modificationDate: when,
+    afRelationship: AFRelationship.Data,
+  });
+  if (receipt) {
+    await pdf.attach(receipt, receiptNameOf(manifest.id), {
+      mimeType: "application/vnd.opentimestamps.ots",
+      description: "OpenTimestamps receipt (verify with: ots verify)",
+      creationDate: when,
+      modificationDate: when,
+      afRelationship: AFRelationship.Data,
+    });
+  }
+  return pdf.save();
+}
+
+// Embedded files of a name tree node (Names pairs, then Kids)
+function collectFiles(node, out) {
+  const pairs = node.lookupMaybe(PDFName.of("Names"), PDFArray);
+  for (let i = 0; pairs && i + 1 < pairs.size(); i += 2) {
+    const name = pairs.lookup(i).decodeText();
+    const spec = pairs.lookup(i + 1);
+    const ef = spec instanceof PDFDict ? spec.lookupMaybe(PDFName.of("EF"), PDFDict) : null;
+    const stream = ef && ef.lookup(PDFName.of("F"));
+    if (!(stream instanceof PDFRawStream)) continue;
+    const subtype = stream.dict.lookupMaybe(PDFName.of("Subtype"), PDFName);
+    out.push({
+      name,
+      mimeType: subtype ? decodeURIComponent(subtype.asString().slice(1).replace(/#([0-9a-f]{2})/gi, "%$1")) : null,
+      bytes: Buffer.from(decodePDFRawStream(stream).decode()),
+    });
+  }
+  const kids = node.lookupMaybe(PDFName.of("Kids"), PDFArray);
+  for (let i = 0; kids && i < kids.size(); i++) collectFiles(kids.lookup(i, PDFDict), out);
+  return out;
+}
+
+// Signature from the PDF metadata, or null when the PDF carries none
+function signatureOf(pdf) {
+  const info = pdf.getInfoDict();
+  const read = (key) => {
+    const v = info.lookup(PDFName.of(key));
+    return v && typeof v.decodeText === "function" ? v.decodeText() : null;
+  };
+  const value = read(INFO_KEYS.value);
+  return value ? { alg: read(INFO_KEYS.alg), kid: read(INFO_KEYS.kid), value } : null;
+}
+
+/**
+ * Read the embedded files back out of a certificate PDF. Returns
+ * { manifest, receipt, signature, files: [{ name, mimeType, bytes }] } where
+ * manifest / receipt / signature (from the metadata) are null when absent. Throws with err.code "NOT_A_PDF" for input
+ * pdf-lib cannot parse and "BAD_MANIFEST" for an unreadable manifest.
+ */
+async function extractBundle(pdfBytes) {
+  let pdf;
+  try {
+    pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  } catch (e) {
+    throw Object.assign(new Error(`not a readable PDF: ${e.message}`), { code: "NOT_A_PDF" });
+  }
+  const names = pdf.catalog.lookupMaybe(PDFName.of("Names"), PDFDict);
+  const tree = names && names.lookupMaybe(PDFName.of("EmbeddedFiles"), PDFDict);
+  const files = tree ? collectFiles(tree, []) : [];
+
+  const manifestFile = files.find((f) => f.name === MANIFEST_NAME);
+  let manifest = null;
+  if (manifestFile) {
+    try {
+      manifest = JSON.parse(manifestFile.bytes.toString("utf8"));
+    } catch (e) {
+      throw Object.assign(new Error(`${MANIFEST_NAME} is not valid JSON`), { code: "BAD_MANIFEST" });
+    }
+  }
+  const receiptName = manifest && manifest.receipt ? manifest.receipt.name : null;
+  const receiptFile = files.find((f) => (receiptName ? f.name === receiptName : f.name.endsWith(".ots")));
+
+  return { manifest, receipt: receiptFile ? receiptFile.bytes : null, signature: signatureOf(pdf), files };
+}
+
+/**
+ * Extract a certificate's bundle and check that it hangs together: the
+ * manifest carries a valid docuProof signature, the receipt is the one the
+ * manifest names, and it commits to the manifest's hash. Returns
+ * { ok, problems, manifest, receipt, signature, receiptCheck } where
+ * signature is { checked, ok, kid, reason } (checked is false when no
+ * public key is available, see `keys`) and receiptCheck is verifyReceipt()'s
+ * summary (null without a receipt). Checking the Bitcoin attestations
+ * against block headers is left to the caller (verifyAgainstHeaders in _ots.js).
+ */
+async function verifyBundle(pdfBytes, { keys = trustedKeys() } = {}) {
+  const extracted = await extractBundle(pdfBytes);
+  const { manifest, receipt } = extracted;
+  const problems = [];
+  if (!manifest) problems.push("no docuProof manifest embedded in this PDF");
+  else if (manifest.format !== MANIFEST_FORMAT) problems.push(`unknown manifest format "${manifest.format}"`);
+  if (!receipt) problems.push("no .ots receipt embedded in this PDF");
+
+  if (manifest && receipt && manifest.receipt && manifest.receipt.sha256 !== sha256Hex(receipt)) {
+    problems.push("embedded receipt does not match the manifest");
+  }
+  const { problem, ...signature } = checkSignature(manifest, extracted.signature, keys);
+  if (problem) problems.push(problem);
+
+  const receiptCheck = receipt ? verifyReceipt(receipt, { hash: manifest ? manifest.hash : null }) : null;
+  if (receiptCheck && !receiptCheck.ok) problems.push(`receipt unreadable: ${receiptCheck.error}`);
+  if (receiptCheck && receiptCheck.ok && receiptCheck.digestMatches === false) {
+    problems.push("receipt does not commit to the manifest hash");
+  }
+
+  return { ok: problems.length === 0, problems, manifest, receipt, signature, receiptCheck };
+}
+
+// Signature check for verifyBundle, with the problem to report (if any)
+function checkSignature(manifest, fromInfo, keys) {
+  const embedded = manifest && manifest.signature;
+  const sig = fromInfo || embedded || null;
+  if (!manifest) return { checked: false, ok: false, kid: null, reason: "unsigned" };
+  if (fromInfo && embedded && fromInfo.value !== embedded.value) {
+    return {
+      checked: true, ok: false, kid: fromInfo.kid, reason: "bad_signature",
+      problem: "signature in the PDF metadata differs from the manifest's: the certificate was altered",
+    };
+  }
+  if (!sig) {
+    return { checked: true, ok: false, kid: null, reason: "unsigned", problem: "certificate is not signed by docuProof" };
+  }
+  if (!keys.length) return { checked: false, ok: false, kid: sig.kid || null, reason: "no_keys" };
+
+  const check = verifyManifestSignature(manifest, sig, { keys });
+  const problem = check.ok
+    ? null
+    : check.reason === "unknown_key"
+      ? `signed with a key docuProof does not publish (${check.kid || "no key id"})`
+      : "signature does not match the manifest: the certificate was altered";
+  return { checked: true, ...check, problem };
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  buildManifest,
+  embedBundle,
+  extractBundle,
+  verifyBundle,
+};
@@ -0,0 +1,88 @@
+// netlify/functions/_certificate.js
+// Everything a certificate shows, loaded from the stored records rather than
+// the query string, so proof_pdf can regenerate it at any time:
+//
+//   proof record (_db)          digest, creation time, names, batch
+//   anchor document             state, txid, block height, confirmations, header check
+//   .ots receipt (_batch/_ots)  calendar URLs, and txid / height when the anchor lacks them
+//   block header (_headers)     block time, when the header check has not stored it
+//
+// The edition is "anchored" once the anchor is ANCHORED or CONFIRMED, else "pending".
+
+const { getProofAnchor, getProofReceipt } = require("./_batch");
+const { STATES } = require("./_anchor_state");
+const { verifyReceipt } = require("./_ots");
+const { getBlockHeader } = require("./_headers");
+
+const ANCHORED_STATES = [STATES.ANCHORED, STATES.CONFIRMED];
+
+/**
+ * First 12 hex chars of a digest, the "Quick Verify ID" on certificates.
+ */
+function shortIdFromHash(h) {
+  const m = String(h || "").toLowerCase().match(/[0-9a-f]{12,}/);
+  return m ? m[0].slice(0, 12) : "----------";
+}
+
+// ISO time of block `height`: from the stored header check, else the provider
+async function blockTimeOf(anchor, height) {
+  const checks = (anchor && anchor.verification && anchor.verification.checks) || [];
+  const known = checks.find((c) => c.height === height && Number.isFinite(c.blockTime));
+  if (known) return new Date(known.blockTime * 1000).toISOString();
+  try {
+    const header = await getBlockHeader(height);
+    return Number.isFinite(header && header.time) ? new Date(header.time * 1000).toISOString() : null;
+  } catch (e) {
+    console.warn(`certificate: block time for ${height} unavailable:`, e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * Certificate data for proof `id`, or null when there is no such proof:
+ * { id, edition, proof, anchor, digest, quickId, createdAt, state,
+ *   confirmations, verified, txid, block: { height, time } | null, calendars,
+ *   receiptBytes } where receiptBytes is this proof's .ots (or null).
+ */
+async function loadCertificate(id) {
+  const { proof, anchor } = await getProofAnchor(id);
+  if (!proof) return null;
+
+  let receipt = null;
+  let receiptBytes = null;
+  try {
+    const { bytes } = await getProofReceipt(id);
+    receiptBytes = bytes || null;
+    if (bytes) receipt = verifyReceipt(bytes, { hash: proof.hash });
+  } catch (e) {
+    console.warn(`certificate: receipt for ${id} unreadable:`, e?.message || e);
+  }
+  const attested = receipt && receipt.ok && receipt.bitcoin.length ? receipt.bitcoin[0] : null;
+
+  const anchored = !!anchor && ANCHORED_STATES.includes(anchor.state);
+  const height = anchored
+    ? (Number.isInteger(anchor.blockHeight) ? anchor.blockHeight : attested ? attested.height : null)
+    : null;
+  const calendars = [
+    ...new Set([...((receipt && receipt.ok && receipt.pending) || []), ...((anchor && anchor.pendingCalendars) || [])]),
+  ];
+
+  return {
+    id,
+    edition: anchored ? "anchored" : "pending",
+    proof,
+    anchor,
+    digest: proof.hash || null,
+    quickId: shortIdFromHash(proof.hash),
+    createdAt: proof.createdAt || null,
+    state: anchor ? anchor.state : STATES.QUEUED,
+    confirmations: anchor ? anchor.confirmations || 0 : 0,
+    verified: !!(anchor && anchor.verification && anchor.verification.verified),
+    txid: anchored ? anchor.txid || (attested && attested.txid) || null : null,
+    block: height !== null ? { height, time: await blockTimeOf(anchor, height) } : null,
+    calendars,
+    receiptBytes,
+  };
+}
+
+module.exports = { shortIdFromHash, loadCertificate };
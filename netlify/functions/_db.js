@@ -1,58 +1,46 @@
 // netlify/functions/_db.js
-// Persistence via Netlify Blobs (with safe dynamic import for CJS functions).
-
-// Memoized dynamic import so we only resolve the module once per cold start.
-let _storePromise = null;
-
-// Minimal and robust Netlify Blobs access layer
-async function getStoreSafe() {
-  if (_storePromise) return _storePromise;
-
-  _storePromise = (async () => {
-    try {
-      const mod = await import("@netlify/blobs");
-
-      // First try the automatic environment binding
-      try {
-        // Named store "proofs"
-        return mod.getStore("proofs");
-      } catch {
-        // Manual fallback if environment isn’t fully configured
-        const siteID =
-          process.env.NETLIFY_SITE_ID ||
-          process.env.SITE_ID ||
-          process.env.SITE_NAME ||
-          null;
-
-        const token =
-          process.env.NETLIFY_BLOBS_TOKEN ||
-          process.env.BLOBS_TOKEN ||
-          null;
-
-        if (siteID && token) {
-          // Newer SDKs expose BlobsClient, older ones only getStore(options)
-          if (mod.BlobsClient) {
-            const client = new mod.BlobsClient({ siteID, token });
-            return client.getStore("proofs");
-          }
-          // Legacy style
-          return mod.getStore({ name: "proofs", siteID, token });
-        }
-
-        // No usable configuration
-        return null;
-      }
-    } catch {
-      // Blobs not available at all (local dev etc.)
-      return null;
-    }
-  })();
-
-  return _storePromise;
-}
-
-// In-memory fallback for dev / no-blobs
-const memFallback = new Map();
+// Repository for everything docuProof persists: proof records (plus the
+// hash → proof-id index), batch manifests, issued certificates, one-time
+// proof notices, subscriber accounts (and their branding logos), login links,
+// API keys, outbound webhooks, anchor status, the pending-work index, .ots receipt bytes, feeds
+// and the webhook event ledger.
+// All functions go through these accessors; store binding, legacy read
+// fallback and the local filesystem backend live in _store.js.
+
+const crypto = require("crypto");
+const store = require("./_store");
+
+// Fixed: changing it strands ids registered under the old shard layout
+const PENDING_SHARDS = 16;
+
+// Canonical keys (writes) and legacy aliases (read fallback only)
+const keys = {
+  proof: (id) => `proof:${id}`,
+  proofLegacy: (id) => `proof:${id}.json`,
+  hashIndex: (hash) => `hashes/${hash}.json`,
+  batch: (batchId) => `batches/${batchId}.json`,
+  batchExpansions: () => "batches/expanding.json",
+  certificate: (id, certId) => `certificates/${id}/${certId}.json`,
+  proofNotice: (kind, id) => `notices/${kind}/${id}.json`,
+  account: (email) => `accounts/${email}.json`,
+  accountByCustomer: (customerId) => `accounts/by-customer/${customerId}.json`,
+  proofRequest: (tokenHash) => `accounts/requests/${tokenHash}.json`,
+  brandingLogo: (email) => `accounts/logos/${email}`,
+  loginNonce: (nonce) => `auth/login-nonces/${nonce}.json`,
+  loginLimit: (scope, digest) => `auth/login-limits/${scope}/${digest}.json`,
+  apiKey: (keyId) => `apikeys/${keyId}.json`,
+  hookEndpoint: (endpointId) => `webhooks/endpoints/${endpointId}.json`,
+  hookDelivery: (deliveryId) => `webhooks/deliveries/${deliveryId}.json`,
+  hookLog: (endpointId) => `webhooks/log/${endpointId}.json`,
+  hookRetries: () => "webhooks/retries.json",
+  anchor: (id) => `anchor:${id}.json`,
+  pendingShard: (n) => `anchors/pending/${String(n).padStart(2, "0")}.json`,
+  receipt: (id) => `ots/receipts/${id}.ots`,
+  receiptLegacy: (id) => `ots:${id}.receipt`,
+  feed: (email) => (email ? `feed:email:${normalizeEmail(email) || email}` : "feed:all"),
+  webhookEvent: (eventId) => `webhook-event:${eventId}`,
+  migrationReport: (runId) => `migrations/${runId}.json`,
+};
 
 function normalizeRecord(meta) {
   if (!meta || !meta.id) {
@@ -71,6 +59,16 @@ function normalizeRecord(meta) {
     version: 1,
   };
 
+  // Multi-file proofs (see _batch.js): { id, role: "root" | "member", ... }
+  if (meta.batch && typeof meta.batch === "object") {
+    base.batch = meta.batch;
+  }
+
+  // Certificate language (see _i18n.js), chosen at checkout
+  if (meta.lang) {
+    base.lang = meta.lang;
+  }
+
   // Optional email metadata for idempotency
   if (meta.emailSentAt) {
     base.emailSentAt = meta.emailSentAt;
@@ -82,36 +80,484 @@ function normalizeRecord(meta) {
   return base;
 }
 
+// ————— proof records —————
+
 /**
  * Persist a proof record by its canonical key. Idempotent (overwrite).
+ * Keeps the hash index in step when the record's hash is new or changed.
  */
 async function saveProof(meta) {
   const record = normalizeRecord(meta);
-  const key = `proof:${record.id}`;
-
-  const store = await getStoreSafe();
-  if (store) {
-    await store.set(key, JSON.stringify(record), {
-      contentType: "application/json",
-    });
-    return record;
-  }
+  const prev = await getProof(record.id);
+  await store.writeJson(keys.proof(record.id), record);
 
-  // Volatile fallback (local/dev only)
-  memFallback.set(key, record);
+  const prevHash = normalizeHash(prev && prev.hash);
+  if (prevHash && prevHash !== normalizeHash(record.hash)) {
+    await unindexProofHash(prevHash, record.id);
+  }
+  await indexProofHash(record);
   return record;
 }
 
+/**
+ * Save a proof record only if its id is new (a conditional create, so of two
+ * concurrent callers exactly one wins). Returns { record, created }: the saved
+ * record, or the one already stored under that id.
+ */
+async function createProof(meta) {
+  const record = normalizeRecord(meta);
+  let created = false;
+  const stored = await store.updateJson(keys.proof(record.id), (doc) => {
+    created = !doc;
+    return created ? record : undefined;
+  });
+  if (created) await indexProofHash(record);
+  return { record: stored, created };
+}
+
+/**
+ * Retrieve a proof record by id, or null if missing.
+ */
+async function getProof(id) {
+  if (!id) throw new Error('getProof: "id" is required');
+  const { value } = await store.readJson([keys.proof(id), keys.proofLegacy(id)]);
+  return value && typeof value === "object" ? value : null;
+}
+
+// ————— hash index —————
+// hashes/<sha256>.json → { hash, proofs: [{ id, createdAt }] } in indexing order.
+// Lets a customer who kept the file but lost the proof id find it again.
+
+// Lowercase SHA-256 hex, or null for anything else
+function normalizeHash(hash) {
+  const h = String(hash || "").trim().toLowerCase();
+  return /^[0-9a-f]{64}$/.test(h) ? h : null;
+}
+
+/**
+ * Add a proof record to the index for its hash (no-op without a SHA-256 hash
+ * or when already listed). Returns true when the index was written.
+ */
+async function indexProofHash(record) {
+  if (!record || !record.id) throw new Error('indexProofHash: "id" is required');
+  const hash = normalizeHash(record.hash);
+  if (!hash) return false;
+
+  let written = false;
+  await store.updateJson(keys.hashIndex(hash), (doc) => {
+    const proofs = doc && Array.isArray(doc.proofs) ? doc.proofs : [];
+    written = !proofs.some((p) => p.id === record.id);
+    if (!written) return undefined;
+    const entry = { id: record.id, createdAt: record.createdAt || null };
+    return { hash, proofs: [...proofs, entry], updatedAt: new Date().toISOString() };
+  });
+  return written;
+}
+
+async function unindexProofHash(hash, id) {
+  const h = normalizeHash(hash);
+  if (!h || !id) return;
+  await store.updateJson(keys.hashIndex(h), (doc) => {
+    if (!doc || !Array.isArray(doc.proofs) || !doc.proofs.some((p) => p.id === id)) return undefined;
+    return { hash: h, proofs: doc.proofs.filter((p) => p.id !== id), updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Proofs recorded for a SHA-256 digest: [{ id, createdAt }] in indexing order.
+ * Throws when `hash` is not 64 hex characters.
+ */
+async function findProofsByHash(hash) {
+  const h = normalizeHash(hash);
+  if (!h) throw new Error('findProofsByHash: "hash" must be a SHA-256 hex digest');
+  const { value } = await store.readJson(keys.hashIndex(h));
+  return value && Array.isArray(value.proofs) ? value.proofs : [];
+}
+
+// ————— batch manifests —————
+
+/**
+ * Manifest of a multi-file proof, saved at checkout and expanded into proof
+ * records once paid (see _batch.js), or null.
+ */
+async function getBatch(batchId) {
+  if (!batchId) throw new Error('getBatch: "batchId" is required');
+  const { value } = await store.readJson(keys.batch(batchId));
+  return value && typeof value === "object" ? value : null;
+}
+
+async function saveBatch(batch) {
+  if (!batch || !batch.id) throw new Error('saveBatch: "id" is required');
+  await store.writeJson(keys.batch(batch.id), batch);
+  return batch;
+}
+
+/**
+ * Read-modify-write of a batch manifest (see updateAccount). Returns the
+ * stored manifest.
+ */
+async function updateBatch(batchId, mutate) {
+  if (!batchId) throw new Error('updateBatch: "batchId" is required');
+  return store.updateJson(keys.batch(batchId), mutate);
+}
+
+/**
+ * Queue a paid batch whose file records are still to be written.
+ */
+async function queueBatchExpansion(batchId) {
+  if (!batchId) throw new Error('queueBatchExpansion: "batchId" is required');
+  const now = new Date().toISOString();
+  await store.updateJson(keys.batchExpansions(), (doc) => {
+    const ids = (doc && doc.ids) || {};
+    if (ids[batchId]) return undefined;
+    return { ids: { ...ids, [batchId]: { since: now } }, updatedAt: now };
+  });
+}
+
+/**
+ * Queued batch ids, oldest first.
+ */
+async function listBatchExpansions() {
+  const { value } = await store.readJson(keys.batchExpansions());
+  const ids = (value && value.ids) || {};
+  return Object.keys(ids).sort((a, b) => String(ids[a].since).localeCompare(String(ids[b].since)));
+}
+
+async function settleBatchExpansion(batchId) {
+  if (!batchId) throw new Error('settleBatchExpansion: "batchId" is required');
+  await store.updateJson(keys.batchExpansions(), (doc) => {
+    if (!doc || !doc.ids || !doc.ids[batchId]) return undefined;
+    const { [batchId]: _done, ...ids } = doc.ids;
+    return { ids, updatedAt: new Date().toISOString() };
+  });
+}
+
+// ————— issued certificates —————
+// certificates/<proofId>/<certId>.json keeps the signed manifest of every
+// certificate proof_pdf renders (certId from the signature, see _signing.js),
+// so a scanned QR code can be checked against what docuProof actually issued.
+
+/**
+ * Signed manifest of certificate `certId` for proof `id`, or null.
+ */
+async function getIssuedCertificate(id, certId) {
+  if (!id || !certId) throw new Error('getIssuedCertificate: "id" and "certId" are required');
+  const { value } = await store.readJson(keys.certificate(id, certId));
+  return value && typeof value === "object" ? value : null;
+}
+
+async function saveIssuedCertificate(doc) {
+  if (!doc || !doc.id || !doc.certId) throw new Error('saveIssuedCertificate: "id" and "certId" are required');
+  await store.writeJson(keys.certificate(doc.id, doc.certId), doc);
+  return doc;
+}
+
+// ————— one-time proof notices —————
+// notices/<kind>/<proofId>.json marks a customer notification (e.g. the
+// "anchored" email) as sent, so cron reruns and concurrent resolvers send it
+// once. Kept outside the proof record, which saveProof() rewrites.
+
+/**
+ * Claim notice `kind` for proof `id`. Returns true for the first claim and
+ * false when it was already claimed (sent, or being sent).
+ */
+async function claimProofNotice(kind, id) {
+  if (!kind || !id) throw new Error('claimProofNotice: "kind" and "id" are required');
+  let claimed = false;
+  await store.updateJson(keys.proofNotice(kind, id), (doc) => {
+    claimed = !doc;
+    return claimed ? { kind, id, claimedAt: new Date().toISOString(), sentAt: null } : undefined;
+  });
+  return claimed;
+}
+
+/**
+ * Record the outcome of a claimed notice: `sent: true` keeps the claim with
+ * sentAt; `sent: false` drops it so a later run can try again.
+ */
+async function settleProofNotice(kind, id, { sent, ...fields } = {}) {
+  if (!kind || !id) throw new Error('settleProofNotice: "kind" and "id" are required');
+  if (!sent) return store.removeKey(keys.proofNotice(kind, id));
+  await store.updateJson(keys.proofNotice(kind, id), (doc) => ({
+    kind,
+    id,
+    claimedAt: null,
+    ...doc,
+    ...fields,
+    sentAt: new Date().toISOString(),
+  }));
+}
+
+// ————— subscriber accounts —————
+// accounts/<email>.json holds the subscription and the allowance usage
+// (see _accounts.js); accounts/by-customer/<cus_...>.json maps a Stripe
+// customer back to that email for subscription and invoice events.
+
+// Lowercased, trimmed email, or null when it does not look like one
+function normalizeEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  return /^[^\s@/]+@[^\s@/]+$/.test(e) ? e : null;
+}
+
+/**
+ * Account document for an email, or null.
+ */
+async function getAccount(email) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('getAccount: "email" is required');
+  const { value } = await store.readJson(keys.account(e));
+  return value && typeof value === "object" ? value : null;
+}
+
+/**
+ * Read-modify-write an account with optimistic concurrency. `mutate(doc)`
+ * gets the current document (or null) and returns the next one, or undefined
+ * to leave it untouched. Returns the stored document.
+ */
+async function updateAccount(email, mutate) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('updateAccount: "email" is required');
+  return store.updateJson(keys.account(e), mutate);
+}
+
+/**
+ * Email recorded for a Stripe customer id, or null.
+ */
+async function getAccountEmailByCustomer(customerId) {
+  if (!customerId) throw new Error('getAccountEmailByCustomer: "customerId" is required');
+  const { value } = await store.readJson(keys.accountByCustomer(customerId));
+  return (value && value.email) || null;
+}
+
+async function linkAccountCustomer(customerId, email) {
+  const e = normalizeEmail(email);
+  if (!customerId || !e) throw new Error('linkAccountCustomer: "customerId" and "email" are required');
+  await store.writeJson(keys.accountByCustomer(customerId), {
+    customerId,
+    email: e,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Pending subscriber proof request (see subscriber_proof.mjs), keyed by the
+ * SHA-256 of its confirmation token, or null.
+ */
+async function getProofRequest(tokenHash) {
+  if (!tokenHash) throw new Error('getProofRequest: "tokenHash" is required');
+  const { value } = await store.readJson(keys.proofRequest(tokenHash));
+  return value && typeof value === "object" ? value : null;
+}
+
+async function saveProofRequest(tokenHash, request) {
+  if (!tokenHash) throw new Error('saveProofRequest: "tokenHash" is required');
+  await store.writeJson(keys.proofRequest(tokenHash), request);
+  return request;
+}
+
+/**
+ * Store the branding logo (PNG or JPEG bytes) of the account for `email`.
+ */
+async function setBrandingLogo(email, bytes, contentType) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('setBrandingLogo: "email" is required');
+  if (!bytes) throw new Error('setBrandingLogo: "bytes" is required');
+  await store.writeBytes(keys.brandingLogo(e), Buffer.from(bytes), contentType);
+  return true;
+}
+
+/**
+ * Branding logo bytes (Buffer) for `email`, or null.
+ */
+async function getBrandingLogo(email) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('getBrandingLogo: "email" is required');
+  const { bytes } = await store.readBytes(keys.brandingLogo(e));
+  return bytes;
+}
+
+async function removeBrandingLogo(email) {
+  const e = normalizeEmail(email);
+  if (!e) throw new Error('removeBrandingLogo: "email" is required');
+  await store.removeKey(keys.brandingLogo(e));
+}
+
+// ————— login links —————
+
+/**
+ * Mark a magic-link nonce as used (see _auth.js). Returns true for the first
+ * claim and false when the link was already used.
+ */
+async function claimLoginNonce(nonce, { email = null } = {}) {
+  if (!nonce) throw new Error('claimLoginNonce: "nonce" is required');
+  let claimed = false;
+  await store.updateJson(keys.loginNonce(nonce), (doc) => {
+    claimed = !doc;
+    return claimed ? { nonce, email, usedAt: new Date().toISOString() } : undefined;
+  });
+  return claimed;
+}
+
+/**
+ * Count one magic-link request against `subject` (an email or client IP)
+ * in a fixed window of `windowMs`. Returns true while the window has room for
+ * it, false once `limit` requests were already counted. Subjects are stored
+ * hashed under `scope` ("email" | "ip").
+ */
+async function hitLoginLimit(scope, subject, { limit, windowMs, now = Date.now() } = {}) {
+  if (!scope || !subject) throw new Error('hitLoginLimit: "scope" and "subject" are required');
+  const digest = crypto.createHash("sha256").update(String(subject)).digest("hex");
+  let allowed = false;
+  await store.updateJson(keys.loginLimit(scope, digest), (doc) => {
+    const fresh = !doc || !(now - Date.parse(doc.windowStart) < windowMs);
+    const count = fresh ? 0 : doc.count || 0;
+    allowed = count < limit;
+    if (!allowed) return undefined;
+    return {
+      windowStart: fresh ? new Date(now).toISOString() : doc.windowStart,
+      count: count + 1,
+      updatedAt: new Date(now).toISOString(),
+    };
+  });
+  return allowed;
+}
+
+// ————— API keys —————
+// apikeys/<keyId>.json → { id, email, name, hash, createdAt, lastUsedAt, revokedAt }.
+// Only the SHA-256 of the secret is stored (see _api_keys.js); the account
+// document lists its key ids.
+
+/**
+ * API key document by key id, or null.
+ */
+async function getApiKey(keyId) {
+  if (!keyId) throw new Error('getApiKey: "keyId" is required');
+  const { value } = await store.readJson(keys.apiKey(keyId));
+  return value && typeof value === "object" ? value : null;
+}
+
+async function saveApiKey(doc) {
+  if (!doc || !doc.id) throw new Error('saveApiKey: "id" is required');
+  await store.writeJson(keys.apiKey(doc.id), doc);
+  return doc;
+}
+
+/**
+ * Read-modify-write of an existing API key document with optimistic
+ * concurrency (see updateAccount). `mutate(doc)` returns the next document,
+ * or undefined to leave it untouched. Returns the stored document, or null
+ * when there is no such key.
+ */
+async function updateApiKey(keyId, mutate) {
+  if (!keyId) throw new Error('updateApiKey: "keyId" is required');
+  return store.updateJson(keys.apiKey(keyId), (doc) => {
+    if (!doc || typeof doc !== "object") return undefined;
+    const next = mutate(doc);
+    return next === undefined ? undefined : { ...next, id: keyId };
+  });
+}
+
+// ————— outbound webhooks —————
+// Customer endpoints and their deliveries (see _webhooks.js). Each endpoint
+// keeps a capped log of recent deliveries; deliveries waiting for a retry are
+// listed in one queue document ({ ids: { <deliveryId>: nextAttemptAt } }).
+
+const MAX_HOOK_LOG = 100;
+
+/**
+ * Webhook endpoint by id, or null.
+ */
+async function getHookEndpoint(endpointId) {
+  if (!endpointId) throw new Error('getHookEndpoint: "endpointId" is required');
+  const { value } = await store.readJson(keys.hookEndpoint(endpointId));
+  return value && typeof value === "object" ? value : null;
+}
+
+async function saveHookEndpoint(endpoint) {
+  if (!endpoint || !endpoint.id) throw new Error('saveHookEndpoint: "id" is required');
+  await store.writeJson(keys.hookEndpoint(endpoint.id), endpoint);
+  return endpoint;
+}
+
+/**
+ * Webhook delivery (event, endpoint, attempts) by id, or null.
+ */
+async function getHookDelivery(deliveryId) {
+  if (!deliveryId) throw new Error('getHookDelivery: "deliveryId" is required');
+  const { value } = await store.readJson(keys.hookDelivery(deliveryId));
+  return value && typeof value === "object" ? value : null;
+}
+
+async function saveHookDelivery(delivery) {
+  if (!delivery || !delivery.id) throw new Error('saveHookDelivery: "id" is required');
+  await store.writeJson(keys.hookDelivery(delivery.id), delivery);
+  return delivery;
+}
+
+/**
+ * Add or refresh a delivery in its endpoint's log (newest first, capped).
+ */
+async function logHookDelivery(endpointId, entry) {
+  if (!endpointId || !entry || !entry.id) throw new Error('logHookDelivery: "endpointId" and "id" are required');
+  await store.updateJson(keys.hookLog(endpointId), (doc) => {
+    const rest = ((doc && doc.deliveries) || []).filter((d) => d.id !== entry.id);
+    return { endpointId, deliveries: [entry, ...rest].slice(0, MAX_HOOK_LOG), updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Recent deliveries of an endpoint, newest first.
+ */
+async function listHookLog(endpointId) {
+  if (!endpointId) throw new Error('listHookLog: "endpointId" is required');
+  const { value } = await store.readJson(keys.hookLog(endpointId));
+  return (value && Array.isArray(value.deliveries) && value.deliveries) || [];
+}
+
+/**
+ * Queue a delivery for a retry at `at` (ISO), or drop it from the queue with null.
+ */
+async function scheduleHookRetry(deliveryId, at) {
+  if (!deliveryId) throw new Error('scheduleHookRetry: "deliveryId" is required');
+  await store.updateJson(keys.hookRetries(), (doc) => {
+    const ids = (doc && doc.ids) || {};
+    if (!at && !ids[deliveryId]) return undefined;
+    const { [deliveryId]: _prev, ...rest } = ids;
+    return { ids: at ? { ...rest, [deliveryId]: at } : rest, updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Queued retries: [{ deliveryId, nextAttemptAt }] (any order).
+ */
+async function listHookRetries() {
+  const { value } = await store.readJson(keys.hookRetries());
+  const ids = (value && value.ids) || {};
+  return Object.entries(ids).map(([deliveryId, nextAttemptAt]) => ({ deliveryId, nextAttemptAt }));
+}
+
+// ————— feeds —————
+
+const FEED_LIMIT = 200;
+
+// Read-modify-write of a feed (see updateAnchor): until the primary store has
+// its own copy, `mutate(list, { legacy: true })` starts from the legacy
+// stores' feed, so the first write after a store move keeps the older entries.
+async function updateFeed(key, mutate) {
+  const { value: fallback } = await store.readJson(key);
+  return store.updateJson(key, (feed) => {
+    if (Array.isArray(feed)) return mutate(feed, { legacy: false });
+    return mutate(Array.isArray(fallback) ? fallback : [], { legacy: Array.isArray(fallback) });
+  });
+}
+
 /**
  * Append a compact entry to rolling feeds:
  * - "feed:all"
- * - "feed:email:<email>"
+ * - "feed:email:<email>" (email lowercased, see normalizeEmail)
  * Keeps up to 200 recent items, newest first.
  */
 async function appendToFeeds(record) {
-  const store = await getStoreSafe();
-  if (!store) return; // if not available, skip silently
-
   const entry = {
     id: record.id,
     createdAt: record.createdAt,
@@ -123,35 +569,46 @@ async function appendToFeeds(record) {
 
   async function writeFeed(key) {
     try {
-      let feed = await store.get(key, { type: "json" });
-      if (!Array.isArray(feed)) feed = [];
       // prepend newest
-      feed.unshift(entry);
-      if (feed.length > 200) feed = feed.slice(0, 200);
-      await store.set(key, JSON.stringify(feed), {
-        contentType: "application/json",
-      });
+      await updateFeed(key, (list) => [entry, ...list].slice(0, FEED_LIMIT));
     } catch {
       // swallow: feeds are best-effort
     }
   }
 
-  await writeFeed("feed:all");
+  await writeFeed(keys.feed());
   if (record.customerEmail) {
-    await writeFeed(`feed:email:${record.customerEmail}`);
+    await writeFeed(keys.feed(record.customerEmail));
   }
 }
 
+/**
+ * Merge feed `entries` into the feed of `email` ("feed:all" without one): one
+ * entry per proof id, newest first, capped like appendToFeeds. A feed only
+ * found in a legacy store is written to the primary store either way.
+ * Returns how many entries were added.
+ */
+async function mergeIntoFeed(email, entries) {
+  let added = 0;
+  await updateFeed(keys.feed(email), (list, { legacy }) => {
+    const seen = new Set(list.map((e) => e && e.id));
+    const fresh = (entries || []).filter((e) => e && e.id && !seen.has(e.id));
+    added = fresh.length;
+    if (!added && !legacy) return undefined;
+    return [...list, ...fresh]
+      .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")))
+      .slice(0, FEED_LIMIT);
+  });
+  return added;
+}
+
 /**
  * Read recent proofs from the rolling feeds.
  * If email is provided, returns that user’s feed; otherwise global feed.
  */
 async function listProofs({ email, limit = 50 } = {}) {
-  const store = await getStoreSafe();
-  if (!store) return [];
-  const key = email ? `feed:email:${email}` : "feed:all";
   try {
-    const feed = await store.get(key, { type: "json" });
+    const { value: feed } = await store.readJson(keys.feed(email));
     if (!Array.isArray(feed)) return [];
     return feed.slice(0, limit);
   } catch {
@@ -159,69 +616,287 @@ async function listProofs({ email, limit = 50 } = {}) {
   }
 }
 
+// ————— anchor status —————
+
 /**
- * Retrieve a proof record by id, or null if missing.
+ * Anchor status document for a proof, or null.
+ * With { withSource: true } returns { anchor, storeName } for diagnostics.
  */
-async function getProof(id) {
-  if (!id) throw new Error('getProof: "id" is required');
+async function getAnchor(id, { withSource = false } = {}) {
+  if (!id) throw new Error('getAnchor: "id" is required');
+  const { value, storeName } = await store.readJson(keys.anchor(id));
+  const anchor = value && typeof value === "object" ? value : null;
+  return withSource ? { anchor, storeName } : anchor;
+}
 
-  const store = await getStoreSafe();
-  if (!store) return null;
+/**
+ * Read-modify-write of anchor:<id>.json with optimistic concurrency (see
+ * updateAccount). `mutate(doc)` gets the primary store's document — or a
+ * legacy store's copy until the first canonical write — and returns the next
+ * one, or undefined to leave it untouched. Returns the stored document.
+ * The only anchor writer: _anchor_state.js calls it, everything else goes
+ * through transition().
+ */
+async function updateAnchor(id, mutate) {
+  if (!id) throw new Error('updateAnchor: "id" is required');
+  const fallback = await getAnchor(id);
+  return store.updateJson(keys.anchor(id), (doc) => {
+    const next = mutate(doc && typeof doc === "object" ? doc : fallback);
+    return next === undefined ? undefined : { ...next, id };
+  });
+}
 
-  const keys = [`proof:${id}`, `proof:${id}.json`];
+// ————— pending-work index —————
+// Ids that still need scheduled work, spread over PENDING_SHARDS documents
+// ({ ids: { <id>: { state, since, checkedAt, attempts, nextAttemptAt } } }) so
+// concurrent writers rarely touch the same one. Updated with optimistic concurrency.
 
-  for (const key of keys) {
-    try {
-      const j = await store.get(key, { type: "json" });
-      if (j && typeof j === "object") return j;
-    } catch {}
+function pendingShardOf(id) {
+  return crypto.createHash("sha256").update(String(id)).digest().readUInt16BE(0) % PENDING_SHARDS;
+}
 
-    try {
-      const val = await store.get(key);
-      if (!val) continue;
-      if (typeof val === "string") return JSON.parse(val);
-      if (val && typeof val.text === "function") {
-        return JSON.parse(await val.text());
-      }
-    } catch {}
+/**
+ * Add or refresh an id in the pending index. A (re)registration makes the id
+ * due immediately: any scheduler backoff is cleared.
+ */
+async function registerPending(id, { state = null } = {}) {
+  if (!id) throw new Error('registerPending: "id" is required');
+  const now = new Date().toISOString();
+  await store.updateJson(keys.pendingShard(pendingShardOf(id)), (doc) => {
+    const ids = (doc && doc.ids) || {};
+    const prev = ids[id] || { since: now, checkedAt: null };
+    const entry = { ...prev, state, attempts: 0, nextAttemptAt: null };
+    return { ids: { ...ids, [id]: entry }, updatedAt: now };
+  });
+}
+
+/**
+ * Drop an id from the pending index (no-op when absent).
+ */
+async function removePending(id) {
+  if (!id) throw new Error('removePending: "id" is required');
+  await store.updateJson(keys.pendingShard(pendingShardOf(id)), (doc) => {
+    if (!doc || !doc.ids || !doc.ids[id]) return undefined;
+    const { [id]: _removed, ...ids } = doc.ids;
+    return { ids, updatedAt: new Date().toISOString() };
+  });
+}
+
+/**
+ * Every pending entry across all shards: [{ id, shard, state, since, checkedAt }].
+ */
+async function listPending() {
+  const out = [];
+  for (let shard = 0; shard < PENDING_SHARDS; shard++) {
+    const { value } = await store.readJson(keys.pendingShard(shard));
+    const ids = (value && value.ids) || {};
+    for (const [id, entry] of Object.entries(ids)) {
+      out.push({ id, shard, ...entry });
+    }
   }
+  return out;
+}
 
-  return null;
+/**
+ * Apply one scheduler pass to a shard: drop `remove` ids and stamp checkedAt
+ * plus the given scheduling fields ({ attempts, nextAttemptAt, lastError })
+ * on each id in `checked` ({ <id>: fields }).
+ */
+async function settlePendingShard(shard, { remove = [], checked = {} } = {}) {
+  const now = new Date().toISOString();
+  await store.updateJson(keys.pendingShard(shard), (doc) => {
+    if (!doc || !doc.ids) return undefined;
+    const ids = { ...doc.ids };
+    for (const id of remove) delete ids[id];
+    for (const [id, fields] of Object.entries(checked)) {
+      if (ids[id]) ids[id] = { ...ids[id], ...fields, checkedAt: now };
+    }
+    return { ids, updatedAt: now };
+  });
 }
 
+// ————— receipts —————
+
 /**
- * Store a raw .ots receipt by proof id.
+ * Store a raw .ots receipt by proof id (canonical key only).
  */
 async function setOtsReceipt(id, bytes) {
   if (!id) throw new Error('setOtsReceipt: "id" is required');
   if (!bytes) throw new Error('setOtsReceipt: "bytes" is required');
+  await store.writeBytes(keys.receipt(id), Buffer.from(bytes));
+  return true;
+}
 
-  const key = `ots/receipts/${id}.ots`;
-  const store = await getStoreSafe();
+/**
+ * Receipt bytes plus where they were found:
+ * { bytes, key, storeName, legacy } (bytes null when missing).
+ */
+async function getOtsReceiptEx(id) {
+  if (!id) throw new Error('getOtsReceiptEx: "id" is required');
+  return store.readBytes([keys.receipt(id), keys.receiptLegacy(id)]);
+}
 
-  if (store) {
-    await store.set(key, bytes, {
-      contentType: "application/octet-stream",
-    });
-    return true;
-  }
+/**
+ * Receipt bytes (Buffer) or null.
+ */
+async function getOtsReceipt(id) {
+  const { bytes } = await getOtsReceiptEx(id);
+  return bytes;
+}
 
-  // Volatile fallback (local/dev): just hold bytes in memory
-  memFallback.set(key, bytes);
-  return true;
+// ————— webhook event ledger —————
+
+/**
+ * Processed-event ledger for inbound webhooks (replay protection).
+ * Keyed by the provider's event id, e.g. Stripe "evt_...".
+ */
+async function getWebhookEvent(eventId) {
+  if (!eventId) throw new Error('getWebhookEvent: "eventId" is required');
+  const { value } = await store.readJson(keys.webhookEvent(eventId));
+  return value && typeof value === "object" ? value : null;
+}
+
+/**
+ * Claim an event for processing: the first delivery, a failed one, or one
+ * whose "processing" lease (`leaseMs`) ran out. Atomic, so of concurrent
+ * deliveries of one event exactly one wins. Returns { claimed, prior } —
+ * when not claimed, `prior` says why (status "processed" or "processing").
+ */
+async function claimWebhookEvent(eventId, fields = {}, { leaseMs, now = Date.now() } = {}) {
+  if (!eventId) throw new Error('claimWebhookEvent: "eventId" is required');
+  let result = null;
+  await store.updateJson(keys.webhookEvent(eventId), (doc) => {
+    const prior = doc && typeof doc === "object" ? doc : null;
+    const busy = prior?.status === "processing" && now - Date.parse(prior.startedAt) < leaseMs;
+    if (prior?.status === "processed" || busy) {
+      result = { claimed: false, prior };
+      return undefined;
+    }
+    result = { claimed: true, prior };
+    return {
+      ...prior,
+      ...fields,
+      id: eventId,
+      status: "processing",
+      startedAt: new Date(now).toISOString(),
+      attempts: (prior?.attempts || 0) + 1,
+      updatedAt: new Date().toISOString(),
+    };
+  });
+  return result;
+}
+
+/**
+ * Merge fields into the ledger entry for an event and return the result.
+ */
+async function recordWebhookEvent(eventId, fields = {}) {
+  if (!eventId) throw new Error('recordWebhookEvent: "eventId" is required');
+  return store.updateJson(keys.webhookEvent(eventId), (prev) => ({
+    ...(prev || {}),
+    ...fields,
+    id: eventId,
+    updatedAt: new Date().toISOString(),
+  }));
+}
+
+// ————— store migrations —————
+
+/**
+ * Report for a bulk store migration run (see migrate_stores.mjs), or null.
+ */
+async function getMigrationReport(runId) {
+  if (!runId) throw new Error('getMigrationReport: "runId" is required');
+  const { value } = await store.readJson(keys.migrationReport(runId));
+  return value && typeof value === "object" ? value : null;
+}
+
+async function saveMigrationReport(report) {
+  if (!report || !report.runId) throw new Error('saveMigrationReport: "runId" is required');
+  await store.writeJson(keys.migrationReport(report.runId), report);
+  return report;
+}
+
+// ————— diagnostics —————
+
+/**
+ * Raw lookup of any key (primary, then legacy stores).
+ */
+async function getBlobEx(key) {
+  if (!key) throw new Error('getBlobEx: "key" is required');
+  return store.readBytes(key);
 }
 
 // Quiet ping check
 async function ping() {
-  const store = await getStoreSafe();
-  return { blobsReady: !!store };
+  const backend = await store.getBackend();
+  return {
+    blobsReady: backend.kind === "blobs",
+    backend: backend.kind,
+    authPath: backend.authPath,
+    primaryStore: backend.primaryName,
+    legacyStores: backend.legacy.map((s) => s.name),
+  };
 }
 
 module.exports = {
+  keys,
   saveProof,
+  createProof,
+  getProof,
+  normalizeHash,
+  indexProofHash,
+  findProofsByHash,
+  getBatch,
+  saveBatch,
+  updateBatch,
+  queueBatchExpansion,
+  listBatchExpansions,
+  settleBatchExpansion,
+  getIssuedCertificate,
+  saveIssuedCertificate,
+  claimProofNotice,
+  settleProofNotice,
+  normalizeEmail,
+  getAccount,
+  updateAccount,
+  getAccountEmailByCustomer,
+  linkAccountCustomer,
+  getProofRequest,
+  saveProofRequest,
+  setBrandingLogo,
+  getBrandingLogo,
+  removeBrandingLogo,
+  claimLoginNonce,
+  hitLoginLimit,
+  getApiKey,
+  saveApiKey,
+  updateApiKey,
+  getHookEndpoint,
+  saveHookEndpoint,
+  getHookDelivery,
+  saveHookDelivery,
+  logHookDelivery,
+  listHookLog,
+  scheduleHookRetry,
+  listHookRetries,
   appendToFeeds,
+  mergeIntoFeed,
   listProofs,
-  getProof,
+  getAnchor,
+  updateAnchor,
+  PENDING_SHARDS,
+  registerPending,
+  removePending,
+  listPending,
+  settlePendingShard,
   setOtsReceipt,
+  getOtsReceipt,
+  getOtsReceiptEx,
+  getWebhookEvent,
+  claimWebhookEvent,
+  recordWebhookEvent,
+  getMigrationReport,
+  saveMigrationReport,
+  getBlobEx,
   ping,
 };
@@ -1,4 +1,5 @@
 const postmark = require("postmark");
+const { renderEmail } = require("./_email_templates");
 
 /**
  * Send an email via Postmark
@@ -8,6 +9,8 @@ const postmark = require("postmark");
  * @param {string} options.htmlBody
  * @param {string} [options.textBody]
  * @param {Array} [options.attachments] - [{Name, Content, ContentType}]
+ * @param {string} [options.tag] - Postmark tag (template name)
+ * @param {object} [options.metadata] - Postmark metadata, string values
  */
 exports.sendEmail = async function sendEmail({
   to,
@@ -15,6 +18,8 @@ exports.sendEmail = async function sendEmail({
   htmlBody,
   textBody,
   attachments = [],
+  tag,
+  metadata,
 }) {
   const token = process.env.POSTMARK_SERVER_TOKEN;
   const from = process.env.POSTMARK_FROM;
@@ -32,5 +37,29 @@ exports.sendEmail = async function sendEmail({
     HtmlBody: htmlBody,
     TextBody: textBody,
     Attachments: attachments,
+    ...(tag ? { Tag: tag } : {}),
+    ...(metadata ? { Metadata: metadata } : {}),
+  });
+};
+
+/**
+ * Render a template from _email_templates.js and send it, tagged with the
+ * template name and version.
+ * @param {string} name - template name, e.g. "certificate"
+ * @param {object} data - template data (see the template's sample)
+ * @param {object} options
+ * @param {string} options.to - recipient address
+ * @param {Array} [options.attachments] - [{Name, Content, ContentType}]
+ */
+exports.sendTemplate = async function sendTemplate(name, data, { to, attachments = [] }) {
+  const email = renderEmail(name, data);
+  return exports.sendEmail({
+    to,
+    subject: email.subject,
+    htmlBody: email.htmlBody,
+    textBody: email.textBody,
+    attachments,
+    tag: email.name,
+    metadata: { template: email.name, templateVersion: String(email.version) },
   });
 };
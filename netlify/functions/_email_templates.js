@@ -0,0 +1,316 @@
+// netlify/functions/_email_templates.js
+// Every email docuProof sends, as named and versioned templates.
+//
+//   renderEmail(name, data) → { name, version, subject, htmlBody, textBody }
+//
+// Template bodies use the `html` tag: interpolated values are escaped unless
+// wrapped in raw() or produced by another `html` template, so customer input
+// (file names, titles) never reaches the markup unescaped. The text part is
+// derived from the HTML unless a template defines its own; both get the brand
+// header and footer. Bump `version` when a template's content changes — it is
+// sent to Postmark as metadata (sendTemplate in _email.js) so deliveries can
+// be traced to the copy that went out. email_preview renders each template
+// against its `sample`.
+
+const BRAND_GREEN = "#16FF70";
+const BRAND_DARK = "#0b0d0f";
+const DEFAULT_ORIGIN = "https://docuproof.io";
+
+// Files listed individually in a batch certificate email; the rest are on the proof page
+const BATCH_LIST_LIMIT = 100;
+
+// ————— escaping —————
+
+class Raw {
+  constructor(s) {
+    this.value = String(s);
+  }
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Mark `s` as trusted HTML (not escaped by the `html` tag).
+ */
+function raw(s) {
+  return new Raw(s);
+}
+
+/**
+ * HTML-escape a value for text or a double-quoted attribute.
+ */
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function interpolate(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (value instanceof Raw) return value.value;
+  if (Array.isArray(value)) return value.map(interpolate).join("");
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template: html`<p>${name}</p>` escapes `name`. Returns trusted HTML,
+ * so templates nest. null, undefined and false render as nothing.
+ */
+function html(strings, ...values) {
+  return raw(strings.reduce((out, s, i) => out + s + (i < values.length ? interpolate(values[i]) : ""), ""));
+}
+
+// ————— text fallback —————
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " ", middot: "·", mdash: "—", hellip: "…" };
+
+/**
+ * Plain-text rendering of an email body: links become "label (url)", list
+ * items get "- ", block elements become paragraphs.
+ */
+function htmlToText(markup) {
+  return String(markup)
+    .replace(/<(style|head)[\s\S]*?<\/\1>/gi, "")
+    // Source whitespace is insignificant in HTML; tags decide the line breaks
+    .replace(/\s+/g, " ")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => {
+      const text = label.replace(/<[^>]+>/g, "").trim();
+      return !text || text === href ? href : `${text} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp|middot|mdash|hellip);/g, (_, name) => ENTITIES[name])
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ————— brand layout —————
+
+function layout(body, { origin }) {
+  return html`<!doctype html>
+<html>
+<body style="margin:0;padding:0;background:#f4f5f7">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f5f7">
+    <tr><td align="center" style="padding:24px 12px">
+      <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:8px;overflow:hidden">
+        <tr><td style="background:${BRAND_DARK};padding:16px 24px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif;font-size:20px;font-weight:700;color:${BRAND_GREEN}">docuProof</td></tr>
+        <tr><td style="padding:24px;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif;font-size:15px;line-height:1.5;color:#1d1f23">
+${body}
+        </td></tr>
+        <tr><td style="padding:16px 24px;border-top:1px solid #e6e7eb;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif;font-size:12px;color:#6b7079">
+          <p style="margin:0"><a href="${origin}" style="color:#6b7079">docuProof.io</a> — Bitcoin-anchored proof that your document existed.</p>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+function textLayout(text, { origin }) {
+  return `docuProof\n\n${text}\n\n--\ndocuProof.io — Bitcoin-anchored proof that your document existed.\n${origin}\n`;
+}
+
+// ————— templates —————
+
+const code = (s) => html`<code style="background:#f0f1f3;padding:1px 4px;border-radius:3px;word-break:break-all">${s}</code>`;
+const button = (href, label) =>
+  html`<p style="margin:20px 0"><a href="${href}" style="display:inline-block;background:${BRAND_GREEN};color:${BRAND_DARK};font-weight:600;text-decoration:none;padding:10px 18px;border-radius:6px">${label}</a></p>`;
+
+function batchList({ origin, rootId, members }) {
+  if (!members || !members.length) return null;
+  const shown = members.slice(0, BATCH_LIST_LIMIT);
+  const more = members.length - shown.length;
+  const certUrl = (id) => `${origin}/.netlify/functions/proof_pdf_meta?id=${encodeURIComponent(id)}`;
+  const verifyUrl = (id) => `${origin}/v/${encodeURIComponent(id)}`;
+  return html`
+    <p>This proof covers ${members.length} files. Each has its own certificate and verify page:</p>
+    <ul>${shown.map((m) => html`<li>${m.filename} — <a href="${certUrl(m.id)}">certificate</a> · <a href="${verifyUrl(m.id)}">verify</a> (${code(m.id)})</li>`)}</ul>
+    ${more > 0 && html`<p>…and ${more} more on <a href="${origin}/success?session_id=${encodeURIComponent(rootId)}">your proof page</a>.</p>`}`;
+}
+
+const TEMPLATES = {
+  certificate: {
+    version: 1,
+    description: "Certificate PDF for a new proof (paid checkout or subscriber allowance)",
+    subject: (d) => `Your Proof Certificate: ${d.displayName}`,
+    html: (d) => html`
+      <p>Thanks for using docuProof.io.</p>
+      <p>Your proof certificate is attached as a PDF.${d.allowance && " This proof was counted against your plan's monthly allowance."}</p>
+      <p>Reference: ${code(d.proofId)}</p>
+      ${batchList({ origin: d.origin, rootId: d.proofId, members: d.members })}
+      <p>You can always verify later at <a href="${d.origin}/verify">${d.origin}/verify</a> using your Proof ID.</p>`,
+    sample: {
+      proofId: "cs_test_a1B2c3D4e5F6",
+      displayName: "Lease agreement 2026",
+      allowance: false,
+      members: [],
+    },
+  },
+
+  receipt: {
+    version: 1,
+    description: "Pending OpenTimestamps receipt, right after submission to the calendars",
+    subject: (d) => `docuProof — Your OTS Receipt (${d.id})`,
+    html: (d) => html`
+      <h2 style="margin:0 0 12px;font-size:18px">Your OpenTimestamps receipt</h2>
+      ${d.displayName && html`<p><strong>Title:</strong> ${d.displayName}</p>`}
+      <p><strong>Proof ID:</strong> ${d.id}<br/>
+      <strong>Hash:</strong> ${code(d.hash)}<br/>
+      <strong>Current state:</strong> ${d.state}${d.txid && html` · <a href="https://mempool.space/tx/${encodeURIComponent(d.txid)}">Bitcoin tx</a>`}</p>
+      <p>Receipt attached (${code(`${d.id}.ots`)}). Verify any time:</p>
+      <ul>
+        <li><a href="${d.origin}/.netlify/functions/verify_page?id=${encodeURIComponent(d.id)}">Verify page</a></li>
+        <li><a href="${d.origin}/.netlify/functions/anchor_status?id=${encodeURIComponent(d.id)}">Anchor status (API)</a></li>
+      </ul>
+      <p style="color:#6b7079">Keep this .ots with your original document. Independent verification: ${code("ots verify yourfile.pdf.ots")}</p>`,
+    sample: {
+      id: "cs_test_a1B2c3D4e5F6",
+      hash: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08",
+      displayName: "Lease agreement 2026",
+      state: "CALENDAR_PENDING",
+      txid: null,
+    },
+  },
+
+  anchored: {
+    version: 1,
+    description: "Proof anchored in Bitcoin, with the upgraded receipt and an updated certificate",
+    subject: (d) => `Your proof is now on Bitcoin: ${d.title}`,
+    html: (d) => {
+      const block = Number.isInteger(d.blockHeight) ? `block ${d.blockHeight}` : "a Bitcoin block";
+      const verifyUrl = `${d.origin}/v/${encodeURIComponent(d.id)}`;
+      return html`
+      <p>Good news: your docuProof timestamp is now anchored in ${block}.</p>
+      <p><strong>${d.title}</strong><br/>
+      Proof ID: ${code(d.id)}<br/>
+      SHA-256: ${code(d.hash)}
+      ${d.txid && html`<br/>Transaction: <a href="https://mempool.space/tx/${encodeURIComponent(d.txid)}">${d.txid}</a>`}</p>
+      ${d.batchSize && html`<p>This proof covers ${d.batchSize} files. Each file's upgraded receipt and certificate are on <a href="${d.origin}/success?session_id=${encodeURIComponent(d.id)}">your proof page</a>.</p>`}
+      <p>Attached are the upgraded OpenTimestamps receipt (${code(`${d.id}.ots`)}), which replaces the pending one
+      you received earlier, and a certificate updated with the Bitcoin details.</p>
+      <p>Verify any time at <a href="${verifyUrl}">${verifyUrl}</a>, or independently with ${code("ots verify yourfile.ots")}.</p>`;
+    },
+    sample: {
+      id: "cs_test_a1B2c3D4e5F6",
+      title: "Lease agreement 2026",
+      hash: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08",
+      blockHeight: 918204,
+      txid: "4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b",
+      batchSize: null,
+    },
+  },
+
+  "magic-link": {
+    version: 1,
+    description: "One-time sign-in link",
+    subject: () => "Your docuProof sign-in link",
+    html: (d) => html`
+      <p>Use this link to sign in to docuProof.io:</p>
+      ${button(d.link, "Sign in to docuProof")}
+      <p>It works once and expires in ${d.ttlMinutes} minutes. If you did not ask to sign in, ignore this email.</p>`,
+    // Spelled out so the link is on a line of its own, not in parentheses
+    text: (d) =>
+      `Use this link to sign in to docuProof.io:\n${d.link}\n\n` +
+      `It works once and expires in ${d.ttlMinutes} minutes. If you did not ask to sign in, ignore this email.`,
+    sample: {
+      link: "https://docuproof.io/.netlify/functions/login_confirm?token=sample&next=%2F.netlify%2Ffunctions%2Fhistory",
+      ttlMinutes: 15,
+    },
+  },
+
+  "proof-confirm": {
+    version: 1,
+    description: "Confirmation link for a subscriber proof requested while signed out",
+    subject: () => "Confirm your docuProof proof",
+    html: (d) => html`
+      <p>Confirm the proof for SHA-256 ${code(d.hash)}.</p>
+      ${button(d.link, "Create the proof")}
+      <p>The link works for one hour. It uses one of the ${d.remaining} proofs left on your ${d.planLabel} plan
+      this month. If you did not ask for this, ignore this email.</p>`,
+    text: (d) =>
+      `Confirm the proof for SHA-256 ${d.hash}:\n${d.link}\n\n` +
+      `The link works for one hour and uses one of the ${d.remaining} proofs left on your ` +
+      `${d.planLabel} plan this month. If you did not ask for this, ignore this email.`,
+    sample: {
+      link: "https://docuproof.io/.netlify/functions/subscriber_proof?token=sample",
+      hash: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08",
+      remaining: 12,
+      planLabel: "Starter",
+    },
+  },
+
+  "quota-warning": {
+    version: 1,
+    description: "Monthly proof allowance nearly or fully used",
+    subject: (d) =>
+      d.remaining > 0
+        ? `${d.remaining} docuProof ${d.remaining === 1 ? "proof" : "proofs"} left this month`
+        : "Your docuProof allowance for this month is used up",
+    html: (d) => html`
+      <p>You have used ${d.used} of the ${d.limit} proofs included in your ${d.planLabel} plan this month${d.remaining > 0 ? html`; ${d.remaining} left` : ""}.</p>
+      <p>The allowance resets on ${String(d.resetsAt || "").slice(0, 10)}.${d.remaining <= 0 && " Until then, new proofs can still be bought one at a time through checkout."}</p>
+      ${button(`${d.origin}/start`, "See plans")}`,
+    sample: {
+      planLabel: "Starter",
+      used: 24,
+      limit: 30,
+      remaining: 6,
+      resetsAt: "2026-11-01T00:00:00.000Z",
+    },
+  },
+};
+
+/**
+ * Render template `name` with `data` (origin defaults to the site URL).
+ * Returns { name, version, subject, htmlBody, textBody }.
+ */
+function renderEmail(name, data = {}) {
+  const tpl = Object.prototype.hasOwnProperty.call(TEMPLATES, name) ? TEMPLATES[name] : null;
+  if (!tpl) throw new Error(`renderEmail: unknown template "${name}"`);
+  const origin = String(data.origin || process.env.URL || DEFAULT_ORIGIN).replace(/\/$/, "");
+  const d = { ...data, origin };
+
+  const body = tpl.html(d);
+  const text = tpl.text ? tpl.text(d) : htmlToText(body);
+  return {
+    name,
+    version: tpl.version,
+    subject: tpl.subject(d),
+    htmlBody: String(layout(body, d)),
+    textBody: textLayout(text, d),
+  };
+}
+
+/**
+ * [{ name, version, description }] for every template.
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([name, t]) => ({ name, version: t.version, description: t.description }));
+}
+
+/**
+ * Sample data of template `name` (for previews), or null.
+ */
+function sampleData(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, name) ? { ...TEMPLATES[name].sample } : null;
+}
+
+module.exports = {
+  escapeHtml,
+  html,
+  raw,
+  htmlToText,
+  renderEmail,
+  listTemplates,
+  sampleData,
+};
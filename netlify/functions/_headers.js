@@ -0,0 +1,175 @@
+// netlify/functions/_headers.js
+// Bitcoin block-header source used to turn an attested block height into a
+// confirmation count (and, for verification, to look up a block's merkle root).
+//
+// Env:
+//   BTC_HEADER_PROVIDER        "esplora" (default) | "bitcoind" | "file"
+//   ESPLORA_URL                Esplora-compatible REST base (default https://mempool.space/api)
+//   BITCOIND_RPC_URL           bitcoind JSON-RPC endpoint, e.g. http://127.0.0.1:8332
+//   BITCOIND_RPC_USER / BITCOIND_RPC_PASSWORD
+//   BTC_HEADERS_FILE           JSON file for the "file" provider (tests / offline):
+//                              { "tipHeight": 812400,
+//                                "headers": [{ "height", "hash", "merkleRoot", "time" }] }
+//                              e.g. scripts/fixtures/headers/chain.json, exercised
+//                              by scripts/check_confirmations.js
+//   HEADER_PROVIDER_TIMEOUT_MS per-request timeout (default 5000)
+//   CONFIRMATION_THRESHOLD     confirmations after which a proof is CONFIRMED (default 6)
+//
+// Headers are returned as { height, hash, merkleRoot, time } with hashes in the
+// usual display (big-endian) hex and time in unix seconds.
+
+const fs = require("fs");
+
+const TIMEOUT_MS = Number(process.env.HEADER_PROVIDER_TIMEOUT_MS || 5000);
+const TIP_TTL_MS = 60_000;
+const CONFIRMATION_THRESHOLD = Math.max(1, Number(process.env.CONFIRMATION_THRESHOLD || 6));
+
+async function fetchOk(url, init = {}) {
+  const resp = await fetch(url, { ...init, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => "");
+    throw new Error(`header provider: ${resp.status} from ${url}${text ? `: ${text.slice(0, 200)}` : ""}`);
+  }
+  return resp;
+}
+
+// ————— providers —————
+
+function esploraProvider(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, "");
+  return {
+    name: "esplora",
+    async getTipHeight() {
+      const text = await (await fetchOk(`${base}/blocks/tip/height`)).text();
+      return Number.parseInt(text.trim(), 10);
+    },
+    async getHeader(height) {
+      const hash = (await (await fetchOk(`${base}/block-height/${height}`)).text()).trim();
+      const block = await (await fetchOk(`${base}/block/${hash}`)).json();
+      return { height: block.height, hash: block.id, merkleRoot: block.merkle_root, time: block.timestamp };
+    },
+  };
+}
+
+function bitcoindProvider(rpcUrl, user, password) {
+  // fetch() refuses credentials embedded in the URL; move them to a header
+  const url = new URL(rpcUrl);
+  const username = user || decodeURIComponent(url.username);
+  const secret = password || decodeURIComponent(url.password);
+  url.username = "";
+  url.password = "";
+
+  const headers = { "Content-Type": "application/json" };
+  if (username || secret) {
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${secret}`).toString("base64")}`;
+  }
+
+  async function rpc(method, params = []) {
+    const resp = await fetchOk(url.toString(), {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ jsonrpc: "1.0", id: "docuproof", method, params }),
+    });
+    const body = await resp.json();
+    if (body.error) throw new Error(`bitcoind ${method}: ${body.error.message || JSON.stringify(body.error)}`);
+    return body.result;
+  }
+
+  return {
+    name: "bitcoind",
+    async getTipHeight() {
+      return rpc("getblockcount");
+    },
+    async getHeader(height) {
+      const hash = await rpc("getblockhash", [height]);
+      const h = await rpc("getblockheader", [hash, true]);
+      return { height: h.height, hash: h.hash, merkleRoot: h.merkleroot, time: h.time };
+    },
+  };
+}
+
+function fileProvider(filePath) {
+  let cached = null;
+  const load = () => {
+    if (!cached) {
+      const doc = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const byHeight = new Map((doc.headers || []).map((h) => [Number(h.height), h]));
+      const tip = Number.isFinite(doc.tipHeight) ? doc.tipHeight : Math.max(-1, ...byHeight.keys());
+      cached = { tip, byHeight };
+    }
+    return cached;
+  };
+
+  return {
+    name: "file",
+    async getTipHeight() {
+      return load().tip;
+    },
+    async getHeader(height) {
+      const h = load().byHeight.get(Number(height));
+      if (!h) throw new Error(`header provider: no header for height ${height} in ${filePath}`);
+      return { height: Number(h.height), hash: h.hash, merkleRoot: h.merkleRoot, time: h.time };
+    },
+  };
+}
+
+// ————— selection —————
+
+let _provider = null;
+let _tip = null; // { height, at }
+
+/**
+ * The configured header provider (memoized per cold start).
+ */
+function getHeaderProvider() {
+  if (_provider) return _provider;
+  const kind = (process.env.BTC_HEADER_PROVIDER || "esplora").trim().toLowerCase();
+
+  if (kind === "bitcoind") {
+    if (!process.env.BITCOIND_RPC_URL) throw new Error("BITCOIND_RPC_URL not configured");
+    _provider = bitcoindProvider(
+      process.env.BITCOIND_RPC_URL,
+      process.env.BITCOIND_RPC_USER,
+      process.env.BITCOIND_RPC_PASSWORD
+    );
+  } else if (kind === "file") {
+    if (!process.env.BTC_HEADERS_FILE) throw new Error("BTC_HEADERS_FILE not configured");
+    _provider = fileProvider(process.env.BTC_HEADERS_FILE);
+  } else if (kind === "esplora") {
+    _provider = esploraProvider(process.env.ESPLORA_URL || "https://mempool.space/api");
+  } else {
+    throw new Error(`unknown BTC_HEADER_PROVIDER "${kind}"`);
+  }
+  return _provider;
+}
+
+/**
+ * Current chain tip height, cached briefly so a batch shares one lookup.
+ */
+async function getTipHeight() {
+  if (_tip && Date.now() - _tip.at < TIP_TTL_MS) return _tip.height;
+  const height = await getHeaderProvider().getTipHeight();
+  if (!Number.isInteger(height) || height < 0) throw new Error(`header provider: bad tip height ${height}`);
+  _tip = { height, at: Date.now() };
+  return height;
+}
+
+async function getBlockHeader(height) {
+  return getHeaderProvider().getHeader(height);
+}
+
+/**
+ * Depth of a block at `blockHeight` below `tipHeight` (1 = in the tip block).
+ */
+function confirmationsAt(blockHeight, tipHeight) {
+  if (!Number.isInteger(blockHeight) || !Number.isInteger(tipHeight)) return 0;
+  return tipHeight >= blockHeight ? tipHeight - blockHeight + 1 : 0;
+}
+
+module.exports = {
+  CONFIRMATION_THRESHOLD,
+  getHeaderProvider,
+  getTipHeight,
+  getBlockHeader,
+  confirmationsAt,
+};
@@ -0,0 +1,107 @@
+// netlify/functions/_i18n.js
+// Locale catalog for certificates (proof_pdf) and the verify page:
+// locales/<lang>.json holds flat "section.key" strings with {name}
+// placeholders; keys ending in "Html" carry trusted markup.
+//
+//   proof record `lang` (set at checkout)  → certificate language
+//   ?lang= / Accept-Language               → verify page language
+//
+// Missing keys fall back to English, then to the key itself.
+
+const CATALOGS = {
+  en: require("./locales/en.json"),
+  de: require("./locales/de.json"),
+  fr: require("./locales/fr.json"),
+  es: require("./locales/es.json"),
+};
+
+const DEFAULT_LANG = "en";
+const LANGS = Object.keys(CATALOGS);
+
+/**
+ * Supported language for `value` ("de", "de-AT", "FR_ca" → "de", "fr"),
+ * or null.
+ */
+function normalizeLang(value) {
+  const base = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return LANGS.includes(base) ? base : null;
+}
+
+/**
+ * Best supported language for an Accept-Language header, by q-value
+ * (then header order); DEFAULT_LANG when nothing matches.
+ */
+function negotiateLang(acceptLanguage) {
+  const ranked = String(acceptLanguage || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { lang: normalizeLang(tag), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter((c) => c.lang && c.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked.length ? ranked[0].lang : DEFAULT_LANG;
+}
+
+function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m));
+}
+
+/**
+ * `t(key, vars)` for `lang`, e.g. t("pdf.row.block.mined", { height, time }).
+ */
+function translator(lang) {
+  const catalog = CATALOGS[normalizeLang(lang) || DEFAULT_LANG];
+  return (key, vars = {}) => {
+    const text = catalog[key] ?? CATALOGS[DEFAULT_LANG][key];
+    return text === undefined ? key : interpolate(text, vars);
+  };
+}
+
+/**
+ * Every string of `lang` whose key starts with `prefix`, English filling in
+ * gaps — for pages that translate in the browser.
+ */
+function strings(lang, prefix) {
+  const catalog = CATALOGS[normalizeLang(lang) || DEFAULT_LANG];
+  const out = {};
+  for (const key of Object.keys(CATALOGS[DEFAULT_LANG])) {
+    if (key.startsWith(prefix)) out[key] = catalog[key] ?? CATALOGS[DEFAULT_LANG][key];
+  }
+  return out;
+}
+
+/**
+ * `iso` as a long date and time in UTC for `lang`
+ * ("19. Oktober 2026 um 18:51:31 UTC"), or null when it does not parse.
+ */
+function formatDateTime(iso, lang) {
+  const t = Date.parse(iso || "");
+  if (!Number.isFinite(t)) return null;
+  const text = new Intl.DateTimeFormat(normalizeLang(lang) || DEFAULT_LANG, {
+    dateStyle: "long",
+    timeStyle: "medium",
+    timeZone: "UTC",
+  }).format(new Date(t));
+  // Newer ICU data separates "6:51:31 PM" with U+202F, which the PDF's Helvetica lacks
+  return `${text.replace(/\u202f/g, " ")} UTC`;
+}
+
+/**
+ * [{ lang, name }] for language pickers.
+ */
+function listLangs() {
+  return LANGS.map((lang) => ({ lang, name: CATALOGS[lang]["lang.name"] }));
+}
+
+module.exports = {
+  DEFAULT_LANG,
+  LANGS,
+  normalizeLang,
+  negotiateLang,
+  translator,
+  strings,
+  formatDateTime,
+  listLangs,
+};
@@ -0,0 +1,101 @@
+// netlify/functions/_issue.js
+// Issue a proof outside Stripe Checkout (subscriber allowance): charge the
+// allowance, save the record, start anchoring via submit_proof and email the
+// certificate — the same steps stripe_webhook runs for a paid checkout.
+// Used by subscriber_proof (email confirmation or session) and api_v1 (API key).
+
+const crypto = require("crypto");
+const { createProof, getProof, appendToFeeds, normalizeHash } = require("./_db");
+const { consumeProof, getEntitlement } = require("./_accounts");
+const { sendTemplate } = require("./_email");
+const { proofAccessToken } = require("./_auth");
+const { notifyQuota } = require("./_notify");
+const { normalizeLang } = require("./_i18n");
+
+/**
+ * New id for a proof that has no Checkout session behind it.
+ */
+function newProofId() {
+  return `dp_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/**
+ * Create proof `id` for `email` against their subscription allowance.
+ * Idempotent: an id that already exists is returned as is and not charged
+ * again; of concurrent calls with one id, only the one that creates the record
+ * runs the feeds, anchoring and emails. Quota errors from consumeProof()
+ * propagate before anything is saved.
+ * `notify: false` skips the certificate email (API clients fetch it themselves).
+ * `lang` (_i18n.js) is kept on the record for the certificate language.
+ * Returns { record, entitlement, created }.
+ */
+async function issueProof({ id, email, hash, filename, displayName, lang = null, origin, source = "subscriber", notify = true }) {
+  if (!id) throw new Error('issueProof: "id" is required');
+  if (!origin) throw new Error('issueProof: "origin" is required');
+  const digest = normalizeHash(hash);
+  if (!digest) throw new Error('issueProof: "hash" must be a SHA-256 hex digest');
+
+  const existing = await getProof(id);
+  if (existing) return { record: existing, entitlement: await getEntitlement(email), created: false };
+  const entitlement = await consumeProof(email, id);
+
+  const name = (filename && filename.trim()) || "DocuProof-Certificate.pdf";
+  const title = (displayName && displayName.trim()) || "Document Proof";
+  const { record, created } = await createProof({
+    id,
+    filename: name,
+    displayName: title,
+    hash: digest,
+    customerEmail: email,
+    source,
+    createdAt: new Date().toISOString(),
+    ...(normalizeLang(lang) ? { lang: normalizeLang(lang) } : {}),
+    ...(notify ? { emailSentAt: new Date().toISOString(), emailCount: 1 } : {}),
+  });
+  // consumeProof() counts an id once, so the loser of a race was not charged twice
+  if (!created) return { record, entitlement, created: false };
+  await appendToFeeds(record).catch((e) => console.error("issueProof: feeds (non-fatal):", e));
+
+  try {
+    const res = await fetch(`${origin}/.netlify/functions/submit_proof`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ id, hash: digest, filename: name, displayName: title, customerEmail: email, source }),
+    });
+    if (!res.ok) console.error("issueProof: submit_proof returned", res.status);
+  } catch (e) {
+    console.error("issueProof: submit_proof error (non-fatal):", e);
+  }
+
+  if (notify) {
+    await emailCertificate(record, origin).catch((e) =>
+      console.error("issueProof: certificate email (non-fatal):", e));
+  }
+  await notifyQuota(email, { origin }).catch((e) => console.error("issueProof: allowance warning (non-fatal):", e));
+
+  return { record, entitlement, created: true };
+}
+
+async function emailCertificate(record, origin) {
+  const qs = new URLSearchParams({ id: record.id, access: proofAccessToken(record.id) }).toString();
+
+  const attachments = [];
+  const pdfRes = await fetch(`${origin}/.netlify/functions/proof_pdf?${qs}`);
+  if (pdfRes.ok) {
+    attachments.push({
+      Name: record.filename.endsWith(".pdf") ? record.filename : `${record.filename}.pdf`,
+      Content: Buffer.from(await pdfRes.arrayBuffer()).toString("base64"),
+      ContentType: "application/pdf",
+    });
+  } else {
+    console.error("issueProof: proof_pdf failed", pdfRes.status);
+  }
+
+  await sendTemplate(
+    "certificate",
+    { origin, proofId: record.id, displayName: record.displayName, allowance: true },
+    { to: record.customerEmail, attachments }
+  );
+}
+
+module.exports = { newProofId, issueProof };
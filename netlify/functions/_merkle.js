@@ -0,0 +1,80 @@
+// netlify/functions/_merkle.js
+// Merkle tree over SHA-256 file digests for multi-file (batch) proofs.
+// Only the root is anchored; each file keeps its inclusion path.
+//
+//   parent = sha256(left || right)   (raw 32-byte digests)
+//   an odd node at the end of a level is carried up unchanged
+//
+// A path is [{ side: "left" | "right", hash }] from the leaf upwards, where
+// `side` is the sibling's position. Each step is exactly an OpenTimestamps
+// prepend/append + sha256, so a path can be grafted onto the root's receipt
+// (see graftPath in _ots.js). index.html builds the same tree in the browser;
+// keep the two in step.
+
+const crypto = require("crypto");
+
+const MAX_LEAVES = 1000;
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest();
+}
+
+function parseLeaf(hex, i) {
+  const h = String(hex || "").trim().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(h)) throw new Error(`merkle: leaf ${i} is not a SHA-256 hex digest`);
+  return Buffer.from(h, "hex");
+}
+
+/**
+ * Build the tree over hex leaf digests (in the given order).
+ * Returns { root, paths } with hex hashes; paths[i] belongs to leaves[i].
+ */
+function merkleTree(leaves) {
+  if (!Array.isArray(leaves) || leaves.length === 0) throw new Error('merkle: "leaves" is required');
+  if (leaves.length > MAX_LEAVES) throw new Error(`merkle: at most ${MAX_LEAVES} leaves`);
+
+  let level = leaves.map((hex, i) => ({ hash: parseLeaf(hex, i), members: [i] }));
+  const paths = leaves.map(() => []);
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = level[i + 1];
+      if (!right) {
+        next.push(left);
+        continue;
+      }
+      for (const m of left.members) paths[m].push({ side: "right", hash: right.hash.toString("hex") });
+      for (const m of right.members) paths[m].push({ side: "left", hash: left.hash.toString("hex") });
+      next.push({
+        hash: sha256(Buffer.concat([left.hash, right.hash])),
+        members: left.members.concat(right.members),
+      });
+    }
+    level = next;
+  }
+
+  return { root: level[0].hash.toString("hex"), paths };
+}
+
+/**
+ * Fold a leaf up its path; returns the root as hex.
+ */
+function rootFromPath(leaf, path) {
+  let h = parseLeaf(leaf, 0);
+  for (const step of path || []) {
+    const sibling = Buffer.from(String(step.hash), "hex");
+    if (sibling.length !== 32) throw new Error("merkle: path step is not a SHA-256 digest");
+    if (step.side === "left") h = sha256(Buffer.concat([sibling, h]));
+    else if (step.side === "right") h = sha256(Buffer.concat([h, sibling]));
+    else throw new Error(`merkle: unknown path side "${step.side}"`);
+  }
+  return h.toString("hex");
+}
+
+module.exports = {
+  MAX_LEAVES,
+  merkleTree,
+  rootFromPath,
+};
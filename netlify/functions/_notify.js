@@ -0,0 +1,124 @@
+// netlify/functions/_notify.js
+// One-time customer notifications (templates in _email_templates.js).
+//
+// "Your proof is now on Bitcoin": emailed once per proof when its anchor
+// reaches ANCHORED (or is first seen already CONFIRMED), with the upgraded
+// .ots receipt and a certificate regenerated to show the txid and block height.
+//
+//   _upgrade upgradeProof()          → notifyAnchored()
+//   resolve_cron (anchored branch)   → notifyAnchored()   retries a failed send
+//
+// The one-time claim lives in _db (claimProofNotice); a failed send releases
+// it so the next resolver run tries again. Batches get a single email for the
+// root, pointing at the proof page for the per-file receipts.
+//
+// Allowance warning: after a subscriber proof is charged (_issue, stripe_webhook)
+// the owner is told once per window when the allowance runs low and once when
+// it is used up (claimQuotaWarning in _accounts).
+//
+// Env:
+//   URL  site origin for the proof_pdf self-call and links (set by Netlify)
+
+const { getProof, getOtsReceipt, normalizeEmail, claimProofNotice, settleProofNotice } = require("./_db");
+const { STATES, getAnchorState } = require("./_anchor_state");
+const { sendTemplate } = require("./_email");
+const { proofAccessToken } = require("./_auth");
+const { claimQuotaWarning } = require("./_accounts");
+
+const NOTICE = "anchored";
+
+function siteOrigin() {
+  return (process.env.URL || "https://docuproof.io").replace(/\/$/, "");
+}
+
+// proof_pdf rendered now, i.e. with the anchor row; null when it fails
+async function certificatePdf(proof, origin) {
+  const qs = new URLSearchParams({ id: proof.id, access: proofAccessToken(proof.id) }).toString();
+  const res = await fetch(`${origin}/.netlify/functions/proof_pdf?${qs}`);
+  if (!res.ok) {
+    console.error(`notifyAnchored: proof_pdf failed for ${proof.id}:`, res.status);
+    return null;
+  }
+  return Buffer.from(await res.arrayBuffer());
+}
+
+/**
+ * Email the owner of proof `id` that it is anchored, unless already done.
+ * `id` is the anchor id (a single proof or a batch root). Returns
+ * { sent, reason? }; throws when sending fails (the claim is released first).
+ */
+async function notifyAnchored(id, { origin = siteOrigin() } = {}) {
+  if (!id) throw new Error('notifyAnchored: "id" is required');
+  const anchor = await getAnchorState(id);
+  if (!anchor || ![STATES.ANCHORED, STATES.CONFIRMED].includes(anchor.state)) {
+    return { sent: false, reason: "not anchored" };
+  }
+  const proof = await getProof(id);
+  const to = normalizeEmail((proof && proof.customerEmail) || anchor.email);
+  if (!proof || !to) return { sent: false, reason: "no recipient" };
+  if (!(await claimProofNotice(NOTICE, id))) return { sent: false, reason: "already sent" };
+
+  try {
+    const [receipt, pdf] = await Promise.all([
+      getOtsReceipt(id),
+      certificatePdf(proof, origin).catch((e) => {
+        console.error(`notifyAnchored: certificate for ${id}:`, e);
+        return null;
+      }),
+    ]);
+
+    const attachments = [];
+    if (receipt) {
+      attachments.push({ Name: `${id}.ots`, Content: receipt.toString("base64"), ContentType: "application/octet-stream" });
+    }
+    if (pdf) {
+      const name = proof.filename || "docuProof-Certificate.pdf";
+      attachments.push({
+        Name: name.endsWith(".pdf") ? name : `${name}.pdf`,
+        Content: pdf.toString("base64"),
+        ContentType: "application/pdf",
+      });
+    }
+
+    await sendTemplate(
+      "anchored",
+      {
+        origin,
+        id,
+        title: proof.displayName || proof.filename || "Your document",
+        hash: proof.hash || "",
+        blockHeight: anchor.blockHeight,
+        txid: anchor.txid || null,
+        batchSize: proof.batch && proof.batch.role === "root" ? proof.batch.size : null,
+      },
+      { to, attachments }
+    );
+  } catch (e) {
+    await settleProofNotice(NOTICE, id, { sent: false }).catch(() => {});
+    throw e;
+  }
+
+  await settleProofNotice(NOTICE, id, {
+    sent: true,
+    to,
+    state: anchor.state,
+    txid: anchor.txid || null,
+    blockHeight: anchor.blockHeight ?? null,
+  });
+  return { sent: true };
+}
+
+/**
+ * Email `email` the allowance warning that is due, if any. Returns
+ * { sent, level? }. A failed send is not retried: the next charged proof
+ * brings the next warning.
+ */
+async function notifyQuota(email, { origin = siteOrigin() } = {}) {
+  const claim = await claimQuotaWarning(email);
+  if (!claim) return { sent: false };
+  const { planLabel, used, limit, remaining, resetsAt } = claim.entitlement;
+  await sendTemplate("quota-warning", { origin, planLabel, used, limit, remaining, resetsAt }, { to: claim.entitlement.email });
+  return { sent: true, level: claim.level };
+}
+
+module.exports = { notifyAnchored, notifyQuota };
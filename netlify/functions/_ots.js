@@ -0,0 +1,492 @@
+// netlify/functions/_ots.js
+// OpenTimestamps receipt codec + commitment walk (CommonJS, no network).
+// Lets any function decode, inspect and re-encode a .ots instead of treating
+// it as opaque base64, and check what it actually commits to instead of
+// trusting whatever state/txid sits in anchor:<id>.json.
+//
+// Round-trips canonical receipts byte-for-byte: attestation payloads are kept
+// verbatim and items are written back in the order they were read.
+
+const crypto = require("crypto");
+
+// "\x00OpenTimestamps\x00\x00Proof\x00" + 0xbf89e2e884e89294
+const HEADER_MAGIC = Buffer.from(
+  "004f70656e54696d657374616d7073000050726f6f6600bf89e2e884e89294",
+  "hex"
+);
+
+const MAX_DEPTH = 256;
+const MAX_ARG_LENGTH = 4096;
+const MAX_PAYLOAD_LENGTH = 8192;
+
+// Op tags (see opentimestamps/core/op.py)
+const UNARY_OPS = {
+  0x02: "sha1",
+  0x03: "ripemd160",
+  0x08: "sha256",
+  0x67: "keccak256",
+  0xf2: "reverse",
+  0xf3: "hexlify",
+};
+const BINARY_OPS = {
+  0xf0: "append",
+  0xf1: "prepend",
+};
+
+const OP_TAGS = Object.fromEntries(
+  Object.entries({ ...UNARY_OPS, ...BINARY_OPS }).map(([tag, name]) => [name, Number(tag)])
+);
+
+// Attestation tags (8 bytes, hex)
+const ATTESTATION_TAGS = {
+  "83dfe30d2ef90c8e": "pending",
+  "0588960d73d71901": "bitcoin",
+  "06869a0d73d71b45": "litecoin",
+};
+const ATTESTATION_TYPES = Object.fromEntries(
+  Object.entries(ATTESTATION_TAGS).map(([tag, type]) => [type, tag])
+);
+
+// ————— reader —————
+
+function makeReader(buf) {
+  let pos = 0;
+
+  function need(n) {
+    if (pos + n > buf.length) throw new Error("ots: unexpected end of receipt");
+  }
+
+  return {
+    eof() { return pos >= buf.length; },
+    byte() {
+      need(1);
+      return buf[pos++];
+    },
+    bytes(n) {
+      need(n);
+      const out = buf.subarray(pos, pos + n);
+      pos += n;
+      return out;
+    },
+    varuint() {
+      let value = 0;
+      let shift = 0;
+      for (;;) {
+        const b = this.byte();
+        value += (b & 0x7f) * 2 ** shift;
+        if (!(b & 0x80)) break;
+        shift += 7;
+        if (shift > 49) throw new Error("ots: varuint too large");
+      }
+      return value;
+    },
+    varbytes(max) {
+      const len = this.varuint();
+      if (len > max) throw new Error(`ots: varbytes length ${len} exceeds ${max}`);
+      return this.bytes(len);
+    },
+  };
+}
+
+// ————— writer —————
+
+function makeWriter() {
+  const parts = [];
+  return {
+    byte(b) { parts.push(Buffer.from([b])); },
+    bytes(buf) { parts.push(Buffer.from(buf)); },
+    varuint(n) {
+      if (!Number.isSafeInteger(n) || n < 0) throw new Error(`ots: bad varuint ${n}`);
+      const out = [];
+      do {
+        let b = n % 0x80;
+        n = Math.floor(n / 0x80);
+        if (n > 0) b |= 0x80;
+        out.push(b);
+      } while (n > 0);
+      parts.push(Buffer.from(out));
+    },
+    varbytes(buf) {
+      this.varuint(buf.length);
+      this.bytes(buf);
+    },
+    toBuffer() { return Buffer.concat(parts); },
+  };
+}
+
+// ————— ops —————
+
+function applyOp(op, msg) {
+  switch (op.name) {
+    case "sha1":
+    case "ripemd160":
+    case "sha256":
+      return crypto.createHash(op.name).update(msg).digest();
+    case "append":
+      return Buffer.concat([msg, op.arg]);
+    case "prepend":
+      return Buffer.concat([op.arg, msg]);
+    case "reverse":
+      return Buffer.from(msg).reverse();
+    case "hexlify":
+      return Buffer.from(Buffer.from(msg).toString("hex"), "ascii");
+    default:
+      throw new Error(`ots: unsupported op ${op.name}`);
+  }
+}
+
+function readOp(r, tag) {
+  if (UNARY_OPS[tag]) return { name: UNARY_OPS[tag], tag };
+  if (BINARY_OPS[tag]) {
+    const arg = Buffer.from(r.varbytes(MAX_ARG_LENGTH));
+    return { name: BINARY_OPS[tag], tag, arg };
+  }
+  throw new Error(`ots: unknown op tag 0x${tag.toString(16)}`);
+}
+
+function writeOp(w, op) {
+  const tag = OP_TAGS[op.name];
+  if (tag === undefined) throw new Error(`ots: unknown op ${op.name}`);
+  w.byte(tag);
+  if (BINARY_OPS[tag]) w.varbytes(op.arg);
+}
+
+// ————— attestations —————
+
+function readAttestation(r) {
+  const tag = Buffer.from(r.bytes(8)).toString("hex");
+  const payload = Buffer.from(r.varbytes(MAX_PAYLOAD_LENGTH));
+  const type = ATTESTATION_TAGS[tag] || "unknown";
+  const att = { type, tag, payload };
+
+  if (type === "pending") {
+    // payload is varbytes(uri)
+    att.uri = makeReader(payload).varbytes(1000).toString("utf8");
+  } else if (type === "bitcoin" || type === "litecoin") {
+    att.height = makeReader(payload).varuint();
+  }
+  return att;
+}
+
+function attestationPayload(att) {
+  if (att.payload) return att.payload;
+  const w = makeWriter();
+  if (att.type === "pending") {
+    w.varbytes(Buffer.from(att.uri, "utf8"));
+  } else if (att.type === "bitcoin" || att.type === "litecoin") {
+    w.varuint(att.height);
+  } else {
+    throw new Error(`ots: ${att.type} attestation has no payload`);
+  }
+  return w.toBuffer();
+}
+
+function writeAttestation(w, att) {
+  const tag = att.tag || ATTESTATION_TYPES[att.type];
+  if (!tag) throw new Error(`ots: unknown attestation type ${att.type}`);
+  w.bytes(Buffer.from(tag, "hex"));
+  w.varbytes(attestationPayload(att));
+}
+
+// ————— timestamp tree —————
+
+function readTimestamp(r, msg, depth) {
+  if (depth > MAX_DEPTH) throw new Error("ots: timestamp tree too deep");
+
+  const node = { msg, attestations: [], ops: [] };
+
+  function readItem(tag) {
+    if (tag === 0x00) {
+      node.attestations.push(readAttestation(r));
+    } else {
+      const op = readOp(r, tag);
+      const next = msg && op.name !== "keccak256" ? applyOp(op, msg) : null;
+      node.ops.push({ op, timestamp: readTimestamp(r, next, depth + 1) });
+    }
+  }
+
+  let tag = r.byte();
+  while (tag === 0xff) {
+    readItem(r.byte());
+    tag = r.byte();
+  }
+  readItem(tag);
+
+  return node;
+}
+
+function writeTimestamp(w, node) {
+  const items = [
+    ...node.attestations.map((att) => () => { w.byte(0x00); writeAttestation(w, att); }),
+    ...node.ops.map(({ op, timestamp }) => () => { writeOp(w, op); writeTimestamp(w, timestamp); }),
+  ];
+  if (!items.length) throw new Error("ots: empty timestamp node");
+
+  items.forEach((writeItem, i) => {
+    if (i < items.length - 1) w.byte(0xff);
+    writeItem();
+  });
+}
+
+/**
+ * Decode a detached .ots receipt.
+ * Returns { version, hashOp, digest, timestamp } where every timestamp node
+ * carries the message it commits to (msg is null below unsupported ops).
+ */
+function deserialize(bytes) {
+  const buf = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+  const r = makeReader(buf);
+
+  const magic = r.bytes(HEADER_MAGIC.length);
+  if (!HEADER_MAGIC.equals(magic)) {
+    throw new Error("ots: not an OpenTimestamps receipt (bad header magic)");
+  }
+
+  const version = r.varuint();
+  if (version !== 1) throw new Error(`ots: unsupported receipt version ${version}`);
+
+  const hashOp = readOp(r, r.byte());
+  if (hashOp.arg) throw new Error("ots: file hash op must be a hash");
+  const digestLength = { sha1: 20, ripemd160: 20, sha256: 32, keccak256: 32 }[hashOp.name];
+  if (!digestLength) throw new Error(`ots: ${hashOp.name} is not a file hash op`);
+
+  const digest = Buffer.from(r.bytes(digestLength));
+  const timestamp = readTimestamp(r, digest, 0);
+
+  if (!r.eof()) throw new Error("ots: trailing bytes after timestamp");
+
+  return { version, hashOp: hashOp.name, digest, timestamp };
+}
+
+/**
+ * Encode a { hashOp, digest, timestamp } object (as returned by deserialize)
+ * back into .ots bytes.
+ */
+function serialize({ version = 1, hashOp = "sha256", digest, timestamp }) {
+  if (!digest) throw new Error('ots: "digest" is required');
+  if (!timestamp) throw new Error('ots: "timestamp" is required');
+
+  const w = makeWriter();
+  w.bytes(HEADER_MAGIC);
+  w.varuint(version);
+  writeOp(w, { name: hashOp });
+  w.bytes(digest);
+  writeTimestamp(w, timestamp);
+  return w.toBuffer();
+}
+
+// ————— verification —————
+
+/**
+ * Visit every attestation in the tree, with the op path that leads to it.
+ */
+function collectAttestations(node, path = [], out = []) {
+  for (const att of node.attestations) {
+    out.push({ attestation: att, msg: node.msg, path });
+  }
+  for (const { op, timestamp } of node.ops) {
+    collectAttestations(timestamp, path.concat([{ op, input: node.msg }]), out);
+  }
+  return out;
+}
+
+function isSha256(step) {
+  return step && step.op.name === "sha256";
+}
+
+function isMerkleSibling(step) {
+  return step && (step.op.name === "append" || step.op.name === "prepend") &&
+    step.op.arg.length === 32;
+}
+
+/**
+ * Recover the Bitcoin txid from the tail of a path that ends in a block
+ * merkle root: strip [sibling, sha256, sha256] levels, then expect the
+ * double-SHA256 of the transaction itself.
+ */
+function txidFromPath(path) {
+  let end = path.length;
+  while (end >= 3 && isMerkleSibling(path[end - 3]) &&
+         isSha256(path[end - 2]) && isSha256(path[end - 1])) {
+    end -= 3;
+  }
+  if (end < 2 || !isSha256(path[end - 2]) || !isSha256(path[end - 1])) return null;
+
+  const tx = path[end - 2].input;
+  if (!tx || tx.length < 60) return null; // too short to be a transaction
+
+  const txidLE = crypto.createHash("sha256")
+    .update(crypto.createHash("sha256").update(tx).digest())
+    .digest();
+  return Buffer.from(txidLE).reverse().toString("hex");
+}
+
+function hexOrNull(buf) {
+  return buf ? Buffer.from(buf).toString("hex") : null;
+}
+
+/**
+ * Check that a receipt commits to `hash` (hex) and summarize its attestations.
+ * Never throws for a malformed receipt; returns { ok: false, error } instead.
+ */
+function verifyReceipt(bytes, { hash = null } = {}) {
+  let parsed;
+  try {
+    parsed = deserialize(bytes);
+  } catch (e) {
+    return { ok: false, error: String(e?.message || e) };
+  }
+
+  const receiptDigest = parsed.digest.toString("hex");
+  const expectedDigest = hash ? String(hash).trim().toLowerCase() : null;
+
+  const attestations = collectAttestations(parsed.timestamp).map(({ attestation, msg, path }) => {
+    const out = {
+      type: attestation.type,
+      commitment: hexOrNull(msg),
+      pathLength: path.length,
+    };
+    if (attestation.type === "pending") out.uri = attestation.uri;
+    if (attestation.type === "bitcoin" || attestation.type === "litecoin") {
+      out.height = attestation.height;
+      // Header merkle root as shown by block explorers (reversed byte order)
+      out.merkleRoot = msg ? Buffer.from(msg).reverse().toString("hex") : null;
+    }
+    if (attestation.type === "bitcoin") out.txid = txidFromPath(path);
+    if (attestation.type === "unknown") out.tag = attestation.tag;
+    return out;
+  });
+
+  const pending = attestations.filter((a) => a.type === "pending").map((a) => a.uri);
+  const bitcoin = attestations
+    .filter((a) => a.type === "bitcoin")
+    .map(({ height, merkleRoot, txid }) => ({ height, merkleRoot, txid }))
+    .sort((a, b) => a.height - b.height);
+
+  return {
+    ok: true,
+    hashOp: parsed.hashOp,
+    receiptDigest,
+    expectedDigest,
+    digestMatches: expectedDigest ? receiptDigest === expectedDigest : null,
+    complete: bitcoin.length > 0,
+    pending,
+    bitcoin,
+    attestations,
+  };
+}
+
+/**
+ * Replay a path's ops from `digest` to get the message the attestation at its
+ * end commits to (null when the path crosses an unsupported op).
+ */
+function commitmentFrom(path, digest) {
+  let msg = Buffer.from(digest);
+  for (const { op } of path) {
+    if (op.name === "keccak256") return null;
+    msg = applyOp(op, msg);
+  }
+  return msg;
+}
+
+/**
+ * Check the receipt's Bitcoin attestations against block headers.
+ * The commitment is recomputed from the document `hash` (hex) through the
+ * receipt ops, not taken from the digest stored in the receipt.
+ * `getHeader(height)` resolves to { hash, merkleRoot, time } (display hex).
+ * Resolves to { verified, checks }: verified when at least one attestation
+ * matches its block header and none contradicts one.
+ * scripts/check_merkle_root.js runs it against the bundled fixtures.
+ */
+async function verifyAgainstHeaders(bytes, { hash, getHeader }) {
+  if (!hash) return { verified: false, error: "no document hash to verify against", checks: [] };
+  if (typeof getHeader !== "function") throw new Error('verifyAgainstHeaders: "getHeader" is required');
+
+  let parsed;
+  try {
+    parsed = deserialize(bytes);
+  } catch (e) {
+    return { verified: false, error: String(e?.message || e), checks: [] };
+  }
+
+  const digest = Buffer.from(String(hash).trim(), "hex");
+  const headers = new Map(); // height -> Promise<header>
+  const checks = [];
+
+  for (const { attestation, path } of collectAttestations(parsed.timestamp)) {
+    if (attestation.type !== "bitcoin") continue;
+    const height = attestation.height;
+    const commitment = commitmentFrom(path, digest);
+    const check = {
+      height,
+      computedMerkleRoot: commitment ? Buffer.from(commitment).reverse().toString("hex") : null,
+      headerMerkleRoot: null,
+      blockHash: null,
+      blockTime: null,
+      matches: false,
+    };
+
+    try {
+      if (!headers.has(height)) headers.set(height, Promise.resolve(getHeader(height)));
+      const header = await headers.get(height);
+      check.headerMerkleRoot = String(header.merkleRoot || "").toLowerCase() || null;
+      check.blockHash = header.hash || null;
+      check.blockTime = Number.isFinite(header.time) ? header.time : null;
+      check.matches = !!check.computedMerkleRoot && check.computedMerkleRoot === check.headerMerkleRoot;
+    } catch (e) {
+      check.error = String(e?.message || e);
+    }
+    checks.push(check);
+  }
+
+  checks.sort((a, b) => a.height - b.height);
+  const contradicted = checks.some((c) => !c.error && !c.matches);
+  return {
+    verified: !contradicted && checks.some((c) => c.matches),
+    checks,
+  };
+}
+
+/**
+ * Receipt for one file of a batch: the batch root's receipt with the file's
+ * merkle path ({ side, hash } steps, see _merkle.js) prepended as
+ * append/prepend + sha256 ops, so it verifies from the file's own `digest`.
+ * Throws when the path does not lead to the digest the root receipt commits to.
+ */
+function graftPath(bytes, { digest, path }) {
+  const parsed = deserialize(bytes);
+  if (parsed.hashOp !== "sha256") throw new Error(`ots: cannot graft onto a ${parsed.hashOp} receipt`);
+
+  const steps = (path || []).map((step) => {
+    const arg = Buffer.from(String(step.hash), "hex");
+    if (arg.length !== 32) throw new Error("ots: merkle path step is not a SHA-256 digest");
+    if (step.side !== "left" && step.side !== "right") throw new Error(`ots: unknown path side "${step.side}"`);
+    return { name: step.side === "left" ? "prepend" : "append", arg };
+  });
+
+  const leaf = Buffer.from(String(digest || "").trim(), "hex");
+  if (leaf.length !== 32) throw new Error('ots: "digest" must be a SHA-256 hex digest');
+  let msg = leaf;
+  for (const op of steps) msg = applyOp({ name: "sha256" }, applyOp(op, msg));
+  if (!msg.equals(parsed.digest)) throw new Error("ots: merkle path does not lead to the receipt digest");
+
+  let node = parsed.timestamp;
+  for (let i = steps.length - 1; i >= 0; i--) {
+    const hashed = { attestations: [], ops: [{ op: { name: "sha256" }, timestamp: node }] };
+    node = { attestations: [], ops: [{ op: steps[i], timestamp: hashed }] };
+  }
+  return serialize({ version: parsed.version, hashOp: "sha256", digest: leaf, timestamp: node });
+}
+
+module.exports = {
+  HEADER_MAGIC,
+  applyOp,
+  deserialize,
+  serialize,
+  collectAttestations,
+  txidFromPath,
+  verifyReceipt,
+  commitmentFrom,
+  verifyAgainstHeaders,
+  graftPath,
+};
@@ -0,0 +1,312 @@
+// netlify/functions/_ots_browser.js
+// Browser-side OpenTimestamps reader for verify_page: hashes the visitor's file
+// with crypto.subtle and walks the .ots receipt locally, so neither the file
+// nor the receipt leaves the browser. Mirrors the reader in _ots.js; RIPEMD-160
+// is implemented here because crypto.subtle does not offer it.
+//
+// The library is written as a plain function and shipped as its source text
+// (SCRIPT), which defines window.DocuProofOTS = { parse, verify, ripemd160 }.
+
+function docuProofOts() {
+  "use strict";
+
+  var MAGIC = "004f70656e54696d657374616d7073000050726f6f6600bf89e2e884e89294";
+  var MAX_DEPTH = 256;
+  var UNARY = { 0x02: "sha1", 0x03: "ripemd160", 0x08: "sha256", 0x67: "keccak256", 0xf2: "reverse", 0xf3: "hexlify" };
+  var BINARY = { 0xf0: "append", 0xf1: "prepend" };
+  var DIGEST_LENGTH = { sha1: 20, ripemd160: 20, sha256: 32, keccak256: 32 };
+  var ATTESTATIONS = { "83dfe30d2ef90c8e": "pending", "0588960d73d71901": "bitcoin", "06869a0d73d71b45": "litecoin" };
+
+  function toHex(bytes) {
+    var out = "";
+    for (var i = 0; i < bytes.length; i++) out += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+    return out;
+  }
+
+  function concat(a, b) {
+    var out = new Uint8Array(a.length + b.length);
+    out.set(a, 0);
+    out.set(b, a.length);
+    return out;
+  }
+
+  function reversed(bytes) {
+    return Uint8Array.from(bytes).reverse();
+  }
+
+  // ————— RIPEMD-160 —————
+
+  var ZL = [0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,7,4,13,1,10,6,15,3,12,0,9,5,2,14,11,8,
+    3,10,14,4,9,15,8,1,2,7,0,6,13,11,5,12,1,9,11,10,0,8,12,4,13,3,7,15,14,5,6,2,
+    4,0,5,9,7,12,2,10,14,1,3,8,11,6,15,13];
+  var ZR = [5,14,7,0,9,2,11,4,13,6,15,8,1,10,3,12,6,11,3,7,0,13,5,10,14,15,8,12,4,9,1,2,
+    15,5,1,3,7,14,6,9,11,8,12,2,10,0,4,13,8,6,4,1,3,11,15,0,5,12,2,13,9,7,10,14,
+    12,15,10,4,1,5,8,7,6,2,13,14,0,3,9,11];
+  var SL = [11,14,15,12,5,8,7,9,11,13,14,15,6,7,9,8,7,6,8,13,11,9,7,15,7,12,15,9,11,7,13,12,
+    11,13,6,7,14,9,13,15,14,8,13,6,5,12,7,5,11,12,14,15,14,15,9,8,9,14,5,6,8,6,5,12,
+    9,15,5,11,6,8,13,12,5,12,13,14,11,8,5,6];
+  var SR = [8,9,9,11,13,15,15,5,7,7,8,11,14,14,12,6,9,13,15,7,12,8,9,11,7,7,12,7,6,15,13,11,
+    9,7,15,11,8,6,6,14,12,13,5,14,13,13,7,5,15,5,8,11,14,14,6,14,6,9,12,9,12,5,15,8,
+    8,5,12,9,12,5,14,6,8,13,6,5,15,13,11,11];
+  var KL = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xa953fd4e];
+  var KR = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x7a6d76e9, 0x00000000];
+
+  function rotl(x, n) {
+    return (x << n) | (x >>> (32 - n));
+  }
+
+  function f(j, x, y, z) {
+    if (j < 16) return x ^ y ^ z;
+    if (j < 32) return (x & y) | (~x & z);
+    if (j < 48) return (x | ~y) ^ z;
+    if (j < 64) return (x & z) | (y & ~z);
+    return x ^ (y | ~z);
+  }
+
+  function ripemd160(msg) {
+    var bitLen = msg.length * 8;
+    var padLen = ((msg.length + 8) >> 6) * 64 + 64;
+    var buf = new Uint8Array(padLen);
+    buf.set(msg);
+    buf[msg.length] = 0x80;
+    var view = new DataView(buf.buffer);
+    view.setUint32(padLen - 8, bitLen >>> 0, true);
+    view.setUint32(padLen - 4, Math.floor(bitLen / 0x100000000), true);
+
+    var h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+    var x = new Array(16);
+
+    for (var off = 0; off < padLen; off += 64) {
+      for (var i = 0; i < 16; i++) x[i] = view.getUint32(off + i * 4, true);
+
+      var al = h[0], bl = h[1], cl = h[2], dl = h[3], el = h[4];
+      var ar = al, br = bl, cr = cl, dr = dl, er = el;
+      for (var j = 0; j < 80; j++) {
+        var r = j >> 4;
+        var t = (rotl((al + f(j, bl, cl, dl) + x[ZL[j]] + KL[r]) | 0, SL[j]) + el) | 0;
+        al = el; el = dl; dl = rotl(cl, 10); cl = bl; bl = t;
+        t = (rotl((ar + f(79 - j, br, cr, dr) + x[ZR[j]] + KR[r]) | 0, SR[j]) + er) | 0;
+        ar = er; er = dr; dr = rotl(cr, 10); cr = br; br = t;
+      }
+      var tmp = (h[1] + cl + dr) | 0;
+      h[1] = (h[2] + dl + er) | 0;
+      h[2] = (h[3] + el + ar) | 0;
+      h[3] = (h[4] + al + br) | 0;
+      h[4] = (h[0] + bl + cr) | 0;
+      h[0] = tmp;
+    }
+
+    var out = new Uint8Array(20);
+    var outView = new DataView(out.buffer);
+    for (var k = 0; k < 5; k++) outView.setUint32(k * 4, h[k] >>> 0, true);
+    return out;
+  }
+
+  // ————— ops —————
+
+  function subtleHash(name, msg) {
+    return crypto.subtle.digest(name, msg).then(function (ab) { return new Uint8Array(ab); });
+  }
+
+  function hashWith(name, msg) {
+    if (name === "sha256") return subtleHash("SHA-256", msg);
+    if (name === "sha1") return subtleHash("SHA-1", msg);
+    if (name === "ripemd160") return Promise.resolve(ripemd160(msg));
+    return Promise.resolve(null); // keccak256: not checked in the browser
+  }
+
+  function applyOp(op, msg) {
+    switch (op.name) {
+      case "append": return Promise.resolve(concat(msg, op.arg));
+      case "prepend": return Promise.resolve(concat(op.arg, msg));
+      case "reverse": return Promise.resolve(reversed(msg));
+      case "hexlify": return Promise.resolve(new TextEncoder().encode(toHex(msg)));
+      default: return hashWith(op.name, msg);
+    }
+  }
+
+  // ————— reader —————
+
+  function reader(buf) {
+    var pos = 0;
+    function need(n) {
+      if (pos + n > buf.length) throw new Error("Unexpected end of receipt");
+    }
+    var r = {
+      byte: function () { need(1); return buf[pos++]; },
+      bytes: function (n) { need(n); var out = buf.subarray(pos, pos + n); pos += n; return out; },
+      varuint: function () {
+        var value = 0, shift = 0, b;
+        do {
+          b = r.byte();
+          value += (b & 0x7f) * Math.pow(2, shift);
+          shift += 7;
+          if (shift > 56) throw new Error("Receipt varuint too large");
+        } while (b & 0x80);
+        return value;
+      },
+      varbytes: function (max) {
+        var len = r.varuint();
+        if (len > max) throw new Error("Receipt field too long (" + len + " bytes)");
+        return r.bytes(len);
+      },
+    };
+    return r;
+  }
+
+  function readAttestation(r) {
+    var tag = toHex(r.bytes(8));
+    var payload = r.varbytes(8192);
+    var type = ATTESTATIONS[tag] || "unknown";
+    var att = { type: type, tag: tag };
+    if (type === "pending") {
+      att.uri = new TextDecoder().decode(reader(payload).varbytes(1000));
+    } else if (type === "bitcoin" || type === "litecoin") {
+      att.height = reader(payload).varuint();
+    }
+    return att;
+  }
+
+  function readTimestamp(r, depth) {
+    if (depth > MAX_DEPTH) throw new Error("Receipt timestamp tree too deep");
+    var node = { attestations: [], ops: [] };
+
+    function readItem(tag) {
+      if (tag === 0x00) {
+        node.attestations.push(readAttestation(r));
+      } else if (UNARY[tag]) {
+        node.ops.push({ op: { name: UNARY[tag] }, timestamp: readTimestamp(r, depth + 1) });
+      } else if (BINARY[tag]) {
+        var arg = r.varbytes(4096);
+        node.ops.push({ op: { name: BINARY[tag], arg: arg }, timestamp: readTimestamp(r, depth + 1) });
+      } else {
+        throw new Error("Unknown op 0x" + tag.toString(16) + " in receipt");
+      }
+    }
+
+    var tag = r.byte();
+    while (tag === 0xff) {
+      readItem(r.byte());
+      tag = r.byte();
+    }
+    readItem(tag);
+    return node;
+  }
+
+  /**
+   * Decode a detached .ots file: { version, hashOp, digest, timestamp }.
+   */
+  function parse(bytes) {
+    var r = reader(bytes);
+    if (toHex(r.bytes(MAGIC.length / 2)) !== MAGIC) {
+      throw new Error("Not an OpenTimestamps receipt (bad header)");
+    }
+    var version = r.varuint();
+    if (version !== 1) throw new Error("Unsupported receipt version " + version);
+    var hashOp = UNARY[r.byte()];
+    if (!DIGEST_LENGTH[hashOp]) throw new Error("Unsupported file hash op in receipt");
+    var digest = r.bytes(DIGEST_LENGTH[hashOp]);
+    return { version: version, hashOp: hashOp, digest: digest, timestamp: readTimestamp(r, 0) };
+  }
+
+  // ————— commitment walk —————
+
+  // [{ attestation, msg, path: [{ op, input }] }]; msg is null below unsupported ops
+  function collect(node, msg, path, out) {
+    node.attestations.forEach(function (att) {
+      out.push({ attestation: att, msg: msg, path: path });
+    });
+    return node.ops.reduce(function (p, item) {
+      return p.then(function () {
+        var next = msg ? applyOp(item.op, msg) : Promise.resolve(null);
+        return next.then(function (m) {
+          return collect(item.timestamp, m, path.concat([{ op: item.op, input: msg }]), out);
+        });
+      });
+    }, Promise.resolve(out));
+  }
+
+  function isSha256(s) { return s && s.op.name === "sha256"; }
+  function isSibling(s) { return s && (s.op.name === "append" || s.op.name === "prepend") && s.op.arg.length === 32; }
+
+  // Same rule as txidFromPath() in _ots.js
+  function txidFromPath(path) {
+    var end = path.length;
+    while (end >= 3 && isSibling(path[end - 3]) && isSha256(path[end - 2]) && isSha256(path[end - 1])) {
+      end -= 3;
+    }
+    if (end < 2 || !isSha256(path[end - 2]) || !isSha256(path[end - 1])) return Promise.resolve(null);
+    var tx = path[end - 2].input;
+    if (!tx || tx.length < 60) return Promise.resolve(null);
+    return subtleHash("SHA-256", tx)
+      .then(function (d) { return subtleHash("SHA-256", d); })
+      .then(function (d) { return toHex(reversed(d)); });
+  }
+
+  /**
+   * Hash `fileBytes` with the receipt's file hash op and check the receipt
+   * commits to it. Resolves to
+   * { ok, hashOp, fileDigest, receiptDigest, matches, complete, pending, bitcoin, other }.
+   */
+  function verify(fileBytes, otsBytes) {
+    var parsed;
+    try {
+      parsed = parse(otsBytes);
+    } catch (e) {
+      return Promise.resolve({ ok: false, error: String((e && e.message) || e) });
+    }
+
+    var receiptDigest = toHex(parsed.digest);
+    return hashWith(parsed.hashOp, fileBytes).then(function (fileDigest) {
+      if (!fileDigest) {
+        return { ok: false, error: "Receipt uses " + parsed.hashOp + ", which this page cannot compute" };
+      }
+      return collect(parsed.timestamp, parsed.digest, [], []).then(function (found) {
+        var pending = [];
+        var other = [];
+        var bitcoinJobs = [];
+
+        found.forEach(function (a) {
+          var att = a.attestation;
+          if (att.type === "pending") {
+            pending.push(att.uri);
+          } else if (att.type === "bitcoin") {
+            bitcoinJobs.push(txidFromPath(a.path).then(function (txid) {
+              return {
+                height: att.height,
+                merkleRoot: a.msg ? toHex(reversed(a.msg)) : null,
+                txid: txid,
+              };
+            }));
+          } else {
+            other.push({ type: att.type, tag: att.tag, height: att.height });
+          }
+        });
+
+        return Promise.all(bitcoinJobs).then(function (bitcoin) {
+          bitcoin.sort(function (x, y) { return x.height - y.height; });
+          return {
+            ok: true,
+            hashOp: parsed.hashOp,
+            fileDigest: toHex(fileDigest),
+            receiptDigest: receiptDigest,
+            matches: toHex(fileDigest) === receiptDigest,
+            complete: bitcoin.length > 0,
+            pending: pending,
+            bitcoin: bitcoin,
+            other: other,
+          };
+        });
+      });
+    });
+  }
+
+  return { parse: parse, verify: verify, ripemd160: ripemd160 };
+}
+
+const SCRIPT = `window.DocuProofOTS = (${docuProofOts.toString()})();`;
+
+module.exports = {
+  docuProofOts,
+  SCRIPT,
+};
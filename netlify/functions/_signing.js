@@ -0,0 +1,142 @@
+// netlify/functions/_signing.js
+// docuProof's Ed25519 certificate key: proof_pdf signs each certificate's
+// manifest (_bundle.js) and the signature travels in the PDF metadata, the
+// embedded manifest and the QR code; verify_certificate and the verify page
+// check it against the published keys (signing_keys).
+//
+//   DOCUPROOF_SIGNING_KEY           private key: PKCS#8 PEM, or the base64 32-byte seed
+//   DOCUPROOF_SIGNING_RETIRED_KEYS  comma-separated base64 raw public keys still
+//                                   trusted for certificates signed before a rotation
+//
+// The signed message is canonicalJson(manifest without "signature"): keys
+// sorted, no whitespace, so any verifier can rebuild it byte for byte.
+
+const crypto = require("crypto");
+
+const SIGNING_ALG = "Ed25519";
+// DER prefixes around a raw 32-byte Ed25519 seed / public key
+const PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+const SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+function privateKey() {
+  const raw = (process.env.DOCUPROOF_SIGNING_KEY || "").trim();
+  if (!raw) throw new Error("DOCUPROOF_SIGNING_KEY is not configured");
+  if (raw.includes("BEGIN")) return crypto.createPrivateKey(raw.replace(/\\n/g, "\n"));
+  const seed = Buffer.from(raw, "base64");
+  if (seed.length !== 32) throw new Error("DOCUPROOF_SIGNING_KEY must be a PEM key or a base64 32-byte seed");
+  return crypto.createPrivateKey({ key: Buffer.concat([PKCS8_PREFIX, seed]), format: "der", type: "pkcs8" });
+}
+
+function rawPublicKey(keyObject) {
+  return keyObject.export({ format: "der", type: "spki" }).subarray(SPKI_PREFIX.length);
+}
+
+function publicKeyFromRaw(raw) {
+  return crypto.createPublicKey({ key: Buffer.concat([SPKI_PREFIX, raw]), format: "der", type: "spki" });
+}
+
+/**
+ * Key id: first 16 hex chars of SHA-256 over the raw 32-byte public key.
+ */
+function keyIdOf(raw) {
+  return crypto.createHash("sha256").update(raw).digest("hex").slice(0, 16);
+}
+
+/**
+ * Deterministic JSON: object keys sorted at every level, no whitespace,
+ * undefined members dropped (as JSON.stringify does).
+ */
+function canonicalJson(value) {
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? "null" : canonicalJson(v))).join(",")}]`;
+  const members = Object.keys(value)
+    .filter((k) => value[k] !== undefined)
+    .sort()
+    .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+  return `{${members.join(",")}}`;
+}
+
+// The bytes a manifest signature covers
+function signedBytes(manifest) {
+  const { signature, ...rest } = manifest;
+  return Buffer.from(canonicalJson(rest), "utf8");
+}
+
+/**
+ * Public keys certificates are checked against: the current key (when
+ * DOCUPROOF_SIGNING_KEY is set) first, then retired ones.
+ * [{ kid, alg, publicKey (base64 raw), pem, current }]
+ */
+function trustedKeys() {
+  const out = [];
+  if ((process.env.DOCUPROOF_SIGNING_KEY || "").trim()) {
+    const raw = rawPublicKey(crypto.createPublicKey(privateKey()));
+    out.push({ raw, current: true });
+  }
+  for (const b64 of (process.env.DOCUPROOF_SIGNING_RETIRED_KEYS || "").split(",")) {
+    const raw = Buffer.from(b64.trim(), "base64");
+    if (raw.length === 32) out.push({ raw, current: false });
+  }
+  return out.map(({ raw, current }) => ({
+    kid: keyIdOf(raw),
+    alg: SIGNING_ALG,
+    publicKey: raw.toString("base64"),
+    pem: publicKeyFromRaw(raw).export({ format: "pem", type: "spki" }),
+    current,
+  }));
+}
+
+/**
+ * Sign `manifest` with the current key: { alg, kid, value } where value is
+ * the base64url signature over canonicalJson(manifest without "signature").
+ */
+function signManifest(manifest) {
+  if (!manifest || !manifest.id) throw new Error('signManifest: "manifest" is required');
+  const key = privateKey();
+  const kid = keyIdOf(rawPublicKey(crypto.createPublicKey(key)));
+  const value = crypto.sign(null, signedBytes(manifest), key).toString("base64url");
+  return { alg: SIGNING_ALG, kid, value };
+}
+
+/**
+ * Check `signature` ({ alg, kid, value }) over `manifest` against `keys`
+ * (trustedKeys() shape, or [{ publicKey }] with a base64 raw key or PEM).
+ * Returns { ok, kid, reason } with reason one of "unsigned", "unknown_key",
+ * "bad_signature" when ok is false.
+ */
+function verifyManifestSignature(manifest, signature, { keys = trustedKeys() } = {}) {
+  if (!signature || !signature.value) return { ok: false, kid: null, reason: "unsigned" };
+  if (signature.alg && signature.alg !== SIGNING_ALG) return { ok: false, kid: signature.kid || null, reason: "unknown_key" };
+
+  const candidates = keys
+    .map((k) => {
+      const pk = String(k.pem || k.publicKey || "");
+      const obj = pk.includes("BEGIN") ? crypto.createPublicKey(pk) : publicKeyFromRaw(Buffer.from(pk, "base64"));
+      return { kid: k.kid || keyIdOf(rawPublicKey(obj)), obj };
+    })
+    .filter((k) => !signature.kid || k.kid === signature.kid);
+  if (!candidates.length) return { ok: false, kid: signature.kid || null, reason: "unknown_key" };
+
+  const sig = Buffer.from(String(signature.value), "base64url");
+  const message = signedBytes(manifest);
+  const match = candidates.find((k) => sig.length === 64 && crypto.verify(null, message, k.obj, sig));
+  return match
+    ? { ok: true, kid: match.kid, reason: null }
+    : { ok: false, kid: signature.kid || null, reason: "bad_signature" };
+}
+
+/**
+ * Short id for a signature value, used to key issued certificates (_db.js).
+ */
+function certificateIdOf(signatureValue) {
+  return crypto.createHash("sha256").update(String(signatureValue)).digest("hex").slice(0, 24);
+}
+
+module.exports = {
+  SIGNING_ALG,
+  canonicalJson,
+  trustedKeys,
+  signManifest,
+  verifyManifestSignature,
+  certificateIdOf,
+};
@@ -0,0 +1,287 @@
+// netlify/functions/_store.js
+// Storage backend for _db.js: one configured Netlify Blobs store for writes,
+// an explicit list of legacy stores probed on read misses, and a
+// filesystem-backed store for local runs when Blobs is not configured.
+//
+// Env:
+//   BLOBS_STORE_NAME     primary store (default "docuproof")
+//   BLOBS_LEGACY_STORES  comma list probed after the primary on reads
+//                        (default "proofs,default,ots,blobs,public")
+//   DOCUPROOF_STORE_DIR  force the filesystem backend rooted here
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const PRIMARY_STORE = (process.env.BLOBS_STORE_NAME || "docuproof").trim();
+
+const LEGACY_STORES = dedup(
+  (process.env.BLOBS_LEGACY_STORES || "proofs,default,ots,blobs,public").split(",")
+).filter((n) => n !== PRIMARY_STORE);
+
+function dedup(names) {
+  const seen = new Set();
+  const out = [];
+  for (const n of names) {
+    const t = (n || "").trim();
+    if (!t || seen.has(t)) continue;
+    seen.add(t);
+    out.push(t);
+  }
+  return out;
+}
+
+// ————— filesystem store (same surface as the Blobs store subset we use) —————
+
+function makeFsStore(rootDir, name) {
+  const dir = path.join(rootDir, name);
+  const fileFor = (key) => path.join(dir, encodeURIComponent(key));
+  const etagOf = (buf) => `"${crypto.createHash("sha1").update(buf).digest("hex")}"`;
+  const locks = new Map(); // key -> tail of the conditional-write chain
+
+  function withLock(key, fn) {
+    const run = (locks.get(key) || Promise.resolve()).then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+      if (locks.get(key) === tail) locks.delete(key);
+    });
+    return run;
+  }
+
+  async function writeFile(key, value) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const data = typeof value === "string" ? value : Buffer.from(value);
+    await fs.promises.writeFile(fileFor(key), data);
+    return { modified: true, etag: etagOf(Buffer.from(data)) };
+  }
+
+  async function readFile(key) {
+    try {
+      return await fs.promises.readFile(fileFor(key));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  function decode(buf, type) {
+    if (type === "arrayBuffer") {
+      return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+    }
+    if (type === "json") return JSON.parse(buf.toString("utf8"));
+    return buf.toString("utf8");
+  }
+
+  return {
+    async get(key, { type } = {}) {
+      const buf = await readFile(key);
+      return buf ? decode(buf, type) : null;
+    },
+
+    async getWithMetadata(key, { type } = {}) {
+      const buf = await readFile(key);
+      return buf ? { data: decode(buf, type), etag: etagOf(buf), metadata: {} } : null;
+    },
+
+    // Honors onlyIfNew / onlyIfMatch like the Blobs store (atomic within one process)
+    async set(key, value, { onlyIfNew, onlyIfMatch } = {}) {
+      if (!onlyIfNew && !onlyIfMatch) return writeFile(key, value);
+      return withLock(key, async () => {
+        const prev = await readFile(key);
+        if (onlyIfNew && prev) return { modified: false };
+        if (onlyIfMatch && (!prev || etagOf(prev) !== onlyIfMatch)) return { modified: false };
+        return writeFile(key, value);
+      });
+    },
+
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+
+    async list({ prefix = "" } = {}) {
+      let names = [];
+      try {
+        names = await fs.promises.readdir(dir);
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+      const blobs = names
+        .map((f) => ({ key: decodeURIComponent(f) }))
+        .filter((b) => b.key.startsWith(prefix))
+        .sort((a, b) => a.key.localeCompare(b.key));
+      return { blobs, directories: [] };
+    },
+  };
+}
+
+// ————— binding —————
+
+let _backendPromise = null;
+
+async function bindBlobs() {
+  let mod;
+  try {
+    mod = await import("@netlify/blobs");
+  } catch {
+    return null;
+  }
+  const getStore = mod.getStore || (mod.default && mod.default.getStore);
+  if (!getStore) return null;
+
+  // Manual data-plane token first (the path that works from every function)
+  const siteID = (process.env.NETLIFY_SITE_ID || process.env.SITE_ID || "").trim();
+  const token = (
+    process.env.NETLIFY_BLOBS_TOKEN ||
+    process.env.BLOBS_TOKEN ||
+    process.env.NETLIFY_API_TOKEN ||
+    ""
+  ).trim();
+  if (siteID && token) {
+    return {
+      kind: "blobs",
+      authPath: "manual-blobs-token",
+      mkStore: (name) => getStore({ name, siteID, token }),
+    };
+  }
+
+  // Automatic environment binding
+  try {
+    getStore(PRIMARY_STORE);
+    return {
+      kind: "blobs",
+      authPath: "environment",
+      mkStore: (name) => getStore(name),
+    };
+  } catch {
+    return null;
+  }
+}
+
+function fsBackend() {
+  const rootDir =
+    process.env.DOCUPROOF_STORE_DIR || path.join(os.tmpdir(), "docuproof-store");
+  return {
+    kind: "fs",
+    authPath: "filesystem",
+    rootDir,
+    mkStore: (name) => makeFsStore(rootDir, name),
+  };
+}
+
+/**
+ * Resolve the backend once per cold start:
+ * { kind, authPath, primaryName, primary, legacy: [{ name, store }], mkStore }
+ */
+async function getBackend() {
+  if (_backendPromise) return _backendPromise;
+
+  _backendPromise = (async () => {
+    const binding =
+      (!process.env.DOCUPROOF_STORE_DIR && (await bindBlobs())) || fsBackend();
+
+    return {
+      ...binding,
+      primaryName: PRIMARY_STORE,
+      primary: binding.mkStore(PRIMARY_STORE),
+      legacy: LEGACY_STORES.map((name) => ({ name, store: binding.mkStore(name) })),
+    };
+  })();
+
+  return _backendPromise;
+}
+
+// ————— reads (primary first, then legacy stores) —————
+
+async function getBytesFrom(store, key) {
+  try {
+    const ab = await store.get(key, { type: "arrayBuffer" });
+    if (ab && ab.byteLength > 0) return Buffer.from(ab);
+  } catch {}
+  return null;
+}
+
+/**
+ * Find the first of `keys` in the primary store, then in each legacy store.
+ * Returns { bytes, key, storeName, legacy } or { bytes: null }.
+ */
+async function readBytes(keys) {
+  const list = Array.isArray(keys) ? keys : [keys];
+  const backend = await getBackend();
+  const stores = [{ name: backend.primaryName, store: backend.primary }, ...backend.legacy];
+
+  for (const { name, store } of stores) {
+    for (const key of list) {
+      const bytes = await getBytesFrom(store, key);
+      if (bytes) {
+        return { bytes, key, storeName: name, legacy: name !== backend.primaryName || key !== list[0] };
+      }
+    }
+  }
+  return { bytes: null, key: null, storeName: null, legacy: false };
+}
+
+async function readJson(keys) {
+  const hit = await readBytes(keys);
+  if (!hit.bytes) return { ...hit, value: null };
+  try {
+    return { ...hit, value: JSON.parse(hit.bytes.toString("utf8")) };
+  } catch {
+    return { ...hit, value: null };
+  }
+}
+
+// ————— writes (primary only) —————
+
+async function writeBytes(key, bytes, contentType = "application/octet-stream") {
+  const { primary } = await getBackend();
+  await primary.set(key, bytes, { contentType });
+}
+
+async function writeJson(key, value) {
+  const { primary } = await getBackend();
+  await primary.set(key, JSON.stringify(value), {
+    contentType: "application/json; charset=utf-8",
+  });
+}
+
+/**
+ * Read-modify-write of a JSON document in the primary store with optimistic
+ * concurrency (ETag match, or create-only when missing). `mutate(current)`
+ * receives the current value (null when missing) and returns the next one,
+ * or undefined to leave the document untouched. Retries on lost races.
+ */
+async function updateJson(key, mutate, { attempts = 5 } = {}) {
+  const { primary } = await getBackend();
+  for (let i = 0; i < attempts; i++) {
+    const hit = await primary.getWithMetadata(key, { type: "json", consistency: "strong" });
+    const next = await mutate(hit ? hit.data : null);
+    if (next === undefined) return hit ? hit.data : null;
+
+    const res = await primary.set(key, JSON.stringify(next), {
+      contentType: "application/json; charset=utf-8",
+      ...(hit && hit.etag ? { onlyIfMatch: hit.etag } : { onlyIfNew: true }),
+    });
+    if (!res || res.modified !== false) return next;
+  }
+  throw new Error(`updateJson: too much contention on "${key}"`);
+}
+
+async function removeKey(key) {
+  const { primary } = await getBackend();
+  await primary.delete(key);
+}
+
+module.exports = {
+  PRIMARY_STORE,
+  LEGACY_STORES,
+  makeFsStore,
+  getBackend,
+  readBytes,
+  readJson,
+  writeBytes,
+  writeJson,
+  updateJson,
+  removeKey,
+};
@@ -0,0 +1,179 @@
+// netlify/functions/_upgrade.js
+// Receipt upgrade flow shared by resolve_now (manual) and resolve_cron (scheduled):
+// send the stored .ots to the sidecar /upgrade, persist the upgraded bytes under
+// the canonical key, and advance the anchoring state with txid / block height.
+// Once anchored, confirmations come from the header provider (_headers.js) and
+// the proof becomes CONFIRMED at CONFIRMATION_THRESHOLD; the receipt is checked
+// against the attested block headers and the result kept as `verification`.
+// The first round that finds the proof anchored emails the owner (_notify.js).
+//
+// Env:
+//   OTS_SIDECAR_URL  base URL of docuproof-ots-sidecar
+
+const { keys, getProof, getOtsReceipt, getOtsReceiptEx, setOtsReceipt } = require("./_db");
+const { STATES, fromLegacyState, getAnchorState, advance, patchAnchor } = require("./_anchor_state");
+const { CONFIRMATION_THRESHOLD, getTipHeight, getBlockHeader, confirmationsAt } = require("./_headers");
+const { verifyAgainstHeaders } = require("./_ots");
+const { notifyAnchored } = require("./_notify");
+
+function fail(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function sidecarBase() {
+  return (process.env.OTS_SIDECAR_URL || "").replace(/\/+$/, "");
+}
+
+/**
+ * POST the receipt to the sidecar /upgrade and return its parsed response.
+ * Throws with err.code SIDECAR_NOT_CONFIGURED | SIDECAR_ERROR | SIDECAR_BAD_RESPONSE.
+ */
+async function callUpgrade(id, bytes) {
+  const base = sidecarBase();
+  if (!base) throw fail("SIDECAR_NOT_CONFIGURED", "OTS_SIDECAR_URL not configured");
+
+  let resp;
+  try {
+    resp = await fetch(`${base}/upgrade`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ id, receipt_b64: Buffer.from(bytes).toString("base64") }),
+    });
+  } catch (e) {
+    throw fail("SIDECAR_ERROR", "OTS sidecar /upgrade unreachable", { detail: String(e?.message || e) });
+  }
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => "");
+    throw fail("SIDECAR_ERROR", "OTS sidecar /upgrade failed", { status: resp.status, detail: text });
+  }
+
+  const upgrade = await resp.json().catch(() => ({}));
+  if (!upgrade || upgrade.ok !== true || !upgrade.receipt_b64) {
+    throw fail("SIDECAR_BAD_RESPONSE", "Invalid response from OTS sidecar /upgrade", { raw: upgrade });
+  }
+  return upgrade;
+}
+
+/**
+ * Recompute confirmations for an anchored proof from the chain tip; moves it
+ * to CONFIRMED at the threshold. Returns { anchor, tipHeight, progressed }.
+ */
+async function refreshConfirmations(anchor, { source = "upgrade" } = {}) {
+  const anchoredStates = [STATES.ANCHORED, STATES.CONFIRMED];
+  if (!anchoredStates.includes(anchor.state) || !Number.isInteger(anchor.blockHeight)) {
+    return { anchor, tipHeight: null, progressed: false };
+  }
+
+  const tipHeight = await getTipHeight();
+  const confirmations = confirmationsAt(anchor.blockHeight, tipHeight);
+  if (confirmations === anchor.confirmations) return { anchor, tipHeight, progressed: false };
+
+  const target = confirmations >= CONFIRMATION_THRESHOLD ? STATES.CONFIRMED : anchor.state;
+  const next = await advance(anchor.id, target, { source, fields: { confirmations } });
+  return { anchor: next, tipHeight, progressed: true };
+}
+
+/**
+ * Check an anchored proof's receipt against the block headers at its attested
+ * heights and store { verified, checkedAt, checks } as `verification`.
+ * Returns the (possibly updated) anchor.
+ */
+async function refreshVerification(anchor, { source = "upgrade", bytes = null } = {}) {
+  if (![STATES.ANCHORED, STATES.CONFIRMED].includes(anchor.state)) return anchor;
+
+  const receipt = bytes || (await getOtsReceipt(anchor.id));
+  if (!receipt) return anchor;
+  const hash = anchor.hash || (await getProof(anchor.id).catch(() => null))?.hash || null;
+
+  const result = await verifyAgainstHeaders(receipt, { hash, getHeader: getBlockHeader });
+  // Provider outages are retried later rather than recorded as a failed check
+  if (!result.verified && result.checks.length > 0 && result.checks.every((c) => c.error)) return anchor;
+
+  const verification = { ...result, checkedAt: new Date().toISOString() };
+  return patchAnchor(anchor.id, { verification }, { source });
+}
+
+/**
+ * Run one upgrade round for a proof. Returns
+ * { id, receiptKey, changed, sidecarState, anchor, pendingCalendars, progressed }
+ * where `progressed` means the receipt, the state or the depth moved forward.
+ * Throws NO_RECEIPT when nothing is stored, plus the callUpgrade() codes and
+ * ILLEGAL_TRANSITION from the state machine.
+ */
+async function upgradeProof(id, { source = "upgrade" } = {}) {
+  const receipt = await getOtsReceiptEx(id);
+  if (!receipt.bytes) throw fail("NO_RECEIPT", "receipt not found in blobs", { receiptKey: keys.receipt(id) });
+
+  const upgrade = await callUpgrade(id, receipt.bytes);
+  const upgraded = Buffer.from(upgrade.receipt_b64, "base64");
+  const changed = !upgraded.equals(receipt.bytes);
+
+  // Upgraded bytes (or a receipt still living under a legacy key) go to the canonical key
+  if (changed || receipt.legacy) {
+    await setOtsReceipt(id, upgraded);
+  }
+
+  // Sidecar reports ANCHORED / PARTIALLY_UPGRADED / OTS_RECEIPT / PENDING
+  const target =
+    fromLegacyState(upgrade.state) === STATES.ANCHORED ? STATES.ANCHORED : STATES.CALENDAR_PENDING;
+  const txid = upgrade.txid || null;
+  const blockHeight = Number.isFinite(upgrade.block_height) ? upgrade.block_height : null;
+  const pendingCalendars = Array.isArray(upgrade.pending_calendars) ? upgrade.pending_calendars : [];
+
+  const prev = await getAnchorState(id);
+  let anchor = await advance(id, target, {
+    source,
+    fields: {
+      receiptKey: keys.receipt(id),
+      ...(txid ? { txid } : {}),
+      ...(blockHeight !== null ? { blockHeight } : {}),
+      attestations: Array.isArray(upgrade.attestations) ? upgrade.attestations : [],
+      pendingCalendars,
+    },
+  });
+
+  // Depth is best-effort here: the cron retries it when the provider is down
+  let deeper = false;
+  try {
+    ({ anchor, progressed: deeper } = await refreshConfirmations(anchor, { source }));
+  } catch (e) {
+    console.warn(`upgradeProof: confirmations for ${id} unavailable:`, e?.message || e);
+  }
+
+  if (changed || !(anchor.verification && anchor.verification.verified)) {
+    try {
+      anchor = await refreshVerification(anchor, { source, bytes: upgraded });
+    } catch (e) {
+      console.warn(`upgradeProof: header check for ${id} failed:`, e?.message || e);
+    }
+  }
+
+  if ([STATES.ANCHORED, STATES.CONFIRMED].includes(anchor.state)) {
+    try {
+      await notifyAnchored(id);
+    } catch (e) {
+      console.warn(`upgradeProof: anchored email for ${id} failed:`, e?.message || e);
+    }
+  }
+
+  return {
+    id,
+    receiptKey: keys.receipt(id),
+    changed,
+    sidecarState: upgrade.state || null,
+    anchor,
+    pendingCalendars,
+    progressed: changed || deeper || !prev || prev.state !== anchor.state,
+  };
+}
+
+module.exports = {
+  callUpgrade,
+  refreshConfirmations,
+  refreshVerification,
+  upgradeProof,
+};
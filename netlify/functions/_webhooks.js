@@ -0,0 +1,442 @@
+// netlify/functions/_webhooks.js
+// Outbound webhooks: customers register HTTPS endpoints per account and get a
+// signed JSON POST when one of their proofs reaches an anchoring milestone.
+//
+//   _anchor_state apply()   → emitProofEvents()   queues proof.created, proof.receipt_ready,
+//                                                 proof.anchored, proof.confirmed
+//   webhook_cron (schedule) → processRetries()   sends queued deliveries, retries per RETRY_DELAYS_MIN
+//   api_v1 /webhooks/...    → endpoints, delivery log, redeliver()
+//
+// Anchor transitions only write the deliveries and queue them; nothing is
+// POSTed until webhook_cron picks them up, so a slow endpoint never holds up
+// anchoring. Targets are re-checked when each request connects: every address
+// the hostname resolves to must be public (publicLookup), which also covers
+// names that change their DNS after registration.
+//
+// Every request carries
+//   DocuProof-Event: <type>   DocuProof-Delivery: <deliveryId>
+//   DocuProof-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<body>")>
+// Receivers should recompute v1 over the raw body and reject stale t.
+// An event is delivered at least once; event.id stays the same across retries
+// and redeliveries so receivers can de-duplicate.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const db = require("./_db");
+
+const EVENT_TYPES = ["proof.created", "proof.receipt_ready", "proof.anchored", "proof.confirmed"];
+
+// Minutes to wait before attempt 2, 3, …; the delivery fails after the last one
+const RETRY_DELAYS_MIN = [1, 5, 30, 120, 360, 720, 1440];
+const ATTEMPT_TIMEOUT_MS = 10_000;
+const MAX_ENDPOINTS_PER_ACCOUNT = 10;
+const MAX_RESPONSE_SNIPPET = 500;
+// Deliveries processRetries sends side by side
+const SEND_CONCURRENCY = 5;
+
+// Loopback, private, link-local, CGNAT, documentation, multicast and other
+// special-purpose ranges (IPv4-mapped IPv6 addresses match the IPv4 rules)
+const NON_PUBLIC = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.88.99.0", 24], ["192.168.0.0", 16],
+  ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  NON_PUBLIC.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["64:ff9b:1::", 48], ["100::", 64], ["2001::", 23],
+  ["2001:db8::", 32], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8],
+]) {
+  NON_PUBLIC.addSubnet(prefix, bits, "ipv6");
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function hookError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// HTTPS only, and no obvious loopback / private targets (resolved addresses
+// are checked again on every send, see publicLookup)
+function checkUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw || ""));
+  } catch {
+    throw hookError("BAD_ENDPOINT", "url must be an absolute https:// URL");
+  }
+  if (url.protocol !== "https:") throw hookError("BAD_ENDPOINT", "url must use https://");
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (
+    host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal") ||
+    (net.isIP(host) && !isPublicAddress(host))
+  ) {
+    throw hookError("BAD_ENDPOINT", "url must point at a public host");
+  }
+  return url.toString();
+}
+
+// What the API returns for an endpoint (the secret only on creation)
+function endpointView(ep, { withSecret = false } = {}) {
+  return {
+    id: ep.id,
+    url: ep.url,
+    events: ep.events,
+    description: ep.description || null,
+    createdAt: ep.createdAt,
+    ...(withSecret ? { secret: ep.secret } : {}),
+  };
+}
+
+/**
+ * Register an endpoint for `email`. `events` defaults to all EVENT_TYPES.
+ * Returns the endpoint view including its signing secret (shown once).
+ * Throws with err.code "BAD_ENDPOINT" or "TOO_MANY_ENDPOINTS".
+ */
+async function createEndpoint(email, { url, events = EVENT_TYPES, description = "" } = {}) {
+  const e = db.normalizeEmail(email);
+  if (!e) throw new Error('createEndpoint: "email" is required');
+  const target = checkUrl(url);
+  const types = Array.isArray(events) && events.length ? [...new Set(events)] : EVENT_TYPES;
+  const unknown = types.filter((t) => !EVENT_TYPES.includes(t));
+  if (unknown.length) throw hookError("BAD_ENDPOINT", `unknown event type(s): ${unknown.join(", ")}`);
+  if ((await listEndpoints(e)).length >= MAX_ENDPOINTS_PER_ACCOUNT) {
+    throw hookError("TOO_MANY_ENDPOINTS", `an account can register at most ${MAX_ENDPOINTS_PER_ACCOUNT} endpoints`);
+  }
+
+  const endpoint = await db.saveHookEndpoint({
+    id: newId("we"),
+    email: e,
+    url: target,
+    events: types,
+    description: String(description || "").slice(0, 200) || null,
+    secret: `whsec_${crypto.randomBytes(24).toString("base64url")}`,
+    createdAt: new Date().toISOString(),
+    deletedAt: null,
+  });
+  await db.updateAccount(e, (acct) => ({
+    usage: null,
+    createdAt: endpoint.createdAt,
+    ...acct,
+    email: e,
+    webhookEndpointIds: [...((acct && acct.webhookEndpointIds) || []), endpoint.id],
+    updatedAt: new Date().toISOString(),
+  }));
+  return endpointView(endpoint, { withSecret: true });
+}
+
+async function activeEndpoints(email) {
+  const account = await db.getAccount(email);
+  const ids = (account && account.webhookEndpointIds) || [];
+  const docs = await Promise.all(ids.map((id) => db.getHookEndpoint(id)));
+  return docs.filter((ep) => ep && !ep.deletedAt);
+}
+
+/**
+ * Active endpoints of an account (views, no secrets).
+ */
+async function listEndpoints(email) {
+  return (await activeEndpoints(email)).map((ep) => endpointView(ep));
+}
+
+/**
+ * Endpoint `endpointId` if it belongs to `email` and is active, else null.
+ */
+async function getEndpoint(email, endpointId) {
+  const ep = endpointId ? await db.getHookEndpoint(endpointId) : null;
+  return ep && !ep.deletedAt && ep.email === db.normalizeEmail(email) ? ep : null;
+}
+
+/**
+ * Stop sending to an endpoint. Returns false when it is not the account's.
+ */
+async function deleteEndpoint(email, endpointId) {
+  const ep = await getEndpoint(email, endpointId);
+  if (!ep) return false;
+  await db.saveHookEndpoint({ ...ep, deletedAt: new Date().toISOString() });
+  await db.updateAccount(ep.email, (acct) =>
+    acct ? { ...acct, webhookEndpointIds: (acct.webhookEndpointIds || []).filter((id) => id !== ep.id) } : undefined
+  );
+  return true;
+}
+
+/**
+ * `DocuProof-Signature` header value for `body` signed at `t` (unix seconds).
+ */
+function signPayload(secret, body, t = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
+  return `t=${t},v1=${v1}`;
+}
+
+// Proof fields shared by every event
+function proofPayload(proof, anchor) {
+  return {
+    proof: {
+      id: proof.id,
+      hash: proof.hash || null,
+      filename: proof.filename || null,
+      displayName: proof.displayName || null,
+      createdAt: proof.createdAt || null,
+      ...(proof.batch ? { batch: { id: proof.batch.id, role: proof.batch.role, size: proof.batch.size } } : {}),
+    },
+    anchor: anchor
+      ? {
+          state: anchor.state,
+          txid: anchor.txid || null,
+          blockHeight: anchor.blockHeight ?? null,
+          confirmations: anchor.confirmations ?? 0,
+          updatedAt: anchor.updatedAt || null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Queue `types` (subset of EVENT_TYPES) for proof `id` to every endpoint of
+ * its owner subscribed to them; webhook_cron sends them. `anchor` is the
+ * anchor document just written. Proofs without an owner email, or owners
+ * without endpoints, are a no-op. A batch is announced once, for its root
+ * proof. Returns the delivery ids.
+ */
+async function emitProofEvents(id, types, anchor = null) {
+  if (!types || !types.length) return [];
+  const proof = await db.getProof(id);
+  const email = db.normalizeEmail(proof && proof.customerEmail);
+  if (!email) return [];
+  const endpoints = await activeEndpoints(email);
+  if (!endpoints.length) return [];
+
+  const data = proofPayload(proof, anchor);
+  const ids = [];
+  for (const type of types) {
+    const event = { id: newId("evt"), type, createdAt: new Date().toISOString(), data };
+    for (const ep of endpoints.filter((x) => x.events.includes(type))) {
+      const delivery = await db.saveHookDelivery({
+        id: newId("whd"),
+        endpointId: ep.id,
+        email,
+        event,
+        status: "pending",
+        attempts: [],
+        nextAttemptAt: event.createdAt,
+        createdAt: event.createdAt,
+        updatedAt: event.createdAt,
+      });
+      await db.scheduleHookRetry(delivery.id, delivery.nextAttemptAt);
+      ids.push(delivery.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * dns.lookup for outbound requests that fails unless every address the host
+ * resolves to is public. Checked as the socket connects, so the address
+ * vetted is the address used.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => !isPublicAddress(a.address));
+    if (blocked || !addresses.length) {
+      return callback(hookError("BAD_ENDPOINT", `${hostname} resolves to a non-public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// One POST of the delivery's event. Redirects are not followed.
+function postOnce(ep, delivery) {
+  const body = JSON.stringify(delivery.event);
+  const started = Date.now();
+  const done = (result) => ({ ...result, durationMs: Date.now() - started });
+
+  let url;
+  try {
+    url = new URL(checkUrl(ep.url));
+  } catch (e) {
+    return Promise.resolve(done({ ok: false, status: null, error: e.message }));
+  }
+
+  return new Promise((resolve) => {
+    const req = https.request(
+      url,
+      {
+        method: "POST",
+        lookup: publicLookup,
+        timeout: ATTEMPT_TIMEOUT_MS,
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "docuProof-Webhooks/1",
+          "DocuProof-Event": delivery.event.type,
+          "DocuProof-Delivery": delivery.id,
+          "DocuProof-Signature": signPayload(ep.secret, body),
+        },
+      },
+      (res) => {
+        let text = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          if (text.length < MAX_RESPONSE_SNIPPET) text += chunk;
+        });
+        res.on("end", () => resolve(done({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          response: text.slice(0, MAX_RESPONSE_SNIPPET),
+        })));
+        res.on("error", (e) => resolve(done({ ok: false, status: res.statusCode, error: String(e.message || e) })));
+      }
+    );
+    // Covers the whole attempt, not just socket idleness
+    const timer = setTimeout(() => req.destroy(Object.assign(new Error("timeout"), { code: "TIMEOUT" })), ATTEMPT_TIMEOUT_MS);
+    req.on("timeout", () => req.destroy(Object.assign(new Error("timeout"), { code: "TIMEOUT" })));
+    req.on("error", (e) => resolve(done({ ok: false, status: null, error: e.code === "TIMEOUT" ? "timeout" : String(e.message || e) })));
+    req.on("close", () => clearTimeout(timer));
+    req.end(body);
+  });
+}
+
+/**
+ * Make one attempt at a delivery and record it: success ends it, failure
+ * schedules the next retry until RETRY_DELAYS_MIN is used up. `manual`
+ * attempts (redeliver) do not consume the automatic retry budget.
+ * Returns the updated delivery, or null when it does not exist.
+ */
+async function deliver(deliveryId, { manual = false } = {}) {
+  const delivery = await db.getHookDelivery(deliveryId);
+  if (!delivery) return null;
+  const ep = await db.getHookEndpoint(delivery.endpointId);
+
+  const at = new Date().toISOString();
+  const live = !!(ep && !ep.deletedAt);
+  const result = live
+    ? await postOnce(ep, delivery)
+    : { ok: false, status: null, error: "endpoint deleted", durationMs: 0 };
+  const attempts = [...delivery.attempts, { at, manual, ...result }].slice(-20);
+  const automatic = attempts.filter((a) => !a.manual).length;
+
+  let status = "failed";
+  let nextAttemptAt = null;
+  if (result.ok) {
+    status = "succeeded";
+  } else if (manual) {
+    // A failed redelivery leaves a scheduled retry in place
+    if (delivery.status === "pending" && live) {
+      status = "pending";
+      nextAttemptAt = delivery.nextAttemptAt || null;
+    }
+  } else if (live && automatic <= RETRY_DELAYS_MIN.length) {
+    status = "pending";
+    nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MIN[automatic - 1] * 60_000).toISOString();
+  }
+
+  const next = await db.saveHookDelivery({ ...delivery, status, attempts, nextAttemptAt, updatedAt: at });
+  await db.scheduleHookRetry(deliveryId, nextAttemptAt);
+  await db.logHookDelivery(delivery.endpointId, {
+    id: deliveryId,
+    eventId: delivery.event.id,
+    type: delivery.event.type,
+    proofId: delivery.event.data?.proof?.id || null,
+    status,
+    attempts: attempts.length,
+    lastStatus: result.status,
+    lastError: result.error || null,
+    createdAt: delivery.createdAt,
+    updatedAt: at,
+  });
+  return next;
+}
+
+/**
+ * Recent deliveries of an account's endpoint (newest first), or null when the
+ * endpoint is not the account's.
+ */
+async function listDeliveries(email, endpointId) {
+  if (!(await getEndpoint(email, endpointId))) return null;
+  return db.listHookLog(endpointId);
+}
+
+/**
+ * Full delivery record (with attempts) if it belongs to the account's
+ * endpoint `endpointId`, else null.
+ */
+async function getDelivery(email, endpointId, deliveryId) {
+  if (!(await getEndpoint(email, endpointId))) return null;
+  const delivery = deliveryId ? await db.getHookDelivery(deliveryId) : null;
+  return delivery && delivery.endpointId === endpointId ? delivery : null;
+}
+
+/**
+ * Send a delivery again now, whatever its status. Returns the updated
+ * delivery, or null when it is not the account's.
+ */
+async function redeliver(email, endpointId, deliveryId) {
+  if (!(await getDelivery(email, endpointId, deliveryId))) return null;
+  return deliver(deliveryId, { manual: true });
+}
+
+/**
+ * Attempt every queued delivery that is due (first attempts and retries),
+ * oldest first, SEND_CONCURRENCY at a time; no new attempt starts after
+ * `budgetMs`. A delivery whose attempt throws (e.g. contention on the retry
+ * queue) is logged and left queued for the next run. Returns
+ * { due, attempted, succeeded, errors }.
+ */
+async function processRetries({ limit = 50, budgetMs = 20_000 } = {}) {
+  const started = Date.now();
+  const now = new Date().toISOString();
+  const due = (await db.listHookRetries())
+    .filter((r) => r.nextAttemptAt <= now)
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+    .slice(0, limit);
+
+  let next = 0;
+  let attempted = 0;
+  let succeeded = 0;
+  let errors = 0;
+  async function worker() {
+    while (next < due.length && Date.now() - started <= budgetMs) {
+      const { deliveryId } = due[next++];
+      attempted++;
+      try {
+        const d = await deliver(deliveryId);
+        if (!d) await db.scheduleHookRetry(deliveryId, null);
+        else if (d.status === "succeeded") succeeded++;
+      } catch (e) {
+        errors++;
+        console.error(`webhooks: delivery ${deliveryId} failed:`, e);
+      }
+    }
+  }
+  await Promise.all(Array.from({ length: SEND_CONCURRENCY }, worker));
+  return { due: due.length, attempted, succeeded, errors };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  RETRY_DELAYS_MIN,
+  createEndpoint,
+  listEndpoints,
+  getEndpoint,
+  endpointView,
+  deleteEndpoint,
+  signPayload,
+  emitProofEvents,
+  deliver,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+  processRetries,
+};
@@ -1,7 +1,16 @@
 // netlify/functions/anchor_status.mjs
 // ESM — Return normalized anchoring status for a given id.
-// Prefers the canonical JSON in the primary store (docuproof); falls back to other stores;
-// if missing but receipt exists, infer OTS_RECEIPT.
+// Reads through _db.js (primary store, then legacy stores); legacy state names
+// are mapped onto the _anchor_state.js machine. If the anchor JSON is missing
+// but a receipt exists, infer CALENDAR_PENDING.
+// For anchored proofs the depth is computed live from the header provider
+// (_headers.js), falling back to the last stored count when it is unreachable;
+// ANCHORED reads as CONFIRMED once the depth reaches CONFIRMATION_THRESHOLD.
+// A file of a multi-file proof reports the status of its batch root (_batch.js).
+
+import { keys, getProof, getAnchor, getOtsReceiptEx } from "./_db.js";
+import { STATES, normalize } from "./_anchor_state.js";
+import { CONFIRMATION_THRESHOLD, getTipHeight, confirmationsAt } from "./_headers.js";
 
 export const handler = async (event) => {
   try {
@@ -11,52 +20,52 @@ export const handler = async (event) => {
     const id = (event.queryStringParameters?.id || "").trim();
     if (!id) return json(400, { error: "missing id" });
 
-    const siteID = (process.env.NETLIFY_SITE_ID || "").trim();
-    const token  = (process.env.NETLIFY_BLOBS_TOKEN || "").trim();
-    const primary = (process.env.BLOBS_STORE_NAME || "proofs").trim();
-
-    const { getStore } = await import("@netlify/blobs");
+    // Batch members are anchored through their batch root
+    const proof = await getProof(id);
+    const member = proof?.batch?.role === "member" ? proof.batch : null;
+    const anchorId = member ? member.rootId : id;
+    const batch = member ? { rootId: member.rootId, index: member.index, size: member.size } : undefined;
 
-    // Keys we expect
-    const anchorKey  = `anchor:${id}.json`;
-    const receiptKey = `ots/receipts/${id}.ots`;
-    const altReceipt = `ots:${id}.receipt`;
-
-    // Preferred read order for anchor JSON
-    const anchorStores = [primary, "proofs", "docuproof", "ots", "default"];
-    const anchor = await findFirstJson({ getStore, siteID, token, key: anchorKey, stores: anchorStores });
+    const anchorKey  = keys.anchor(anchorId);
+    const { anchor, storeName } = await getAnchor(anchorId, { withSource: true });
 
     // If we found a canonical anchor JSON, normalize and return it
-    if (anchor?.json) {
-      const { state = "OTS_RECEIPT", txid = null, confirmations = 0, updatedAt = null } = anchor.json || {};
+    if (anchor) {
+      const { state, txid, blockHeight, confirmations, updatedAt, history } = normalize(anchor, anchorId);
+      const depth = await liveDepth({ state, blockHeight, confirmations });
       return json(200, {
         ok: true,
         id,
-        state,
+        state: depth.state,
         txid,
-        confirmations,
+        blockHeight,
+        confirmations: depth.confirmations,
+        confirmationsSource: depth.source,
+        tipHeight: depth.tipHeight,
+        confirmationThreshold: CONFIRMATION_THRESHOLD,
         anchorKey,
-        foundInStore: anchor.store,
+        foundInStore: storeName,
         updatedAt,
+        history,
+        batch,
       });
     }
 
-    // Otherwise, detect if a receipt exists anywhere we care about
-    const receiptStores = [primary, "proofs", "docuproof", "ots", "default"];
-    const receipt = await findFirstBytes({ getStore, siteID, token, key: receiptKey, stores: receiptStores })
-                || await findFirstBytes({ getStore, siteID, token, key: altReceipt,  stores: receiptStores });
+    // Otherwise, detect if a receipt exists (canonical or legacy key)
+    const receipt = await getOtsReceiptEx(anchorId);
 
-    if (receipt) {
-      // We can safely infer we’re in OTS_RECEIPT
+    if (receipt.bytes) {
+      // A receipt without anchor JSON: with the calendars, not yet on Bitcoin
       return json(200, {
         ok: true,
         id,
-        state: "OTS_RECEIPT",
+        state: STATES.CALENDAR_PENDING,
         txid: null,
         confirmations: 0,
         anchorKey,                // where resolve_now would (or did) place it
         inferredFromReceipt: true,
-        receiptStore: receipt.store,
+        receiptStore: receipt.storeName,
+        batch,
       });
     }
 
@@ -67,7 +76,7 @@ export const handler = async (event) => {
       state: "NOT_FOUND",
       txid: null,
       confirmations: 0,
-      tried: { anchorKey, receiptKey, altReceipt },
+      tried: { anchorKey, receiptKey: keys.receipt(anchorId), altReceipt: keys.receiptLegacy(anchorId) },
     });
   } catch (e) {
     return json(500, { ok: false, error: String(e?.message || e) });
@@ -76,30 +85,21 @@ export const handler = async (event) => {
 
 // ————— helpers —————
 
-async function findFirstJson({ getStore, siteID, token, key, stores }) {
-  for (const name of stores) {
-    const store = getStore({ name, siteID, token });
-    try {
-      const t = await store.get(key, { type: "text" });
-      if (t && t.length) {
-        try {
-          return { store: name, json: JSON.parse(t) };
-        } catch { /* malformed json in this store; continue */ }
-      }
-    } catch { /* continue */ }
+async function liveDepth({ state, blockHeight, confirmations }) {
+  const stored = { state, confirmations, source: "stored", tipHeight: null };
+  if (![STATES.ANCHORED, STATES.CONFIRMED].includes(state) || !Number.isInteger(blockHeight)) {
+    return stored;
   }
-  return null;
-}
-
-async function findFirstBytes({ getStore, siteID, token, key, stores }) {
-  for (const name of stores) {
-    const store = getStore({ name, siteID, token });
-    try {
-      const ab = await store.get(key, { type: "arrayBuffer" });
-      if (ab && ab.byteLength > 0) return { store: name, bytes: ab.byteLength };
-    } catch { /* continue */ }
+  try {
+    const tipHeight = await getTipHeight();
+    const live = confirmationsAt(blockHeight, tipHeight);
+    const effective =
+      state === STATES.ANCHORED && live >= CONFIRMATION_THRESHOLD ? STATES.CONFIRMED : state;
+    return { state: effective, confirmations: live, source: "live", tipHeight };
+  } catch (e) {
+    console.warn("anchor_status: header provider unavailable:", e?.message || e);
+    return stored;
   }
-  return null;
 }
 
 function json(status, body) {
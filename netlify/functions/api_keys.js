@@ -0,0 +1,144 @@
+// netlify/functions/api_keys.js
+// Manage the signed-in account's API keys for /api/v1 (see _api_keys.js).
+// GET lists keys and the allowance; POST action=create shows a new key once,
+// POST action=revoke disables one. Requires a session (_auth.js); the session
+// cookie is SameSite=Lax, so cross-site form posts arrive signed out.
+
+const { getSession, loginRedirect } = require("./_auth");
+const { createApiKey, listApiKeys, revokeApiKey } = require("./_api_keys");
+const { getEntitlement } = require("./_accounts");
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function page(status, inner) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+    body: `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>API keys – docuProof</title>
+  <style>
+    html,body{margin:0;background:#0b0d0f;color:#E6E7EB;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif}
+    main{max-width:800px;margin:0 auto;padding:32px 16px 64px}
+    h1{color:#16FF70;margin:0 0 8px}
+    h2{font-size:16px;margin:28px 0 8px}
+    a{color:#16FF70;text-decoration:none}
+    p{color:#9aa0a6;line-height:1.5}
+    table{width:100%;border-collapse:collapse}
+    th,td{border-bottom:1px solid #222;padding:8px 10px;text-align:left;vertical-align:top}
+    th{color:#9aa0a6;font-weight:600}
+    code{background:#111;padding:2px 4px;border-radius:4px;word-break:break-all}
+    form.inline{display:inline}
+    input,button{font-size:14px;border-radius:6px;padding:6px 10px}
+    input{border:1px solid #333;background:#0e1012;color:#E6E7EB}
+    button{border:none;background:#16FF70;color:#0b0d0f;font-weight:600;cursor:pointer}
+    button.danger{background:#3a1114;color:#ff8a8a}
+    .newkey{border:1px solid #16FF70;border-radius:8px;padding:12px;margin:16px 0}
+  </style>
+</head>
+<body>
+  <main>
+    ${inner}
+    <p style="margin-top:32px;"><a href="/.netlify/functions/history">← Proof history</a> · <a href="/.netlify/functions/branding">Branding</a> · <a href="/.netlify/functions/logout">Sign out</a></p>
+  </main>
+</body>
+</html>`,
+  };
+}
+
+async function render(email, { status = 200, notice = "" } = {}) {
+  const [keys, ent] = await Promise.all([listApiKeys(email), getEntitlement(email)]);
+  const allowance = ent.active
+    ? `${ent.planLabel} plan: ${ent.used} of ${ent.limit} proofs used this month (resets ${esc(ent.resetsAt.slice(0, 10))}).`
+    : "No active subscription: API calls that create proofs will be refused until you choose a plan.";
+
+  const rows = keys.map((k) => `
+      <tr>
+        <td>${esc(k.name)}</td>
+        <td><code>${esc(k.prefix)}</code></td>
+        <td>${esc(k.createdAt)}</td>
+        <td>${esc(k.lastUsedAt || "never")}</td>
+        <td>${k.revokedAt ? `revoked ${esc(k.revokedAt)}` : `
+          <form class="inline" method="POST" action="/.netlify/functions/api_keys">
+            <input type="hidden" name="action" value="revoke"/>
+            <input type="hidden" name="id" value="${esc(k.id)}"/>
+            <button class="danger" type="submit">Revoke</button>
+          </form>`}</td>
+      </tr>`).join("");
+
+  return page(status, `
+    <h1>API keys</h1>
+    <p>Signed in as ${esc(email)}. ${allowance}</p>
+    ${notice}
+    <h2>Create a key</h2>
+    <form method="POST" action="/.netlify/functions/api_keys">
+      <input type="hidden" name="action" value="create"/>
+      <input type="text" name="name" maxlength="80" placeholder="e.g. CI pipeline"/>
+      <button type="submit">Create key</button>
+    </form>
+    <h2>Your keys</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Key</th><th>Created</th><th>Last used</th><th></th></tr></thead>
+      <tbody>${rows || `<tr><td colspan="5" style="color:#9aa0a6">No keys yet.</td></tr>`}</tbody>
+    </table>
+    <h2>Usage</h2>
+    <p><code>curl -X POST ${esc(process.env.URL || "")}/api/v1/proofs -H "Authorization: Bearer &lt;key&gt;" -H "Content-Type: application/json" -d '{"hash":"&lt;sha256&gt;","filename":"build.tar.gz"}'</code></p>`);
+}
+
+exports.handler = async (event) => {
+  const session = getSession(event);
+  if (!session) return loginRedirect(event);
+
+  try {
+    if (event.httpMethod === "GET") return await render(session.email);
+    if (event.httpMethod !== "POST") {
+      return {
+        statusCode: 405,
+        headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+        body: JSON.stringify({ ok: false, error: "GET or POST required" }),
+      };
+    }
+
+    const raw = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+    const form = new URLSearchParams(raw);
+
+    if (form.get("action") === "create") {
+      try {
+        const { key, apiKey } = await createApiKey(session.email, { name: form.get("name") || "" });
+        return await render(session.email, {
+          status: 201,
+          notice: `
+    <div class="newkey">
+      <p>New key <strong>${esc(apiKey.name)}</strong>. Copy it now — it will not be shown again:</p>
+      <p><code>${esc(key)}</code></p>
+    </div>`,
+        });
+      } catch (e) {
+        if (e.code !== "TOO_MANY_KEYS") throw e;
+        return await render(session.email, { status: 400, notice: `<p>${esc(e.message)}. Revoke an unused key first.</p>` });
+      }
+    }
+
+    if (form.get("action") === "revoke") {
+      const revoked = await revokeApiKey(session.email, form.get("id"));
+      return await render(session.email, {
+        status: revoked ? 200 : 404,
+        notice: revoked ? `<p>Key <strong>${esc(revoked.name)}</strong> revoked.</p>` : `<p>No such key on this account.</p>`,
+      });
+    }
+
+    return await render(session.email, { status: 400, notice: "<p>Unknown action.</p>" });
+  } catch (e) {
+    console.error("api_keys error:", e);
+    return page(500, `<h1>API keys</h1><p>Something went wrong. Please try again shortly.</p>`);
+  }
+};
@@ -0,0 +1,316 @@
+// netlify/functions/api_v1.mjs
+// ESM — Versioned REST API for programmatic proofs (e.g. build pipelines).
+// Authenticated with `Authorization: Bearer dpk_...` API keys (_api_keys.js,
+// created on /.netlify/functions/api_keys); proofs are billed against the
+// account's subscription allowance (_accounts.js) exactly like proofs made
+// in the browser.
+//
+//   POST /api/v1/proofs                    { hash, filename?, displayName?, lang?, notify? }
+//   GET  /api/v1/proofs?limit=             the account's recent proofs
+//   GET  /api/v1/proofs/:id                one proof with its anchoring status
+//   GET  /api/v1/proofs/:id/receipt        the .ots receipt (application/octet-stream)
+//   GET  /api/v1/proofs/:id/certificate    the PDF certificate
+//
+//   GET  /api/v1/webhooks                  the account's webhook endpoints
+//   POST /api/v1/webhooks                  { url, events?, description? } → includes the signing secret
+//   GET  /api/v1/webhooks/:id              one endpoint
+//   DELETE /api/v1/webhooks/:id            stop sending to it
+//   GET  /api/v1/webhooks/:id/deliveries   recent deliveries, newest first
+//   GET  /api/v1/webhooks/:id/deliveries/:deliveryId            one delivery with its attempts
+//   POST /api/v1/webhooks/:id/deliveries/:deliveryId/redeliver  send it again now
+//   (events, signatures and retries: _webhooks.js)
+//
+// Success bodies are { data }; every failure is
+//   { error: { code, message, details? } }
+// with code one of: unauthorized, not_found, method_not_allowed,
+// invalid_request, conflict, no_subscription, quota_exceeded, not_ready,
+// internal_error.
+// POST honours an `Idempotency-Key` header: retries with the same key return
+// the same proof and are billed once.
+
+import crypto from "node:crypto";
+import { normalizeEmail, normalizeHash, listProofs, getOtsReceiptEx } from "./_db.js";
+import { STATES } from "./_anchor_state.js";
+import { getProofAnchor, getProofReceipt } from "./_batch.js";
+import { authenticateApiKey } from "./_api_keys.js";
+import { getEntitlement } from "./_accounts.js";
+import { newProofId, issueProof } from "./_issue.js";
+import { proofAccessToken } from "./_auth.js";
+import { normalizeLang } from "./_i18n.js";
+import {
+  createEndpoint, listEndpoints, getEndpoint, endpointView, deleteEndpoint,
+  listDeliveries, getDelivery, redeliver,
+} from "./_webhooks.js";
+
+const MAX_LIST = 200;
+
+export const handler = async (event) => {
+  try {
+    const caller = await authenticateApiKey(bearer(event));
+    if (!caller) {
+      return fail(401, "unauthorized", "Missing or invalid API key. Send `Authorization: Bearer dpk_...`.");
+    }
+
+    const route = routeOf(event.path);
+    const method = event.httpMethod;
+
+    if (route[0] === "webhooks") return await routeWebhooks(event, route.slice(1), caller);
+    if (route[0] !== "proofs" || route.length > 3) return fail(404, "not_found", "No such endpoint");
+    if (route.length === 1) {
+      if (method === "POST") return await createProof(event, caller);
+      if (method === "GET") return await listOwnProofs(event, caller);
+      return fail(405, "method_not_allowed", "Use GET or POST on /api/v1/proofs");
+    }
+    if (method !== "GET") return fail(405, "method_not_allowed", `Use GET on ${event.path}`);
+
+    const [, id, sub] = route;
+    if (!sub) return await getOwnProof(id, caller);
+    if (sub === "receipt") return await downloadReceipt(id, caller);
+    if (sub === "certificate") return await downloadCertificate(event, id, caller);
+    return fail(404, "not_found", "No such endpoint");
+  } catch (e) {
+    console.error("api_v1 error:", e);
+    return fail(500, "internal_error", "Internal error");
+  }
+};
+
+// ————— handlers —————
+
+async function createProof(event, caller) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return fail(400, "invalid_request", "Body must be JSON");
+  }
+  const hash = normalizeHash(body.hash);
+  if (!hash) return fail(400, "invalid_request", "`hash` must be a SHA-256 hex digest (64 characters)");
+
+  const idemKey = header(event, "idempotency-key");
+  const id = idemKey
+    ? `dp_${crypto.createHash("sha256").update(`${caller.email}\n${idemKey}`).digest("hex").slice(0, 24)}`
+    : newProofId();
+
+  let issued;
+  try {
+    issued = await issueProof({
+      id,
+      email: caller.email,
+      hash,
+      filename: String(body.filename || "").slice(0, 200) || null,
+      displayName: String(body.displayName || "").slice(0, 200) || null,
+      lang: normalizeLang(body.lang),
+      origin: siteOrigin(event),
+      source: "api",
+      notify: body.notify === true,
+    });
+  } catch (e) {
+    if (e.code === "NO_SUBSCRIPTION") return fail(403, "no_subscription", e.message);
+    if (e.code === "QUOTA_EXCEEDED") {
+      return fail(402, "quota_exceeded", e.message, { plan: e.plan, limit: e.limit, used: e.used, resetsAt: e.resetsAt });
+    }
+    throw e;
+  }
+
+  if (normalizeEmail(issued.record.customerEmail) !== caller.email || normalizeHash(issued.record.hash) !== hash) {
+    return fail(409, "conflict", "Idempotency-Key was already used for a different proof");
+  }
+  const { entitlement } = issued;
+  return ok(issued.created ? 201 : 200, {
+    ...(await proofView(issued.record.id)),
+    allowance: { limit: entitlement.limit, used: entitlement.used, remaining: entitlement.remaining, resetsAt: entitlement.resetsAt },
+  });
+}
+
+async function listOwnProofs(event, caller) {
+  const qp = event.queryStringParameters || {};
+  const limit = Math.max(1, Math.min(MAX_LIST, parseInt(qp.limit || "50", 10) || 50));
+  const items = await listProofs({ email: caller.email, limit });
+  const { remaining, limit: monthly, used, resetsAt } = await getEntitlement(caller.email);
+  return ok(200, {
+    proofs: items.map((r) => ({
+      id: r.id,
+      hash: r.hash || null,
+      filename: r.filename || null,
+      displayName: r.displayName || null,
+      createdAt: r.createdAt || null,
+    })),
+    allowance: { limit: monthly, used, remaining, resetsAt },
+  });
+}
+
+async function getOwnProof(id, caller) {
+  const view = await proofView(id, caller.email);
+  return view ? ok(200, view) : fail(404, "not_found", `No proof ${id} on this account`);
+}
+
+async function downloadReceipt(id, caller) {
+  if (!(await proofView(id, caller.email))) return fail(404, "not_found", `No proof ${id} on this account`);
+  const { bytes } = await getProofReceipt(id);
+  if (!bytes) return fail(404, "not_ready", "The OpenTimestamps receipt is not available yet; retry later");
+  return {
+    statusCode: 200,
+    headers: {
+      "content-type": "application/octet-stream",
+      "content-disposition": `attachment; filename="${id}.ots"`,
+      "cache-control": "no-store",
+    },
+    isBase64Encoded: true,
+    body: bytes.toString("base64"),
+  };
+}
+
+async function downloadCertificate(event, id, caller) {
+  const { proof } = await getProofAnchor(id);
+  if (!proof || normalizeEmail(proof.customerEmail) !== caller.email) {
+    return fail(404, "not_found", `No proof ${id} on this account`);
+  }
+
+  const qs = new URLSearchParams({ id, access: proofAccessToken(id) });
+  const res = await fetch(`${siteOrigin(event)}/.netlify/functions/proof_pdf?${qs}`);
+  if (!res.ok) {
+    console.error("api_v1: proof_pdf returned", res.status);
+    return fail(502, "internal_error", "Could not render the certificate");
+  }
+  return {
+    statusCode: 200,
+    headers: {
+      "content-type": "application/pdf",
+      "content-disposition": `attachment; filename="${id}.pdf"`,
+      "cache-control": "no-store",
+    },
+    isBase64Encoded: true,
+    body: Buffer.from(await res.arrayBuffer()).toString("base64"),
+  };
+}
+
+async function routeWebhooks(event, route, caller) {
+  const method = event.httpMethod;
+  const [endpointId, sub, deliveryId, action] = route;
+
+  if (!endpointId) {
+    if (method === "GET") return ok(200, { endpoints: await listEndpoints(caller.email) });
+    if (method !== "POST") return fail(405, "method_not_allowed", "Use GET or POST on /api/v1/webhooks");
+    let body;
+    try {
+      body = JSON.parse(event.body || "{}");
+    } catch {
+      return fail(400, "invalid_request", "Body must be JSON");
+    }
+    try {
+      return ok(201, await createEndpoint(caller.email, body || {}));
+    } catch (e) {
+      if (e.code === "BAD_ENDPOINT" || e.code === "TOO_MANY_ENDPOINTS") return fail(400, "invalid_request", e.message);
+      throw e;
+    }
+  }
+
+  const endpoint = await getEndpoint(caller.email, endpointId);
+  if (!endpoint) return fail(404, "not_found", `No webhook endpoint ${endpointId} on this account`);
+
+  if (!sub) {
+    if (method === "GET") return ok(200, endpointView(endpoint));
+    if (method === "DELETE") {
+      await deleteEndpoint(caller.email, endpointId);
+      return ok(200, { id: endpointId, deleted: true });
+    }
+    return fail(405, "method_not_allowed", "Use GET or DELETE on a webhook endpoint");
+  }
+  if (sub !== "deliveries" || route.length > 4) return fail(404, "not_found", "No such endpoint");
+
+  if (!deliveryId) {
+    if (method !== "GET") return fail(405, "method_not_allowed", "Use GET on deliveries");
+    return ok(200, { deliveries: await listDeliveries(caller.email, endpointId) });
+  }
+  if (!action) {
+    if (method !== "GET") return fail(405, "method_not_allowed", "Use GET on a delivery");
+    const delivery = await getDelivery(caller.email, endpointId, deliveryId);
+    return delivery ? ok(200, delivery) : fail(404, "not_found", `No delivery ${deliveryId} for this endpoint`);
+  }
+  if (action !== "redeliver") return fail(404, "not_found", "No such endpoint");
+  if (method !== "POST") return fail(405, "method_not_allowed", "Use POST to redeliver");
+  const delivery = await redeliver(caller.email, endpointId, deliveryId);
+  return delivery ? ok(200, delivery) : fail(404, "not_found", `No delivery ${deliveryId} for this endpoint`);
+}
+
+// ————— helpers —————
+
+// API view of a proof and its anchoring status; with `owner`, null unless
+// the proof belongs to that email
+async function proofView(id, owner = null) {
+  const { proof, anchorId, anchor } = await getProofAnchor(id);
+  if (!proof || (owner && normalizeEmail(proof.customerEmail) !== owner)) return null;
+
+  let state = anchor ? anchor.state : null;
+  if (!state) {
+    const receipt = await getOtsReceiptEx(anchorId);
+    state = receipt.bytes ? STATES.CALENDAR_PENDING : STATES.QUEUED;
+  }
+  const path = `/api/v1/proofs/${encodeURIComponent(id)}`;
+
+  return {
+    id,
+    hash: proof.hash || null,
+    filename: proof.filename || null,
+    displayName: proof.displayName || null,
+    createdAt: proof.createdAt || null,
+    source: proof.source || null,
+    lang: proof.lang || null,
+    ...(proof.batch ? { batch: { id: proof.batch.id, role: proof.batch.role, size: proof.batch.size } } : {}),
+    anchor: {
+      state,
+      txid: anchor?.txid || null,
+      blockHeight: anchor?.blockHeight ?? null,
+      confirmations: anchor?.confirmations ?? 0,
+      updatedAt: anchor?.updatedAt || null,
+    },
+    links: {
+      self: path,
+      receipt: `${path}/receipt`,
+      certificate: `${path}/certificate`,
+      verify: `/v/${encodeURIComponent(id)}`,
+    },
+  };
+}
+
+// Path segments after /api/v1 (also reached directly as /.netlify/functions/api_v1)
+function routeOf(path) {
+  const rest = String(path || "").replace(/^.*?\/(api\/v1|\.netlify\/functions\/api_v1)(?=\/|$)/, "");
+  return rest.split("/").filter(Boolean).map(decodeURIComponent);
+}
+
+function header(event, name) {
+  const headers = event.headers || {};
+  const hit = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return hit ? headers[hit] : undefined;
+}
+
+function bearer(event) {
+  const m = /^Bearer\s+(.+)$/i.exec(header(event, "authorization") || "");
+  return m ? m[1].trim() : null;
+}
+
+function siteOrigin(event) {
+  const h = event.headers || {};
+  const host = h["x-forwarded-host"] || h.host;
+  return (process.env.URL || (host ? `https://${host}` : "")).replace(/\/$/, "");
+}
+
+function ok(status, data) {
+  return json(status, { data });
+}
+
+function fail(status, code, message, details) {
+  return json(status, { error: { code, message, ...(details ? { details } : {}) } });
+}
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+    },
+    body: JSON.stringify(body),
+  };
+}
@@ -0,0 +1,26 @@
+// netlify/functions/batch_cron.mjs
+// Scheduled batch expansion (schedule in netlify.toml): writes the remaining
+// file records of queued batches (_batch.js processBatchExpansions). The
+// webhook's expand_batch-background call normally does this first; the cron
+// covers calls that failed or ran out of time.
+//
+// Env:
+//   BATCH_CRON_TIME_BUDGET_MS   stop starting new chunks after this long (default 20000)
+
+import { processBatchExpansions } from "./_batch.js";
+
+const TIME_BUDGET_MS = Number(process.env.BATCH_CRON_TIME_BUDGET_MS || 20_000);
+
+function json(status, body){
+  return { statusCode: status, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
+}
+
+export const handler = async (_event)=>{
+  try{
+    const result = await processBatchExpansions({ budgetMs: TIME_BUDGET_MS });
+    return json(200, { ok:true, ...result });
+  }catch(e){
+    console.error("batch_cron error:", e);
+    return json(500, { error: e.message });
+  }
+};
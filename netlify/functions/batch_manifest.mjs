@@ -0,0 +1,66 @@
+// netlify/functions/batch_manifest.mjs
+// ESM — Manifest of a multi-file proof, by batch root id (the checkout session)
+// or by any file's proof id: the merkle root plus every file's proof id, name,
+// SHA-256 and inclusion path, with certificate and verify URLs (_batch.js).
+// The success page lists the files from here; ?download=1 serves it as a file
+// to keep next to the originals. Owner only (_auth.js): file names are private.
+//
+// Usage:
+//   /.netlify/functions/batch_manifest?id=<root or file proof id>[&download=1]
+
+import { getBatchManifest } from "./_batch.js";
+import { proofAccess } from "./_auth.js";
+
+export const handler = async (event) => {
+  try {
+    if (event.httpMethod !== "GET") {
+      return json(405, { ok: false, error: "GET required" });
+    }
+    const qp = event.queryStringParameters || {};
+    const id = (qp.id || "").trim();
+    if (!id) return json(400, { ok: false, error: "missing id" });
+
+    const manifest = await getBatchManifest(id);
+    if (!manifest) return json(404, { ok: false, error: "not a batch proof", id });
+
+    const access = await proofAccess(event, id);
+    if (!access.ok) return json(access.status, { ok: false, error: access.error, id });
+
+    const body = {
+      ok: true,
+      ...manifest,
+      tree: "sha256(left || right); an odd node is carried up unchanged; path sides name the sibling",
+      files: manifest.files.map((f) => ({
+        ...f,
+        verifyUrl: `/v/${encodeURIComponent(f.id)}`,
+        certificateUrl: `/.netlify/functions/proof_pdf_meta?id=${encodeURIComponent(f.id)}`,
+        receiptUrl: `/.netlify/functions/download_receipt?id=${encodeURIComponent(f.id)}`,
+      })),
+    };
+
+    if (qp.download) {
+      return {
+        ...json(200, body),
+        headers: {
+          "content-type": "application/json; charset=utf-8",
+          "content-disposition": `attachment; filename="${manifest.rootId}.batch.json"`,
+          "cache-control": "no-store",
+        },
+      };
+    }
+    return json(200, body);
+  } catch (e) {
+    return json(500, { ok: false, error: String(e?.message || e) });
+  }
+};
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+    },
+    body: JSON.stringify(body),
+  };
+}
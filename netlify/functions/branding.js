@@ -0,0 +1,178 @@
+// netlify/functions/branding.js
+// Certificate branding for the signed-in account (see _branding.js).
+// GET shows the settings; POST saves template, accent, company name and logo.
+// The logo arrives as a data: URL that the page's script reads from the file
+// input, so the form stays urlencoded like api_keys.js. Requires a session
+// (_auth.js); saving requires a plan with branding (Pro).
+
+const { getSession, loginRedirect } = require("./_auth");
+const { getEntitlement } = require("./_accounts");
+const { listProofs, getBrandingLogo } = require("./_db");
+const { TEMPLATES, MAX_LOGO_BYTES, canBrand, logoType, getBranding, saveBranding } = require("./_branding");
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function page(status, inner) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+    body: `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>Certificate branding – docuProof</title>
+  <style>
+    html,body{margin:0;background:#0b0d0f;color:#E6E7EB;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif}
+    main{max-width:800px;margin:0 auto;padding:32px 16px 64px}
+    h1{color:#16FF70;margin:0 0 8px}
+    h2{font-size:16px;margin:28px 0 8px}
+    a{color:#16FF70;text-decoration:none}
+    p{color:#9aa0a6;line-height:1.5}
+    label{display:block;margin:14px 0 6px;font-weight:600}
+    input,select,button{font-size:14px;border-radius:6px;padding:6px 10px}
+    input,select{border:1px solid #333;background:#0e1012;color:#E6E7EB}
+    input[type=color]{padding:2px;width:56px;height:32px}
+    button{border:none;background:#16FF70;color:#0b0d0f;font-weight:600;cursor:pointer;margin-top:18px}
+    button:disabled{background:#22283a;color:#9aa0a6;cursor:not-allowed}
+    .logo{max-height:60px;max-width:220px;background:#fff;border-radius:6px;padding:6px}
+    .notice{border:1px solid #16FF70;border-radius:8px;padding:12px;margin:16px 0}
+  </style>
+</head>
+<body>
+  <main>
+    ${inner}
+    <p style="margin-top:32px;"><a href="/.netlify/functions/history">← Proof history</a> · <a href="/.netlify/functions/api_keys">API keys</a> · <a href="/.netlify/functions/logout">Sign out</a></p>
+  </main>
+</body>
+</html>`,
+  };
+}
+
+async function render(email, { status = 200, notice = "" } = {}) {
+  const [ent, branding, recent] = await Promise.all([
+    getEntitlement(email),
+    getBranding(email),
+    listProofs({ email, limit: 1 }),
+  ]);
+  const allowed = canBrand(ent);
+  const b = branding || {};
+  const off = allowed ? "" : " disabled";
+
+  const plan = allowed
+    ? `Branding is included in your ${esc(ent.planLabel)} plan.`
+    : `Certificate branding is part of the Pro plan. <a href="/start">See plans</a>.`;
+  const options = Object.entries(TEMPLATES)
+    .map(([name, tpl]) => `<option value="${name}"${(b.template || "dark") === name ? " selected" : ""}>${esc(tpl.label)}</option>`)
+    .join("");
+  const latest = recent[0];
+  const preview = latest
+    ? `<p>Preview: <a href="/.netlify/functions/proof_pdf?id=${encodeURIComponent(latest.id)}">your latest certificate</a> ·
+        <a href="/verify?id=${encodeURIComponent(latest.id)}">its verify page</a></p>`
+    : "";
+
+  return page(status, `
+    <h1>Certificate branding</h1>
+    <p>Signed in as ${esc(email)}. ${plan}</p>
+    ${notice}
+    <p>Your logo, company name and accent color replace docuProof's on certificates and verify pages for your proofs.
+       The docuProof QR code and verification stay on every certificate.</p>
+    <form method="POST" action="/.netlify/functions/branding" id="branding-form">
+      <input type="hidden" name="action" value="save"/>
+      <label for="template">Template</label>
+      <select id="template" name="template"${off}>${options}</select>
+      <label for="name">Company name</label>
+      <input type="text" id="name" name="name" maxlength="80" value="${esc(b.name)}" placeholder="e.g. Acme Legal"${off}/>
+      <label for="accent">Accent color</label>
+      <input type="color" id="accent" name="accent" value="${esc(b.accent || "#16ff70")}"${off}/>
+      <label><input type="checkbox" name="resetAccent" value="1"${b.accent ? "" : " checked"}${off}/> Use the template's color</label>
+      <label for="logo-file">Logo (PNG or JPEG, up to ${MAX_LOGO_BYTES / 1024} KB)</label>
+      ${b.logo ? `<p><img class="logo" src="/.netlify/functions/branding?logo=1" alt="Current logo"/></p>` : ""}
+      <input type="file" id="logo-file" accept="image/png,image/jpeg"${off}/>
+      <input type="hidden" id="logo" name="logo"/>
+      ${b.logo ? `<label><input type="checkbox" name="removeLogo" value="1"${off}/> Remove the current logo</label>` : ""}
+      <button type="submit"${off}>Save branding</button>
+    </form>
+    ${preview}
+    <script>
+      document.getElementById("logo-file").addEventListener("change", function (e) {
+        var file = e.target.files[0];
+        var hidden = document.getElementById("logo");
+        hidden.value = "";
+        if (!file) return;
+        var reader = new FileReader();
+        reader.onload = function () { hidden.value = reader.result; };
+        reader.readAsDataURL(file);
+      });
+      document.getElementById("accent").addEventListener("input", function () {
+        document.querySelector("input[name=resetAccent]").checked = false;
+      });
+    </script>`);
+}
+
+// Logo bytes from a "data:image/png;base64,..." field, or null when empty
+function logoFromField(value) {
+  const m = String(value || "").match(/^data:[\w/+.-]*;base64,([A-Za-z0-9+/=]*)$/);
+  return m && m[1] ? Buffer.from(m[1], "base64") : null;
+}
+
+exports.handler = async (event) => {
+  const session = getSession(event);
+  if (!session) return loginRedirect(event);
+
+  try {
+    if (event.httpMethod === "GET") {
+      // The current logo, for the settings page itself
+      if ((event.queryStringParameters || {}).logo) {
+        const bytes = await getBrandingLogo(session.email);
+        if (!bytes) return { statusCode: 404, headers: { "Cache-Control": "no-store" }, body: "" };
+        return {
+          statusCode: 200,
+          headers: { "Content-Type": logoType(bytes) || "application/octet-stream", "Cache-Control": "no-store" },
+          body: bytes.toString("base64"),
+          isBase64Encoded: true,
+        };
+      }
+      return await render(session.email);
+    }
+    if (event.httpMethod !== "POST") {
+      return {
+        statusCode: 405,
+        headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+        body: JSON.stringify({ ok: false, error: "GET or POST required" }),
+      };
+    }
+
+    const raw = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+    const form = new URLSearchParams(raw);
+    if (form.get("action") !== "save") {
+      return await render(session.email, { status: 400, notice: "<p>Unknown action.</p>" });
+    }
+
+    try {
+      await saveBranding(session.email, {
+        template: form.get("template"),
+        accent: form.get("resetAccent") ? null : form.get("accent"),
+        name: form.get("name"),
+        logo: logoFromField(form.get("logo")),
+        removeLogo: !!form.get("removeLogo"),
+      });
+      return await render(session.email, { notice: `<div class="notice"><p>Branding saved.</p></div>` });
+    } catch (e) {
+      if (!["NOT_ENTITLED", "INVALID_LOGO", "LOGO_TOO_LARGE"].includes(e.code)) throw e;
+      return await render(session.email, {
+        status: e.code === "NOT_ENTITLED" ? 403 : 400,
+        notice: `<p>${esc(e.message)}.</p>`,
+      });
+    }
+  } catch (e) {
+    console.error("branding error:", e);
+    return page(500, `<h1>Certificate branding</h1><p>Something went wrong. Please try again shortly.</p>`);
+  }
+};
@@ -1,6 +1,13 @@
 // netlify/functions/create_checkout_session.js
 // CommonJS (matches your functions runtime)
+// A JSON body with `batch: [{ name, hash }]` (two or more files) creates a
+// multi-file proof: the manifest is saved first (_batch.js) and only its
+// batchId and merkle root travel in the Stripe metadata.
+// `lang` (en, de, fr, es — see _i18n.js) picks the certificate language and
+// is kept on the proof record.
 const Stripe = require('stripe');
+const { createBatch } = require('./_batch');
+const { normalizeLang } = require('./_i18n');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2024-06-20',
@@ -29,6 +36,8 @@ async function createStripeSession(payload) {
     displayName = '',
     plan = 'one-time',
     billing = 'none',
+    batch: files = null,
+    lang = '',
   } = payload;
 
   const priceId = PRICE_MAP[plan];
@@ -36,8 +45,15 @@ async function createStripeSession(payload) {
     throw new Error(`Unknown plan: ${plan}`);
   }
 
+  // Multi-file proof: anchor the merkle root of all file digests
+  let batch = null;
+  if (Array.isArray(files)) {
+    batch = await createBatch({ files, root: hash || null, email: email || null });
+  }
+  const proofHash = batch ? batch.root : hash;
+
   const isSubscription = plan !== 'one-time';
-  const shortId = shortIdFromHash(hash) || undefined;
+  const shortId = shortIdFromHash(proofHash) || undefined;
 
   const session = await stripe.checkout.sessions.create({
     mode: isSubscription ? 'subscription' : 'payment',
@@ -54,11 +70,14 @@ async function createStripeSession(payload) {
       plan,
       billing,
       email,
-      hash,
+      hash: proofHash,
       filename,
       displayName,
       shortId,
+      ...(normalizeLang(lang) ? { lang: normalizeLang(lang) } : {}),
+      ...(batch ? { batchId: batch.id, batchSize: String(batch.size) } : {}),
     },
+    ...(isSubscription ? { subscription_data: { metadata: { plan } } } : {}),
   });
 
   return session;
@@ -161,6 +180,16 @@ exports.handler = async (event) => {
       }),
     };
   } catch (err) {
+    if (err.code === 'BAD_BATCH') {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-store',
+        },
+        body: JSON.stringify({ ok: false, error: `Invalid batch: ${err.message}` }),
+      };
+    }
     console.error('create_checkout_session error:', err);
 
     return {
@@ -70,6 +70,8 @@ exports.handler = async (event) => {
         plan,
         type: 'subscription-plan',
       },
+      // Read back by _accounts.js when the price id alone does not name the plan
+      subscription_data: { metadata: { plan } },
     });
 
     // For browser navigation: send the user straight to Stripe Checkout.
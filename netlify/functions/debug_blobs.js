@@ -1,32 +1,25 @@
 // netlify/functions/debug_blobs.js
-// Read-only debugger for Netlify Blobs (JSON responses only)
+// Read-only debugger for Netlify Blobs (JSON responses only).
+// Operators only: requires DOCUPROOF_ADMIN_SECRET (see _auth.js isAdminRequest).
+// Reports where a key lives and its size, never its contents; keys holding
+// customer data or secrets are refused outright.
 
-async function getDefaultStore() {
-  const mod = await import("@netlify/blobs");
-  const gs = mod.getStore || (mod.default && mod.default.getStore);
-  if (!gs) throw new Error("getStore not available from @netlify/blobs");
+const { getBlobEx } = require("./_db");
+const { isAdminRequest } = require("./_auth");
 
-  try {
-    // Attempt env-bound store first (the usual production binding)
-    return gs("default");
-  } catch (e) {
-    // Fallback to manual credentials when running unbound
-    const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
-    const token  = process.env.NETLIFY_API_TOKEN || process.env.NETLIFY_BLOBS_TOKEN || process.env.BLOBS_TOKEN;
-    if (!siteID || !token) throw e;
-    return gs({ name: "default", siteID, token });
-  }
-}
+// Feeds, accounts, API keys, webhook endpoints (HMAC secrets) and login nonces
+const PRIVATE_PREFIXES = ["feed:", "accounts/", "apikeys/", "webhooks/", "auth/"];
 
 function json(status, body) {
   return {
     statusCode: status,
-    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
     body: JSON.stringify(body),
   };
 }
 
 exports.handler = async (event) => {
+  if (!isAdminRequest(event)) return json(401, { ok: false, error: "admin secret required" });
   try {
     const params = new URLSearchParams(event.queryStringParameters || {});
     if (params.get("ping")) {
@@ -44,23 +37,24 @@ exports.handler = async (event) => {
         ],
       });
     }
+    if (PRIVATE_PREFIXES.some((p) => key.startsWith(p))) {
+      return json(403, { ok: false, key, error: "Key holds private data" });
+    }
 
-    const store = await getDefaultStore();
-    const buf = await store.get(key, { type: "arrayBuffer" });
-    if (!buf) return json(404, { ok: false, key, error: "Blob not found" });
+    const { bytes: raw, storeName } = await getBlobEx(key);
+    if (!raw) return json(404, { ok: false, key, error: "Blob not found" });
 
-    const raw = Buffer.from(buf);
-    let parsed = null;
-    try { parsed = JSON.parse(raw.toString("utf8")); } catch (_) {}
+    let isJSON = true;
+    try { JSON.parse(raw.toString("utf8")); } catch (_) { isJSON = false; }
 
     return json(200, {
       ok: true,
       key,
+      store: storeName,
       bytes: raw.length,
-      isJSON: parsed !== null,
-      valuePreview: parsed ?? raw.toString("utf8").slice(0, 200),
+      isJSON,
     });
   } catch (err) {
     return json(500, { ok: false, error: err.message || String(err) });
   }
-};
\ No newline at end of file
+};
@@ -1,5 +1,10 @@
 // netlify/functions/diag_receipt.mjs
 // ESM; probes both canonical and legacy receipt keys and reports size/preview.
+// Receipt bytes are decoded locally via _ots.js (no sidecar round-trip).
+
+import { deserialize, serialize, verifyReceipt } from "./_ots.js";
+import { keys, getBlobEx, ping } from "./_db.js";
+import { getBackend } from "./_store.js";
 
 function json(status, body) {
   return {
@@ -14,17 +19,14 @@ function getQuery(event) {
   return { id: qs.id || "" };
 }
 
-async function loadStore() {
-  // Prefer explicit manual binding (works in your environment)
-  const siteID = process.env.NETLIFY_SITE_ID;
-  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_API_TOKEN; // fallback if needed
-  if (!siteID || !token) {
-    throw new Error("Missing NETLIFY_SITE_ID or NETLIFY_BLOBS_TOKEN");
+function decodeReceipt(buf) {
+  try {
+    const roundTrip = serialize(deserialize(buf)).equals(buf);
+    const { ok, error, hashOp, receiptDigest, complete, pending, bitcoin } = verifyReceipt(buf);
+    return { ok, error, hashOp, receiptDigest, complete, pending, bitcoin, roundTrip };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
   }
-  const mod = await import("@netlify/blobs");
-  const getStore = mod.getStore || (mod.default && mod.default.getStore);
-  if (!getStore) throw new Error("getStore not exported by @netlify/blobs");
-  return getStore({ name: "default", siteID, token });
 }
 
 function b64head(buf, n = 32) {
@@ -38,29 +40,28 @@ export const handler = async (event) => {
     const { id } = getQuery(event);
     if (!id) return json(400, { error: "missing ?id=" });
 
-    const store = await loadStore();
-
     // Candidate keys we use across the app
     const candidates = [
-      `ots/receipts/${id}.ots`,  // canonical
-      `ots:${id}.receipt`,       // legacy alias
-      `anchor:${id}.json`        // status json
+      keys.receipt(id),        // canonical
+      keys.receiptLegacy(id),  // legacy alias
+      keys.anchor(id)          // status json
     ];
 
     const out = [];
     for (const key of candidates) {
       try {
-        const ab = await store.get(key, { type: "arrayBuffer" });
-        if (!ab) {
+        const { bytes: buf, storeName } = await getBlobEx(key);
+        if (!buf) {
           out.push({ key, exists: false });
         } else {
-          const buf = Buffer.from(ab);
           out.push({
             key,
             exists: true,
+            store: storeName,
             bytes: buf.length,
             b64_head_32: b64head(buf, 32),     // quick fingerprint
-            text_head_80: buf.toString("utf8", 0, Math.min(buf.length, 80)) // human peek (may be binary garbage)
+            text_head_80: buf.toString("utf8", 0, Math.min(buf.length, 80)), // human peek (may be binary garbage)
+            ...(key.startsWith("anchor:") ? {} : { ots: decodeReceipt(buf) })
           });
         }
       } catch (e) {
@@ -69,12 +70,13 @@ export const handler = async (event) => {
     }
 
     // Also verify we can write/read a tiny probe under a temp key (auth sanity)
+    const { primary } = await getBackend();
     const probeKey = `diag/probe-${id}-${Date.now()}.txt`;
     let probe = null;
     try {
       const payload = `ok ${new Date().toISOString()}`;
-      await store.set(probeKey, payload, { metadata: { contentType: "text/plain; charset=utf-8" } });
-      const back = await store.get(probeKey, { type: "text" });
+      await primary.set(probeKey, payload, { metadata: { contentType: "text/plain; charset=utf-8" } });
+      const back = await primary.get(probeKey, { type: "text" });
       probe = { wrote: payload.length, read: (back || "").length, text: back || null, key: probeKey };
     } catch (e) {
       probe = { error: e?.message || String(e), key: probeKey };
@@ -84,7 +86,7 @@ export const handler = async (event) => {
       ok: true,
       id,
       site: process.env.NETLIFY_SITE_ID || null,
-      authPath: "manual-blobs-token",
+      ...(await ping()),
       keys: out,
       probe
     });
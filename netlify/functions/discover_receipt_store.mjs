@@ -82,7 +82,7 @@ export const handler = async (event) => {
       triedStoresCount: candidates.length,
       foundIn: findings,
       note: findings.length
-        ? "Add the discovered store(s) to _blobs_helper.mjs LEGACY_STORES."
+        ? "Add the discovered store(s) to BLOBS_LEGACY_STORES (see _store.js)."
         : "No stores matched; verify the id or try a known-good id like cs_test_email004."
     });
   } catch (e) {
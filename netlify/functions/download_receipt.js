@@ -1,32 +1,9 @@
 // netlify/functions/download_receipt.js
-// Stream the raw .ots receipt bytes for a given proof id.
+// Stream the raw .ots receipt bytes for a given proof id (batch members get
+// their grafted per-file receipt, see _batch.js). Owner only (_auth.js).
 
-const { getStore } = require("@netlify/blobs");
-
-async function getStoreSafe() {
-  try {
-    return getStore("proofs");
-  } catch {
-    const siteID =
-      process.env.NETLIFY_SITE_ID ||
-      process.env.SITE_ID ||
-      process.env.SITE_NAME ||
-      null;
-
-    const token =
-      process.env.NETLIFY_BLOBS_TOKEN ||
-      process.env.BLOBS_TOKEN ||
-      null;
-
-    if (!siteID || !token) return null;
-
-    try {
-      return getStore({ name: "proofs", siteID, token });
-    } catch {
-      return null;
-    }
-  }
-}
+const { getProofReceipt } = require("./_batch");
+const { proofAccess, loginRedirect } = require("./_auth");
 
 exports.handler = async (event) => {
   try {
@@ -47,34 +24,27 @@ exports.handler = async (event) => {
       };
     }
 
-    const store = await getStoreSafe();
-    if (!store) {
+    const access = await proofAccess(event, id);
+    if (access.status === 401) return loginRedirect(event);
+    if (!access.ok) {
       return {
-        statusCode: 500,
+        statusCode: access.status,
         headers: { "content-type": "application/json" },
-        body: JSON.stringify({ ok: false, error: "Blobs store not available" }),
+        body: JSON.stringify({ ok: false, error: access.error, id }),
       };
     }
 
-    const key = `ots/receipts/${id}.ots`;
-
-    let ab;
-    try {
-      ab = await store.get(key, { type: "arrayBuffer" });
-    } catch (e) {
-      ab = null;
-    }
+    const { bytes } = await getProofReceipt(id);
 
-    if (!ab || !ab.byteLength) {
+    if (!bytes) {
       return {
         statusCode: 404,
         headers: { "content-type": "application/json" },
-        body: JSON.stringify({ ok: false, error: "receipt not found", id, key }),
+        body: JSON.stringify({ ok: false, error: "receipt not found", id }),
       };
     }
 
-    const buf = Buffer.from(ab);
-    const b64 = buf.toString("base64");
+    const b64 = bytes.toString("base64");
 
     return {
       statusCode: 200,
@@ -1,21 +1,11 @@
 // netlify/functions/download_receipt.mjs
 // ESM. Streams the OTS receipt as a binary download.
-// Looks up canonical then legacy key. 404 if neither exists.
+// Looks up canonical then legacy key via _db.js (batch members: the root's
+// receipt with their merkle path grafted on, see _batch.js). 404 if neither exists.
+// Owner only (_auth.js): signed-out browsers are sent to the login page.
 
-async function getStore() {
-  const siteID = process.env.NETLIFY_SITE_ID;
-  const token =
-    process.env.NETLIFY_BLOBS_TOKEN ||
-    process.env.NETLIFY_API_TOKEN;
-
-  if (!siteID || !token)
-    throw new Error('Missing NETLIFY_SITE_ID and/or NETLIFY_*_TOKEN');
-
-  const mod = await import('@netlify/blobs');
-  const getStore = mod.getStore || (mod.default && mod.default.getStore);
-  if (!getStore) throw new Error('getStore not exported by @netlify/blobs');
-  return getStore({ name: 'default', siteID, token });
-}
+import { getProofReceipt } from './_batch.js';
+import { proofAccess, loginRedirect } from './_auth.js';
 
 function respBinaryOK(filename, buf) {
   return {
@@ -44,21 +34,14 @@ export const handler = async (event) => {
     const id = (event.queryStringParameters && event.queryStringParameters.id) || '';
     if (!id) return respJSON(400, { error: 'missing id' });
 
-    const store = await getStore();
+    const access = await proofAccess(event, id);
+    if (access.status === 401) return loginRedirect(event);
+    if (!access.ok) return respJSON(access.status, { error: access.error, id });
 
-    const keys = [
-      `ots/receipts/${id}.ots`, // canonical
-      `ots:${id}.receipt`,      // legacy
-    ];
-
-    let bytes = null;
-    for (const k of keys) {
-      const ab = await store.get(k, { type: 'arrayBuffer' });
-      if (ab) { bytes = Buffer.from(ab); break; }
-    }
+    const { bytes } = await getProofReceipt(id);
 
     if (!bytes) {
-      return respJSON(404, { error: 'receipt not found', id, tried: keys });
+      return respJSON(404, { error: 'receipt not found', id });
     }
 
     return respBinaryOK(`${id}.ots`, bytes);
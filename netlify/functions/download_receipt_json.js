@@ -1,35 +1,10 @@
 // netlify/functions/download_receipt_json.js
 // Return base64 of the .ots receipt so the Verify UI can decide
-// whether to enable the "Download OTS receipt" button.
+// whether to enable the "Download OTS receipt" button (per-file receipt for
+// batch members, see _batch.js). Owner only (_auth.js).
 
-const { getStore } = require("@netlify/blobs");
-
-async function getStoreSafe() {
-  try {
-    // Try automatic binding first
-    return getStore("proofs");
-  } catch {
-    const siteID =
-      process.env.NETLIFY_SITE_ID ||
-      process.env.SITE_ID ||
-      process.env.SITE_NAME ||
-      null;
-
-    const token =
-      process.env.NETLIFY_BLOBS_TOKEN ||
-      process.env.BLOBS_TOKEN ||
-      null;
-
-    if (!siteID || !token) return null;
-
-    try {
-      // Older SDK signature
-      return getStore({ name: "proofs", siteID, token });
-    } catch {
-      return null;
-    }
-  }
-}
+const { getProofReceipt } = require("./_batch");
+const { proofAccess } = require("./_auth");
 
 exports.handler = async (event) => {
   try {
@@ -50,34 +25,26 @@ exports.handler = async (event) => {
       };
     }
 
-    const store = await getStoreSafe();
-    if (!store) {
+    const access = await proofAccess(event, id);
+    if (!access.ok) {
       return {
-        statusCode: 500,
+        statusCode: access.status,
         headers: { "content-type": "application/json" },
-        body: JSON.stringify({ ok: false, error: "Blobs store not available" }),
+        body: JSON.stringify({ ok: false, error: access.error, id }),
       };
     }
 
-    const key = `ots/receipts/${id}.ots`;
-
-    let ab;
-    try {
-      ab = await store.get(key, { type: "arrayBuffer" });
-    } catch (e) {
-      ab = null;
-    }
+    const { bytes, key, storeName } = await getProofReceipt(id);
 
-    if (!ab || !ab.byteLength) {
+    if (!bytes) {
       return {
         statusCode: 404,
         headers: { "content-type": "application/json" },
-        body: JSON.stringify({ ok: false, error: "receipt not found", id, key }),
+        body: JSON.stringify({ ok: false, error: "receipt not found", id }),
       };
     }
 
-    const buf = Buffer.from(ab);
-    const b64 = buf.toString("base64");
+    const b64 = bytes.toString("base64");
 
     return {
       statusCode: 200,
@@ -86,7 +53,8 @@ exports.handler = async (event) => {
         ok: true,
         id,
         key,
-        size: buf.length,
+        store: storeName,
+        size: bytes.length,
         base64: b64,
       }),
     };
@@ -0,0 +1,84 @@
+// netlify/functions/email_preview.js
+// Render email templates (_email_templates.js) against their sample data.
+// Nothing is sent and no stored data is read.
+//
+//   GET                                  index of templates with versions
+//   GET ?template=<name>                 the HTML email
+//   GET ?template=<name>&format=text     the plain-text part
+//   GET ?template=<name>&format=json     { name, version, subject, htmlBody, textBody }
+
+const { renderEmail, listTemplates, sampleData, escapeHtml } = require("./_email_templates");
+
+function respond(status, contentType, body) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": contentType, "Cache-Control": "no-store", "X-Robots-Tag": "noindex" },
+    body,
+  };
+}
+
+function index() {
+  const rows = listTemplates().map((t) => {
+    const q = encodeURIComponent(t.name);
+    return `
+      <tr>
+        <td><code>${escapeHtml(t.name)}</code></td>
+        <td>v${t.version}</td>
+        <td>${escapeHtml(t.description)}</td>
+        <td><a href="?template=${q}">HTML</a> · <a href="?template=${q}&amp;format=text">text</a> · <a href="?template=${q}&amp;format=json">JSON</a></td>
+      </tr>`;
+  }).join("");
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>Email templates – docuProof</title>
+  <style>
+    html,body{margin:0;background:#0b0d0f;color:#E6E7EB;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif}
+    main{max-width:900px;margin:0 auto;padding:32px 16px 64px}
+    h1{color:#16FF70;margin:0 0 8px}
+    a{color:#16FF70;text-decoration:none}
+    p{color:#9aa0a6}
+    table{width:100%;border-collapse:collapse}
+    th,td{border-bottom:1px solid #222;padding:8px 10px;text-align:left;vertical-align:top}
+    th{color:#9aa0a6;font-weight:600}
+  </style>
+</head>
+<body>
+  <main>
+    <h1>Email templates</h1>
+    <p>Each template rendered with sample data.</p>
+    <table>
+      <thead><tr><th>Template</th><th>Version</th><th>Sent when</th><th>Preview</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </main>
+</body>
+</html>`;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== "GET") {
+    return respond(405, "application/json", JSON.stringify({ ok: false, error: "GET required" }));
+  }
+  const qp = event.queryStringParameters || {};
+  if (!qp.template) return respond(200, "text/html; charset=utf-8", index());
+
+  const sample = sampleData(qp.template);
+  if (!sample) {
+    return respond(404, "application/json", JSON.stringify({ ok: false, error: `unknown template "${qp.template}"` }));
+  }
+
+  try {
+    const email = renderEmail(qp.template, sample);
+    if (qp.format === "json") return respond(200, "application/json", JSON.stringify(email, null, 2));
+    if (qp.format === "text") {
+      return respond(200, "text/plain; charset=utf-8", `Subject: ${email.subject}\n\n${email.textBody}`);
+    }
+    return respond(200, "text/html; charset=utf-8", email.htmlBody);
+  } catch (e) {
+    console.error("email_preview error:", e);
+    return respond(500, "application/json", JSON.stringify({ ok: false, error: String(e?.message || e) }));
+  }
+};
@@ -0,0 +1,33 @@
+// netlify/functions/expand_batch-background.js
+// Background function (Netlify runs it for up to 15 minutes and answers 202
+// at once): writes the file records of a paid batch (_batch.js expandMembers).
+// stripe_webhook calls it right after checkout; batch_cron finishes any run
+// that stops early. POST { batchId } — only batches in the expansion queue
+// are touched, so the call is safe to repeat.
+
+const { listBatchExpansions } = require("./_db");
+const { expandMembers } = require("./_batch");
+
+// Leave headroom under the 15-minute background limit
+const TIME_BUDGET_MS = 13 * 60 * 1000;
+
+exports.handler = async (event) => {
+  let batchId = null;
+  try {
+    batchId = JSON.parse(event.body || "{}").batchId || null;
+  } catch {
+    // fall through
+  }
+  if (!batchId) {
+    console.warn("expand_batch: missing batchId");
+    return;
+  }
+
+  try {
+    if (!(await listBatchExpansions()).includes(batchId)) return;
+    const result = await expandMembers(batchId, { deadline: Date.now() + TIME_BUDGET_MS });
+    console.log("expand_batch:", JSON.stringify(result));
+  } catch (e) {
+    console.error(`expand_batch: ${batchId} failed:`, e);
+  }
+};
@@ -1,26 +1,37 @@
 // netlify/functions/get_blob.mjs
 // Returns whether a key exists, its byte length, and which store it was found in.
 
-import { json, makeBlobHelpers } from "./_blobs_helper.mjs";
+import { getBlobEx, ping } from "./_db.js";
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": "no-store",
+    },
+    body: JSON.stringify(body),
+  };
+}
 
 export const handler = async (event) => {
   try {
     const { key } = Object.fromEntries(new URLSearchParams(event.queryStringParameters || {}));
     if (!key) return json(400, { ok: false, error: "missing ?key=" });
 
-    const h = await makeBlobHelpers();
-    const { bytes, storeName } = await h.getBytesEx(key);
+    const { authPath, primaryStore, legacyStores } = await ping();
+    const { bytes, storeName } = await getBlobEx(key);
 
     return json(200, {
       ok: !!bytes,
       key,
-      authPath: h.authPath,
+      authPath,
       foundInStore: storeName,
       bytes: bytes ? bytes.length : 0,
-      primaryStore: h.PRIMARY_STORE,
-      probedStores: h.READ_STORES,
+      primaryStore,
+      probedStores: [primaryStore, ...legacyStores],
     });
   } catch (e) {
     return json(500, { ok: false, error: e.message });
   }
-};
\ No newline at end of file
+};
@@ -1,7 +1,17 @@
 // netlify/functions/history.js
-// Render recent proofs (global feed or filtered by email) from Netlify Blobs.
+// Render the signed-in account's recent proofs from Netlify Blobs.
+// Requires a session (magic-link login, see _auth.js); there is no global feed view.
 
 const { listProofs } = require("./_db");
+const { getSession, loginRedirect } = require("./_auth");
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
 // Ensure @netlify/blobs can be resolved in this function bundle
 async function _warmupBlobs() {
@@ -18,26 +28,30 @@ exports.handler = async (event) => {
     // non-fatal: if not available the page will just show no items
   }
 
+  const session = getSession(event);
+  if (!session) return loginRedirect(event);
+
   try {
     const qs = event.queryStringParameters || {};
-    const email = (qs.email || "").trim() || null;
+    const email = session.email;
     const limit = Math.max(1, Math.min(200, parseInt(qs.limit || "50", 10) || 50));
     const view = (qs.view || "").toLowerCase();  // "table" or "tiles"
     const isTiles = view === "tiles";            // boolean flag we’ll use later
 
     const items = await listProofs({ email, limit });
 
-    const title = email ? `Proof History – ${email}` : "Proof History – All";
+    const title = `Proof History – ${email}`;
 
     const rows = items.map((r) => {
-  const id = r.id || "—";
-  const fname = r.filename || "—";
-  const dname = r.displayName || "—";
-  const hash = r.hash || "—";
-  const mail = r.customerEmail || "—";
-  const created = r.createdAt || "—";
-  const viewUrl = `/.netlify/functions/view_proof?id=${encodeURIComponent(id)}`;
-  const verifyUrl = `/.netlify/functions/verify_page?id=${encodeURIComponent(id)}`;
+  const id = esc(r.id || "—");
+  const fname = esc(r.filename || "—");
+  const dname = esc(r.displayName || "—");
+  const hash = esc(r.hash || "—");
+  const mail = esc(r.customerEmail || "—");
+  const created = esc(r.createdAt || "—");
+  const viewUrl = `/.netlify/functions/view_proof?id=${encodeURIComponent(r.id || "")}`;
+  const verifyUrl = `/.netlify/functions/verify_page?id=${encodeURIComponent(r.id || "")}`;
+  const certUrl = `/.netlify/functions/proof_pdf_meta?id=${encodeURIComponent(r.id || "")}`;
   return `
     <tr>
       <td><a href="${verifyUrl}">${id}</a></td>
@@ -46,19 +60,20 @@ exports.handler = async (event) => {
       <td><code class="hash">${hash}</code></td>
       <td>${mail}</td>
       <td>${created}</td>
-      <td><a href="${viewUrl}">JSON</a> · <a href="${verifyUrl}">Verify</a></td>
+      <td><a href="${viewUrl}">JSON</a> · <a href="${verifyUrl}">Verify</a> · <a href="${certUrl}">Certificate</a></td>
     </tr>`;
 }).join("");
 
 const cards = items.map((r) => {
-  const id = r.id || "—";
-  const fname = r.filename || "—";
-  const dname = r.displayName || "—";
-  const hash = r.hash || "—";
-  const mail = r.customerEmail || "—";
-  const created = r.createdAt || "—";
-  const viewUrl = `/.netlify/functions/view_proof?id=${encodeURIComponent(id)}`;
-  const verifyUrl = `/.netlify/functions/verify_page?id=${encodeURIComponent(id)}`;
+  const id = esc(r.id || "—");
+  const fname = esc(r.filename || "—");
+  const dname = esc(r.displayName || "—");
+  const hash = esc(r.hash || "—");
+  const mail = esc(r.customerEmail || "—");
+  const created = esc(r.createdAt || "—");
+  const viewUrl = `/.netlify/functions/view_proof?id=${encodeURIComponent(r.id || "")}`;
+  const verifyUrl = `/.netlify/functions/verify_page?id=${encodeURIComponent(r.id || "")}`;
+  const certUrl = `/.netlify/functions/proof_pdf_meta?id=${encodeURIComponent(r.id || "")}`;
   return `
     <article class="card">
       <div class="row"><span class="label">Proof ID</span><span class="value"><a href="${verifyUrl}">${id}</a></span></div>
@@ -67,7 +82,7 @@ const cards = items.map((r) => {
       <div class="row"><span class="label">Hash</span><span class="value"><code>${hash}</code></span></div>
       <div class="row"><span class="label">Email</span><span class="value">${mail}</span></div>
       <div class="row"><span class="label">Created</span><span class="value">${created}</span></div>
-      <div class="links"><a href="${viewUrl}">JSON</a> · <a href="${verifyUrl}">Verify</a></div>
+      <div class="links"><a href="${viewUrl}">JSON</a> · <a href="${verifyUrl}">Verify</a> · <a href="${certUrl}">Certificate</a></div>
     </article>`;
 }).join("");
 
@@ -78,7 +93,7 @@ const emptyCards = `<div style="text-align:center;color:#aaa;padding:16px;">No p
 <head>
   <meta charset="utf-8"/>
   <meta name="viewport" content="width=device-width,initial-scale=1"/>
-  <title>${title}</title>
+  <title>${esc(title)}</title>
   <style>
   /* Reset / containment */
   html,body{
@@ -193,17 +208,15 @@ code{
 </head>
 <body>
   <main>
-    <h1>${title}</h1>
+    <h1>${esc(title)}</h1>
 
     <div class="controls">
       <form action="/.netlify/functions/history" method="GET" style="display:flex;flex-wrap:wrap;gap:8px;justify-content:center;">
-        <label>Email filter:&nbsp;</label>
-        <input type="email" name="email" value="${email || ""}" placeholder="user@example.com"/>
         <label>Limit:&nbsp;</label>
         <input type="number" name="limit" min="1" max="200" value="${limit}"/>
         <button type="submit">Apply</button>
-        <a href="/.netlify/functions/history" style="align-self:center;">Clear</a>
       </form>
+      <span style="align-self:center;color:#9aa0a6;">Signed in as ${esc(email)} · <a href="/.netlify/functions/api_keys">API keys</a> · <a href="/.netlify/functions/branding">Branding</a> · <a href="/.netlify/functions/logout">Sign out</a></span>
     </div>
 
     <div class="actions">
@@ -264,7 +277,7 @@ code{
 
     return {
       statusCode: 200,
-      headers: { "Content-Type": "text/html" },
+      headers: { "Content-Type": "text/html", "Cache-Control": "no-store" },
       body: html,
     };
   } catch (err) {
@@ -0,0 +1,185 @@
+// netlify/functions/login.js
+// Passwordless sign-in. GET shows the email form, POST emails a magic link
+// (see _auth.js) that signs the browser in via login_confirm.
+// The response never says whether the email has proofs or an account, nor
+// whether the request was throttled: past LIMITS per email or per client IP
+// the link is simply not sent.
+
+const { normalizeEmail, hitLoginLimit } = require("./_db");
+const { LOGIN_TTL_MS, loginToken, getSession, safeNext } = require("./_auth");
+const { sendTemplate } = require("./_email");
+
+const DEFAULT_NEXT = "/.netlify/functions/history";
+
+// Magic-link emails allowed per window, counted with _db.hitLoginLimit
+const LIMITS = {
+  email: { limit: 5, windowMs: 15 * 60_000 },
+  ip: { limit: 20, windowMs: 60 * 60_000 },
+};
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function siteOrigin(event) {
+  const h = event.headers || {};
+  const host = h["x-forwarded-host"] || h.host;
+  return (process.env.URL || (host ? `https://${host}` : "")).replace(/\/$/, "");
+}
+
+function page(status, inner) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+    body: `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>Sign in – docuProof</title>
+  <style>
+    html,body{margin:0;background:#0b0d0f;color:#E6E7EB;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif}
+    main{max-width:420px;margin:0 auto;padding:48px 16px}
+    h1{color:#16FF70;margin:0 0 16px}
+    a{color:#16FF70;text-decoration:none}
+    p{color:#9aa0a6;line-height:1.5}
+    form{display:flex;flex-direction:column;gap:10px;margin-top:16px}
+    input,button{font-size:15px;border-radius:6px;padding:8px 10px}
+    input{border:1px solid #333;background:#0e1012;color:#E6E7EB}
+    button{border:none;background:#16FF70;color:#0b0d0f;font-weight:600;cursor:pointer}
+  </style>
+</head>
+<body>
+  <main>
+    ${inner}
+    <p style="margin-top:32px;"><a href="/">← Back to docuProof.io</a></p>
+  </main>
+</body>
+</html>`,
+  };
+}
+
+function clientIp(event) {
+  const h = event.headers || {};
+  const forwarded = String(h["x-forwarded-for"] || "").split(",")[0].trim();
+  return h["x-nf-client-connection-ip"] || forwarded || null;
+}
+
+// Counts the request against both limits; false when either is exhausted.
+// A counter that cannot be written (a burst contending for it) counts as
+// exhausted, so bursts get the same answer as throttled requests.
+async function withinLimits(email, ip) {
+  try {
+    const hits = await Promise.all([
+      hitLoginLimit("email", email, LIMITS.email),
+      ip ? hitLoginLimit("ip", ip, LIMITS.ip) : true,
+    ]);
+    return hits.every(Boolean);
+  } catch (e) {
+    console.error("login: rate limit check failed:", e.message);
+    return false;
+  }
+}
+
+function contentType(event) {
+  const headers = event.headers || {};
+  return headers["content-type"] || headers["Content-Type"] || "";
+}
+
+function parseBody(event) {
+  const raw = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+  if (contentType(event).includes("application/json")) {
+    try { return JSON.parse(raw || "{}"); } catch { return {}; }
+  }
+  return Object.fromEntries(new URLSearchParams(raw).entries());
+}
+
+exports.handler = async (event) => {
+  const qp = event.queryStringParameters || {};
+
+  if (event.httpMethod === "GET") {
+    const next = safeNext(qp.next) || DEFAULT_NEXT;
+    const session = getSession(event);
+    if (session) {
+      return page(200, `
+    <h1>Signed in</h1>
+    <p>You are signed in as <strong>${esc(session.email)}</strong>.</p>
+    <p><a href="${esc(next)}">Continue</a> · <a href="/.netlify/functions/logout">Sign out</a></p>`);
+    }
+    return page(200, `
+    <h1>Sign in</h1>
+    <p>Enter the email you used at checkout. We'll send you a sign-in link that works once, for 15 minutes.</p>
+    <form method="POST" action="/.netlify/functions/login">
+      <input type="email" name="email" required placeholder="you@example.com" autocomplete="email"/>
+      <input type="hidden" name="next" value="${esc(next)}"/>
+      <button type="submit">Email me a sign-in link</button>
+    </form>`);
+  }
+
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+      body: JSON.stringify({ ok: false, error: "GET or POST required" }),
+    };
+  }
+
+  const body = parseBody(event);
+  const wantsJson = contentType(event).includes("application/json");
+  const email = normalizeEmail(body.email);
+  if (!email) {
+    if (wantsJson) {
+      return {
+        statusCode: 400,
+        headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+        body: JSON.stringify({ ok: false, error: "missing or invalid email" }),
+      };
+    }
+    return page(400, `<h1>Sign in</h1><p>That does not look like an email address. <a href="/.netlify/functions/login">Try again</a>.</p>`);
+  }
+
+  try {
+    if (!(await withinLimits(email, clientIp(event)))) {
+      console.warn("login: magic link throttled");
+      return sent(email, wantsJson);
+    }
+
+    const origin = siteOrigin(event);
+    const next = safeNext(body.next) || DEFAULT_NEXT;
+    const link =
+      `${origin}/.netlify/functions/login_confirm?token=${encodeURIComponent(loginToken(email))}` +
+      `&next=${encodeURIComponent(next)}`;
+
+    await sendTemplate("magic-link", { origin, link, ttlMinutes: LOGIN_TTL_MS / 60_000 }, { to: email });
+  } catch (e) {
+    console.error("login: sending magic link failed:", e);
+    if (wantsJson) {
+      return {
+        statusCode: 500,
+        headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+        body: JSON.stringify({ ok: false, error: "Could not send the sign-in email" }),
+      };
+    }
+    return page(500, `<h1>Sign in</h1><p>We could not send the sign-in email. Please try again shortly.</p>`);
+  }
+
+  return sent(email, wantsJson);
+};
+
+// The same answer whether or not a link went out
+function sent(email, wantsJson) {
+  if (wantsJson) {
+    return {
+      statusCode: 200,
+      headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+      body: JSON.stringify({ ok: true, sent: true }),
+    };
+  }
+  return page(200, `
+    <h1>Check your email</h1>
+    <p>We sent a sign-in link to <strong>${esc(email)}</strong>. It works once and expires in 15 minutes.</p>`);
+}
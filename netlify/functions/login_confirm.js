@@ -0,0 +1,90 @@
+// netlify/functions/login_confirm.js
+// Landing page of the magic link. GET only shows a "Continue" button: mail
+// scanners that prefetch links must not use up the single-use token. The
+// button POSTs the token back, which starts the session cookie (_auth.js).
+
+const { consumeLoginToken, sessionCookie, safeNext } = require("./_auth");
+
+const DEFAULT_NEXT = "/.netlify/functions/history";
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function page(status, inner) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" },
+    body: `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width,initial-scale=1"/>
+  <title>Sign in – docuProof</title>
+  <style>
+    html,body{margin:0;background:#0b0d0f;color:#E6E7EB;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif}
+    main{max-width:420px;margin:0 auto;padding:48px 16px}
+    h1{color:#16FF70;margin:0 0 16px}
+    a{color:#16FF70;text-decoration:none}
+    p{color:#9aa0a6;line-height:1.5}
+    button{font-size:15px;border-radius:6px;padding:8px 16px;border:none;background:#16FF70;color:#0b0d0f;font-weight:600;cursor:pointer}
+  </style>
+</head>
+<body>
+  <main>
+    ${inner}
+  </main>
+</body>
+</html>`,
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === "GET") {
+    const qp = event.queryStringParameters || {};
+    if (!qp.token) return page(400, `<h1>Sign in</h1><p>This link is incomplete. <a href="/.netlify/functions/login">Request a new one</a>.</p>`);
+    return page(200, `
+    <h1>Sign in</h1>
+    <form method="POST" action="/.netlify/functions/login_confirm">
+      <input type="hidden" name="token" value="${esc(qp.token)}"/>
+      <input type="hidden" name="next" value="${esc(safeNext(qp.next) || DEFAULT_NEXT)}"/>
+      <button type="submit">Continue to docuProof</button>
+    </form>`);
+  }
+
+  if (event.httpMethod !== "POST") {
+    return {
+      statusCode: 405,
+      headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+      body: JSON.stringify({ ok: false, error: "GET or POST required" }),
+    };
+  }
+
+  const raw = event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "";
+  const form = new URLSearchParams(raw);
+
+  try {
+    const email = await consumeLoginToken(form.get("token"));
+    if (!email) {
+      return page(401, `
+    <h1>Link expired</h1>
+    <p>This sign-in link has expired or was already used. <a href="/.netlify/functions/login">Request a new one</a>.</p>`);
+    }
+    return {
+      statusCode: 303,
+      headers: {
+        Location: safeNext(form.get("next")) || DEFAULT_NEXT,
+        "Set-Cookie": sessionCookie(email),
+        "Cache-Control": "no-store",
+      },
+      body: "",
+    };
+  } catch (e) {
+    console.error("login_confirm error:", e);
+    return page(500, `<h1>Sign in</h1><p>Something went wrong. Please try again shortly.</p>`);
+  }
+};
@@ -0,0 +1,14 @@
+// netlify/functions/logout.js
+// End the session (clears the cookie set by login_confirm) and go home.
+
+const { clearSessionCookie } = require("./_auth");
+
+exports.handler = async () => ({
+  statusCode: 303,
+  headers: {
+    Location: "/",
+    "Set-Cookie": clearSessionCookie(),
+    "Cache-Control": "no-store",
+  },
+  body: "",
+});
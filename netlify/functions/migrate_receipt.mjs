@@ -1,42 +1,39 @@
 // netlify/functions/migrate_receipt.mjs
-// Copy an existing receipt + anchor (wherever they currently live) into the primary store.
-// Usage:
+// Copy an existing receipt (wherever it currently lives) into the primary store.
+// Store names come from _store.js (BLOBS_STORE_NAME + BLOBS_LEGACY_STORES).
+// Anchor documents are not copied: only _anchor_state.js writes them, and it
+// carries a legacy copy over on the next transition (migrate_stores does so in bulk).
+// Operators only: requires DOCUPROOF_ADMIN_SECRET (see _auth.js isAdminRequest).
+// Usage (with the header `Authorization: Bearer <DOCUPROOF_ADMIN_SECRET>`):
 //   /.netlify/functions/migrate_receipt?id=cs_test_email012
 //   /.netlify/functions/migrate_receipt?id=cs_test_email012&dry=1  (no writes, just report)
 
+import { keys } from "./_db.js";
+import { getBackend } from "./_store.js";
+import { isAdminRequest } from "./_auth.js";
+
 export const handler = async (event) => {
+  if (!isAdminRequest(event)) return json(401, { ok: false, error: "admin secret required" });
   try {
     const id = (event.queryStringParameters?.id || "").trim();
     const dry = (event.queryStringParameters?.dry || "") === "1";
     if (!id) return json(400, { ok: false, error: "missing ?id=" });
 
-    const siteID = (process.env.NETLIFY_SITE_ID || "").trim();
-    const token  = (process.env.NETLIFY_BLOBS_TOKEN || "").trim();
-    const targetName = (process.env.BLOBS_STORE_NAME || "docuproof").trim();
-
-    const { getStore } = await import("@netlify/blobs");
+    const backend = await getBackend();
+    const targetName = backend.primaryName;
 
-    // Discovery list (same order you saw in verify output)
-    const STORES = [
-      targetName,
-      "docuproof",
-      "ots",
-      "default",
-      "blobs",
-      "public",
-    ].filter(Boolean);
+    // Discovery list: primary first, then legacy stores
+    const STORES = [{ name: targetName, store: backend.primary }, ...backend.legacy];
 
-    const keys = [
-      `ots/receipts/${id}.ots`,
-      `ots:${id}.receipt`,
-      `anchor:${id}.json`,
+    const candidates = [
+      keys.receipt(id),
+      keys.receiptLegacy(id),
     ];
 
     const probe = {};
     const found = {};
-    for (const key of keys) {
-      for (const name of STORES) {
-        const store = getStore({ name, siteID, token });
+    for (const key of candidates) {
+      for (const { name, store } of STORES) {
         const ab = await safeGet(store, key, "arrayBuffer");
         if (ab) {
           probe[key] ||= {};
@@ -56,17 +53,17 @@ export const handler = async (event) => {
       return json(200, {
         ok: false,
         id,
-        note: "No receipt/anchor objects found in any store.",
+        note: "No receipt objects found in any store.",
         targetStore: targetName,
         probe,
       });
     }
 
     // Write into target store (unless dry-run)
-    const target = getStore({ name: targetName, siteID, token });
+    const target = backend.primary;
     const writes = [];
 
-    for (const key of keys) {
+    for (const key of candidates) {
       const hit = found[key];
       if (!hit) continue; // not found anywhere
       if (hit.store === targetName) {
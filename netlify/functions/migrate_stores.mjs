@@ -0,0 +1,333 @@
+// netlify/functions/migrate_stores.mjs
+// Bulk migration into the canonical layout: walks every key of every candidate
+// store (primary first, then BLOBS_LEGACY_STORES) and copies receipts, anchors
+// and proof records into the primary store under their canonical keys.
+//
+//   ots:<id>.receipt | ots/receipts/<id>.ots  ->  ots/receipts/<id>.ots
+//   proof:<id>.json  | proof:<id>             ->  proof:<id>
+//   anchor:<id>.json                          ->  anchor:<id>.json
+//   feed:all                                  ->  feed:all               (merged)
+//   feed:email:<Mixed@Case>                   ->  feed:email:<mixed@case> (merged)
+//
+// Existing canonical objects are never overwritten: identical bytes count as
+// "same", different bytes as "conflict" (left for manual review). Every copy is
+// read back and compared byte-for-byte. Source keys are left in place.
+// Feeds are merged by proof id rather than copied (item.added entries): legacy
+// copies into the primary store's feed, and feeds saved under an email as
+// typed into the lowercased feed that history and the API read.
+// Canonical proof records are also added to the hash → proof-id index
+// (item.indexed), which covers proofs saved before the index existed.
+//
+// Operators only: requires DOCUPROOF_ADMIN_SECRET (see _auth.js isAdminRequest),
+// since reports list proof ids. Runs are dry by default; ?apply=1 starts one
+// that writes.
+//
+// Each call processes a bounded batch and saves the run report to
+// migrations/<runId>.json (also on dry runs — data keys are never written then).
+// When the batch runs out of time or keys, the response carries nextCursor;
+// call again with it until done is true.
+//
+// Usage (with the header `Authorization: Bearer <DOCUPROOF_ADMIN_SECRET>`):
+//   /.netlify/functions/migrate_stores              dry run
+//   /.netlify/functions/migrate_stores?apply=1      live run
+//   /.netlify/functions/migrate_stores?cursor=<nextCursor>
+//   /.netlify/functions/migrate_stores?limit=100
+
+import {
+  keys,
+  normalizeEmail,
+  getProof,
+  indexProofHash,
+  mergeIntoFeed,
+  getMigrationReport,
+  saveMigrationReport,
+} from "./_db.js";
+import { getBackend } from "./_store.js";
+import { deserialize } from "./_ots.js";
+import { isAdminRequest } from "./_auth.js";
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+const TIME_BUDGET_MS = Number(process.env.MIGRATION_TIME_BUDGET_MS || 8000);
+const MAX_REPORT_ITEMS = 2000;
+
+export const handler = async (event) => {
+  const started = Date.now();
+  if (!isAdminRequest(event)) return json(401, { ok: false, error: "admin secret required" });
+  try {
+    const q = event.queryStringParameters || {};
+    const limit = clampLimit(q.limit);
+
+    let cursor = null;
+    if (q.cursor) {
+      cursor = decodeCursor(q.cursor);
+      if (!cursor) return json(400, { ok: false, error: "invalid ?cursor=" });
+    }
+
+    let report = cursor ? await getMigrationReport(cursor.runId) : null;
+    if (cursor && !report) {
+      return json(404, { ok: false, error: `no migration report for run ${cursor.runId}` });
+    }
+    if (report?.done) {
+      return json(200, { ok: true, runId: report.runId, done: true, nextCursor: null, report });
+    }
+
+    const dryRun = report ? report.dryRun : q.apply !== "1";
+    if (report && q.apply !== undefined && (q.apply === "1") === dryRun) {
+      return json(400, { ok: false, error: `run ${report.runId} was started with apply=${dryRun ? 0 : 1}` });
+    }
+
+    const backend = await getBackend();
+    const stores = [{ name: backend.primaryName, store: backend.primary }, ...backend.legacy];
+
+    report ||= newReport({ dryRun, backend, stores });
+    let position = cursor || { runId: report.runId, store: 0, after: null };
+
+    const batch = [];
+    let outOfTime = false;
+
+    while (position.store < stores.length && batch.length < limit && !outOfTime) {
+      const { name, store } = stores[position.store];
+      const pending = (await listKeys(store)).filter((k) => position.after === null || k > position.after);
+
+      for (const key of pending) {
+        if (batch.length >= limit || Date.now() - started > TIME_BUDGET_MS) {
+          outOfTime = true;
+          break;
+        }
+        const item = await migrateKey({ name, store, key, backend, dryRun });
+        batch.push(item);
+        position = { ...position, after: key };
+      }
+
+      if (!outOfTime && batch.length < limit) {
+        position = { ...position, store: position.store + 1, after: null };
+      }
+    }
+
+    const done = position.store >= stores.length;
+    recordBatch(report, batch, done ? null : encodeCursor(position));
+    await saveMigrationReport(report);
+
+    return json(200, {
+      ok: true,
+      runId: report.runId,
+      dryRun,
+      done,
+      nextCursor: report.cursor,
+      reportKey: keys.migrationReport(report.runId),
+      batch: {
+        processed: batch.length,
+        changes: batch.filter((i) => i.action !== "skipped" && i.action !== "same"),
+      },
+      totals: report.totals,
+    });
+  } catch (e) {
+    return json(500, { ok: false, error: String(e?.message || e) });
+  }
+};
+
+// ————— per-key work —————
+
+/**
+ * Canonical target for a stored key, or null for keys this job does not own.
+ * { kind: "receipt" | "proof" | "anchor" | "feed", id, target }
+ */
+function classify(key) {
+  let m;
+  if (key === keys.feed()) return { kind: "feed", id: null, target: key };
+  if ((m = key.match(/^feed:email:(.+)$/))) {
+    const email = normalizeEmail(m[1]) || m[1];
+    return { kind: "feed", id: email, target: keys.feed(email) };
+  }
+  if ((m = key.match(/^ots\/receipts\/(.+)\.ots$/)) || (m = key.match(/^ots:(.+)\.receipt$/))) {
+    return { kind: "receipt", id: m[1], target: keys.receipt(m[1]) };
+  }
+  if ((m = key.match(/^anchor:(.+)\.json$/))) {
+    return { kind: "anchor", id: m[1], target: keys.anchor(m[1]) };
+  }
+  if ((m = key.match(/^proof:(.+?)(\.json)?$/))) {
+    return { kind: "proof", id: m[1], target: keys.proof(m[1]) };
+  }
+  return null;
+}
+
+async function migrateKey(args) {
+  if (classify(args.key)?.kind === "feed") return mergeFeed(args);
+  const item = await copyKey(args);
+  if (item.kind === "proof" && !args.dryRun && (item.action === "same" || item.action === "copied")) {
+    const record = await getProof(item.id);
+    if (record) item.indexed = await indexProofHash(record);
+  }
+  return item;
+}
+
+async function copyKey({ name, store, key, backend, dryRun }) {
+  const item = { store: name, key };
+  const spec = classify(key);
+  if (!spec) return { ...item, action: "skipped" };
+
+  Object.assign(item, { kind: spec.kind, id: spec.id, target: spec.target });
+
+  const bytes = await getBytes(store, key);
+  if (!bytes) return { ...item, action: "invalid", detail: "empty or unreadable" };
+  item.bytes = bytes.length;
+
+  const problem = validate(spec.kind, bytes);
+  if (problem) return { ...item, action: "invalid", detail: problem };
+
+  // Already canonical (same store, same key): nothing to copy
+  if (name === backend.primaryName && key === spec.target) return { ...item, action: "same" };
+
+  const existing = await getBytes(backend.primary, spec.target);
+  if (existing) {
+    return existing.equals(bytes)
+      ? { ...item, action: "same" }
+      : { ...item, action: "conflict", detail: `target holds ${existing.length} different bytes` };
+  }
+
+  if (dryRun) return { ...item, action: "would-copy" };
+
+  await backend.primary.set(spec.target, bytes, { contentType: contentTypeFor(spec.kind) });
+  const readBack = await getBytes(backend.primary, spec.target);
+  if (!readBack || !readBack.equals(bytes)) {
+    return { ...item, action: "verify-failed", detail: `read back ${readBack ? readBack.length : 0} bytes` };
+  }
+  return { ...item, action: "copied" };
+}
+
+async function mergeFeed({ name, store, key, backend, dryRun }) {
+  const spec = classify(key);
+  const item = { store: name, key, kind: spec.kind, id: spec.id, target: spec.target };
+
+  const bytes = await getBytes(store, key);
+  if (!bytes) return { ...item, action: "invalid", detail: "empty or unreadable" };
+  item.bytes = bytes.length;
+
+  let entries;
+  try {
+    entries = JSON.parse(bytes.toString("utf8"));
+  } catch (e) {
+    return { ...item, action: "invalid", detail: String(e?.message || e) };
+  }
+  if (!Array.isArray(entries)) return { ...item, action: "invalid", detail: "not a JSON array" };
+
+  // Already canonical (same store, same key): nothing to merge
+  if (name === backend.primaryName && key === spec.target) return { ...item, action: "same" };
+
+  const existing = await getBytes(backend.primary, spec.target);
+  if (dryRun) {
+    let have = [];
+    try {
+      have = existing ? JSON.parse(existing.toString("utf8")) : [];
+    } catch (_) {}
+    const seen = new Set((Array.isArray(have) ? have : []).map((e) => e && e.id));
+    const missing = entries.filter((e) => e && e.id && !seen.has(e.id)).length;
+    return missing || !existing ? { ...item, action: "would-merge", added: missing } : { ...item, action: "same" };
+  }
+
+  const added = await mergeIntoFeed(spec.id, entries);
+  return added || !existing ? { ...item, action: "merged", added } : { ...item, action: "same" };
+}
+
+function validate(kind, bytes) {
+  try {
+    if (kind === "receipt") {
+      deserialize(bytes);
+    } else {
+      const value = JSON.parse(bytes.toString("utf8"));
+      if (!value || typeof value !== "object" || Array.isArray(value)) return "not a JSON object";
+    }
+    return null;
+  } catch (e) {
+    return String(e?.message || e);
+  }
+}
+
+function contentTypeFor(kind) {
+  return kind === "receipt" ? "application/octet-stream" : "application/json; charset=utf-8";
+}
+
+// ————— report —————
+
+function newReport({ dryRun, backend, stores }) {
+  const now = new Date().toISOString();
+  return {
+    runId: `run-${now.replace(/[-:.]/g, "")}`,
+    dryRun,
+    backend: backend.kind,
+    targetStore: backend.primaryName,
+    stores: stores.map((s) => s.name),
+    startedAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    done: false,
+    cursor: null,
+    batches: 0,
+    totals: { scanned: 0 },
+    items: [],
+    itemsTruncated: false,
+  };
+}
+
+function recordBatch(report, batch, cursor) {
+  const now = new Date().toISOString();
+  report.batches += 1;
+  report.updatedAt = now;
+  report.cursor = cursor;
+  report.done = !cursor;
+  if (report.done) report.finishedAt = now;
+
+  for (const item of batch) {
+    report.totals.scanned += 1;
+    report.totals[item.action] = (report.totals[item.action] || 0) + 1;
+    if (item.indexed) report.totals.indexed = (report.totals.indexed || 0) + 1;
+    if (item.action === "skipped") continue;
+    if (report.items.length < MAX_REPORT_ITEMS) report.items.push(item);
+    else report.itemsTruncated = true;
+  }
+}
+
+// ————— helpers —————
+
+// Sorted so "after" cursors stay stable across invocations
+async function listKeys(store) {
+  const { blobs = [] } = (await store.list()) || {};
+  return blobs.map((b) => b.key).sort();
+}
+
+async function getBytes(store, key) {
+  try {
+    const ab = await store.get(key, { type: "arrayBuffer" });
+    if (ab && ab.byteLength > 0) return Buffer.from(ab);
+  } catch (_) {}
+  return null;
+}
+
+function clampLimit(raw) {
+  const n = Number.parseInt(raw, 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_LIMIT;
+  return Math.min(n, MAX_LIMIT);
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+function decodeCursor(raw) {
+  try {
+    const c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+    if (!c?.runId || !Number.isInteger(c.store) || c.store < 0) return null;
+    return { runId: String(c.runId), store: c.store, after: typeof c.after === "string" ? c.after : null };
+  } catch (_) {
+    return null;
+  }
+}
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+    body: JSON.stringify(body),
+  };
+}
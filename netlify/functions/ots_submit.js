@@ -1,4 +1,5 @@
-const { setOtsReceipt } = require('./_db');
+const { keys, setOtsReceipt } = require('./_db');
+const { STATES, getAnchorState, transition, advance } = require('./_anchor_state');
 
 const OTS_SIDECAR_URL = process.env.OTS_SIDECAR_URL;
 
@@ -44,7 +45,23 @@ exports.handler = async (event) => {
     };
   }
 
+  let current = null;
   try {
+    current = await getAnchorState(id);
+
+    // Duplicate delivery: never replace a receipt the calendars already issued
+    if (current && [STATES.CALENDAR_PENDING, STATES.ANCHORED, STATES.CONFIRMED].includes(current.state)) {
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ ok: true, state: current.state, duplicate: true })
+      };
+    }
+
+    if (!current || current.state === STATES.FAILED) {
+      await transition(id, STATES.QUEUED, { source: 'ots_submit', fields: { hash } });
+    }
+    current = await advance(id, STATES.SUBMITTED, { source: 'ots_submit', fields: { hash } });
+
     // Call the sidecar /stamp-hash
     const resp = await fetch(`${OTS_SIDECAR_URL}/stamp-hash`, {
       method: 'POST',
@@ -55,6 +72,7 @@ exports.handler = async (event) => {
     if (!resp.ok) {
       const text = await resp.text();
       console.error('OTS sidecar error:', resp.status, text);
+      await markRetrying(id, current, `sidecar ${resp.status}`);
       return {
         statusCode: 502,
         body: JSON.stringify({
@@ -69,6 +87,7 @@ exports.handler = async (event) => {
 
     if (!json.ok || !json.receipt_b64) {
       console.error('Unexpected OTS sidecar response:', json);
+      await markRetrying(id, current, 'invalid sidecar response');
       return {
         statusCode: 502,
         body: JSON.stringify({
@@ -81,6 +100,10 @@ exports.handler = async (event) => {
     // Decode base64 and write .ots into Netlify Blobs via _db helper
     const bytes = Buffer.from(json.receipt_b64, 'base64');
     await setOtsReceipt(id, bytes);
+    await advance(id, STATES.CALENDAR_PENDING, {
+      source: 'ots_submit',
+      fields: { receiptKey: keys.receipt(id), lastError: null },
+    });
 
     return {
       statusCode: 200,
@@ -88,6 +111,7 @@ exports.handler = async (event) => {
     };
   } catch (err) {
     console.error('ots_submit error:', err);
+    await markRetrying(id, current, String(err)).catch(() => {});
     return {
       statusCode: 500,
       body: JSON.stringify({
@@ -98,3 +122,13 @@ exports.handler = async (event) => {
     };
   }
 };
+
+// Leave the proof in the pending index for the resolver to pick up again
+async function markRetrying(id, current, reason) {
+  if (!current || ![STATES.SUBMITTED, STATES.RETRYING].includes(current.state)) return;
+  await transition(id, STATES.RETRYING, {
+    source: 'ots_submit',
+    note: reason,
+    fields: { attempts: (current.attempts || 0) + 1, lastError: reason },
+  });
+}
@@ -1,27 +1,159 @@
 // netlify/functions/proof_pdf.js
-// v5.3.1 — stable binary PDF + reserved right column for QR (no overlap)
+// v6.2.0 — stable binary PDF + reserved right column for QR (no overlap)
+//          + Bitcoin anchor row with the block-header check result, when anchored
+//          + batch row for multi-file proofs (anchor looked up through the batch root)
+//          + owner only for a stored ?id= (session cookie or ?access= grant, see _auth.js)
+//          + content from the stored proof, anchor and receipt (_certificate.js):
+//            "pending" or "anchored" edition with full digest, creation time (UTC),
+//            block height / time, txid and calendars; regenerate any time via proof_pdf_meta.
+//          + .ots receipt and JSON manifest embedded as PDF attachments (_bundle.js)
+//          + stored records only: ?id= is required and nothing else in the query reaches the page;
+//            the manifest is Ed25519-signed (_signing.js) into the PDF metadata and the QR
+//            payload (&sig=), and recorded as an issued certificate for the verify page
+//          + localized (_i18n.js): the proof record's lang, or ?lang=, with dates in that locale;
+//            text outside Helvetica's WinAnsi set is drawn with the embedded DejaVu Sans (data/)
+//          + templates and branding (_branding.js): "dark" or print-friendly "light" (?template=
+//            or the owner's setting); Pro accounts' logo, name and accent replace docuProof's,
+//            while the QR code keeps docuProof's colors and a "verify with docuProof" caption
 
 const fs = require("fs");
+const path = require("path");
 const PDFDocument = require("pdfkit");
 const QRCode = require("qrcode");
+const { loadCertificate } = require("./_certificate");
+const { buildManifest, embedBundle } = require("./_bundle");
+const { signManifest, certificateIdOf } = require("./_signing");
+const { saveIssuedCertificate } = require("./_db");
+const { DEFAULT_LANG, normalizeLang, translator, formatDateTime } = require("./_i18n");
+const { themeForProof } = require("./_branding");
+const { proofAccess, loginRedirect } = require("./_auth");
 
 function mm(n) { return (n * 72) / 25.4; } // millimeters → points
 
+const VERIFY_PAGE = "https://docuproof.io/.netlify/functions/verify_page";
+
+function jsonError(status, error, id) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body: JSON.stringify({ ok: false, error, id }),
+  };
+}
+
+// Unicode font for text Helvetica cannot encode (bundled via netlify.toml included_files)
+const UNICODE_FONT_PATHS = [
+  "./netlify/functions/data/DejaVuSans.ttf",
+  path.join(__dirname, "data", "DejaVuSans.ttf"),
+];
+// Helvetica's WinAnsi repertoire: Latin-1 plus the typographic marks of cp1252
+const WIN_ANSI = /^[\n\x20-\x7e\xa0-\xff\u0152\u0153\u0160\u0161\u0178\u017d\u017e\u0192\u02c6\u02dc\u2013\u2014\u2018-\u201a\u201c-\u201e\u2020-\u2022\u2026\u2030\u2039\u203a\u20ac\u2122]*$/;
+
+// Certificate row for the anchoring state
+function statusRow(cert, t) {
+  if (cert.edition === "pending") {
+    return [t("pdf.row.status"), t("pdf.row.status.pending"), t("pdf.row.status.pending.help")];
+  }
+  const depth = t(cert.confirmations === 1 ? "pdf.row.status.depth.one" : "pdf.row.status.depth.other", { count: cert.confirmations });
+  return [
+    t("pdf.row.status"),
+    t(cert.state === "CONFIRMED" ? "pdf.row.status.confirmed" : "pdf.row.status.anchored", { depth }),
+    t("pdf.row.status.anchored.help"),
+  ];
+}
+
+// Certificate row for the Bitcoin anchor, or null while not yet anchored
+function anchorRow(cert, t) {
+  if (cert.edition !== "anchored") return null;
+  const block = cert.block ? t("pdf.row.anchor.block", { height: cert.block.height }) : t("pdf.row.anchor.bitcoin");
+  if (cert.verified) {
+    return [t("pdf.row.anchor"), t("pdf.row.anchor.verified", { block }), t("pdf.row.anchor.verified.help")];
+  }
+  return [t("pdf.row.anchor"), t("pdf.row.anchor.unchecked", { block }), t("pdf.row.anchor.unchecked.help")];
+}
+
+// Certificate row for the block, or null until its height is known
+function blockRow(cert, t, lang) {
+  if (!cert.block) return null;
+  const time = formatDateTime(cert.block.time, lang);
+  return [
+    t("pdf.row.block"),
+    time ? t("pdf.row.block.mined", { height: cert.block.height, time }) : String(cert.block.height),
+    t("pdf.row.block.help"),
+  ];
+}
+
+// Certificate row for the anchoring transaction, or null until it is known
+function txRow(cert, t) {
+  if (!cert.txid) return null;
+  return [t("pdf.row.tx"), cert.txid, t("pdf.row.tx.help")];
+}
+
+// Certificate row for the OpenTimestamps calendars, or null when there are none left
+function calendarsRow(cert, t) {
+  if (!cert.calendars.length) return null;
+  return [
+    t("pdf.row.calendars"),
+    cert.calendars.join("\n"),
+    t(cert.edition === "pending" ? "pdf.row.calendars.pending.help" : "pdf.row.calendars.anchored.help"),
+  ];
+}
+
+// Certificate row for a multi-file proof, or null for a single-file one
+function batchRow(proof, t) {
+  const batch = proof && proof.batch;
+  if (!batch) return null;
+  if (batch.role === "root") {
+    return [t("pdf.row.batch"), t("pdf.row.batch.root", { size: batch.size }), t("pdf.row.batch.root.help")];
+  }
+  return [
+    t("pdf.row.batch"),
+    t("pdf.row.batch.member", { index: batch.index + 1, size: batch.size, root: batch.root }),
+    t("pdf.row.batch.member.help"),
+  ];
+}
+
 exports.handler = async (event) => {
   const qp = event.queryStringParameters || {};
-  const id        = qp.id || "unknown";
-  const filename  = qp.filename || "docuProof.pdf";
-  const display   = qp.displayName || "Untitled";
-  const verifyUrl = qp.verifyUrl || `https://docuproof.io/.netlify/functions/verify_page?id=${encodeURIComponent(id)}`;
-  const quickId   = qp.quickId || "----------";
+  const id = (qp.id || "").trim();
+  if (!id) return jsonError(400, "Missing id", null);
+
+  const access = await proofAccess(event, id);
+  if (access.status === 401) return loginRedirect(event);
+  if (!access.ok) return jsonError(access.status, access.error, id);
 
   try {
+    const cert = await loadCertificate(id);
+    if (!cert) return jsonError(404, "Proof not found", id);
+
+    const verifyUrl = `${VERIFY_PAGE}?id=${encodeURIComponent(id)}`;
+    const proof    = cert.proof;
+    const lang     = normalizeLang(qp.lang) || normalizeLang(proof.lang) || DEFAULT_LANG;
+    const t        = translator(lang);
+    const filename = proof.filename || "docuProof.pdf";
+    const display  = proof.displayName || t("pdf.untitled");
+    const quickId  = cert.quickId;
+    const anchored = cert.edition === "anchored";
+    const theme    = await themeForProof(id, { template: qp.template });
+
+    // Sign before drawing: the QR code carries the signature
+    const manifest = buildManifest(cert, { verifyUrl });
+    const signature = signManifest(manifest);
+    const certId = certificateIdOf(signature.value);
+    await saveIssuedCertificate({ id, certId, manifest, signature, issuedAt: manifest.generatedAt });
+    const qrPayload = `${verifyUrl}&sig=${signature.value}`;
+
     const doc = new PDFDocument({
       size: "A4",
       margin: mm(14),
+      lang,
       info: { Title: "docuProof Certificate" },
     });
 
+    // Names and filenames can be in any script: fall back to the Unicode font per string
+    const unicodeFont = UNICODE_FONT_PATHS.find((p) => fs.existsSync(p));
+    if (unicodeFont) doc.registerFont("Unicode", unicodeFont);
+    const fontFor = (text, base) => (unicodeFont && !WIN_ANSI.test(String(text)) ? "Unicode" : base);
+
     const chunks = [];
     doc.on("data", (c) => chunks.push(c));
     const done = new Promise((resolve) =>
@@ -49,115 +181,121 @@ exports.handler = async (event) => {
     const valueWidth  = summaryRight - valueX;
 
     // Background
-    doc.rect(0, 0, pageW, pageH).fill("#0b0d0f");
+    doc.rect(0, 0, pageW, pageH).fill(theme.background);
 
     // Header
-    doc.font("Helvetica-Bold")
+    const tagline = `${theme.name || "docuProof.io"} — ${t("pdf.title")}`;
+    doc.font(fontFor(tagline, "Helvetica-Bold"))
       .fontSize(18)
-      .fillColor("#16FF70")
+      .fillColor(theme.accent)
       .text(
-        "docuProof.io — Proof you can point to.",
+        tagline,
         leftX,
         mm(12),
         { width: summaryWidth }
       );
 
-    // Logo (transparent PNG preferred)
-    const logoPaths = [
-      "./netlify/functions/assets/logo_nobg.png",
-      "./netlify/functions/assets/logo.png",
-    ];
-    let logoUsed = null;
-    for (const p of logoPaths) {
-      if (fs.existsSync(p)) {
-        logoUsed = p;
-        break;
+    // Logo: the account's upload, else the template's stock logo (transparent PNG
+    // preferred), else a text wordmark
+    const logoW = mm(42);
+    let logoDrawn = false;
+    if (theme.logo) {
+      try {
+        doc.image(theme.logo, rightX - logoW, mm(8), { fit: [logoW, mm(18)], align: "right" });
+        logoDrawn = true;
+      } catch (e) {
+        console.warn("proof_pdf: unreadable branding logo for", id, e.message);
       }
     }
+    const logoUsed = logoDrawn ? null : theme.logos.find((p) => fs.existsSync(p));
     if (logoUsed) {
-      const w = mm(42);
-      doc.image(logoUsed, rightX - w, mm(8), { width: w });
+      doc.image(logoUsed, rightX - logoW, mm(8), { width: logoW });
+    } else if (!logoDrawn) {
+      doc.font("Helvetica-Bold")
+        .fontSize(16)
+        .fillColor(theme.accent)
+        .text("docuProof", rightX - logoW, mm(12), { width: logoW, align: "right" });
     }
 
     // Title + body
-    doc.font("Helvetica-Bold")
+    const title = t("pdf.title");
+    doc.font(fontFor(title, "Helvetica-Bold"))
       .fontSize(16)
-      .fillColor("#E6E7EB")
-      .text("Proof you can point to.", leftX, mm(26), {
+      .fillColor(theme.text)
+      .text(title, leftX, mm(26), {
         width: summaryWidth,
       });
 
-    doc.font("Helvetica")
+    const intro = anchored
+      ? cert.block ? t("pdf.intro.anchoredBlock", { height: cert.block.height }) : t("pdf.intro.anchored")
+      : t("pdf.intro.pending");
+    doc.font(fontFor(intro, "Helvetica"))
       .fontSize(9)
-      .fillColor("#A8AAB0")
-      .text(
-        "This certificate confirms your document was cryptographically hashed and queued for permanent timestamping on Bitcoin.",
-        leftX,
-        mm(33),
-        { width: summaryWidth }
-      );
+      .fillColor(theme.muted)
+      .text(intro, leftX, mm(33), { width: summaryWidth });
 
     // Summary heading
-    doc.font("Helvetica-Bold")
+    const heading = t(anchored ? "pdf.summary.anchored" : "pdf.summary.pending");
+    doc.font(fontFor(heading, "Helvetica-Bold"))
       .fontSize(11)
-      .fillColor("#16FF70")
-      .text("Proof Summary", leftX, mm(44), { width: summaryWidth });
+      .fillColor(theme.accent)
+      .text(heading, leftX, mm(44), { width: summaryWidth });
 
     // Summary explanatory paragraph
-    doc.font("Helvetica")
+    const summary = t("pdf.summary.body");
+    doc.font(fontFor(summary, "Helvetica"))
       .fontSize(9)
-      .fillColor("#A8AAB0")
-      .text(
-        "This proof represents a cryptographic commitment to your original file. docuProof submits proofs to OpenTimestamps for batching and anchoring into the Bitcoin blockchain. Once anchored, anyone can independently verify this timestamp without relying on docuProof.",
-        leftX,
-        mm(48),
-        { width: summaryWidth }
-      );
+      .fillColor(theme.muted)
+      .text(summary, leftX, mm(48), { width: summaryWidth });
 
     // Rows
     const rows = [
-      ["Proof ID",         id,        "Unique identifier for this proof within docuProof."],
-      ["Quick Verify ID",  quickId,   "Short form of the identifier for manual reference or logging."],
-      [
-        "Created (UTC)",
-        new Date().toISOString().replace("T", " ").replace("Z", "Z"),
-        "Time this certificate was generated (anchoring occurs after batching).",
-      ],
-      [
-        "File Name",
-        filename,
-        "Human-readable name of the original document associated with this proof.",
-      ],
-      [
-        "Display Name",
-        display,
-        "Descriptive title for this proof, provided by the user.",
-      ],
-      [
-        "Public Verify URL",
-        verifyUrl,
-        "Shareable link to check live status and Bitcoin anchoring for this proof.",
-      ],
+      [t("pdf.row.proofId"), id,      t("pdf.row.proofId.help")],
+      [t("pdf.row.quickId"), quickId, t("pdf.row.quickId.help")],
     ];
+    if (cert.digest) {
+      rows.push([t("pdf.row.sha256"), cert.digest, t("pdf.row.sha256.help")]);
+    }
+    rows.push(
+      [t("pdf.row.created"),     formatDateTime(cert.createdAt, lang) || "—", t("pdf.row.created.help")],
+      [t("pdf.row.filename"),    filename,  t("pdf.row.filename.help")],
+      [t("pdf.row.displayName"), display,   t("pdf.row.displayName.help")],
+      [t("pdf.row.verifyUrl"),   verifyUrl, t("pdf.row.verifyUrl.help")],
+    );
+    const extra = [
+      statusRow(cert, t), batchRow(proof, t), anchorRow(cert, t), blockRow(cert, t, lang), txRow(cert, t), calendarsRow(cert, t),
+    ];
+    rows.push(...extra.filter(Boolean), [
+      t("pdf.row.signature"),
+      t("pdf.row.signature.value", { kid: signature.kid }),
+      t("pdf.row.signature.help"),
+    ]);
 
     // Dynamic row layout: respect wrapped heights
+    const footerY = pageH - mm(22);
     let y = mm(66);
 
     for (const [k, v, helper] of rows) {
+      // Long editions (batch, calendars) continue on a new page above the footer
+      if (y + mm(14) > footerY) {
+        doc.addPage();
+        doc.rect(0, 0, pageW, pageH).fill(theme.background);
+        y = mm(14);
+      }
       const rowTop = y;
 
       // Key label
-      doc.font("Helvetica-Bold")
+      doc.font(fontFor(k, "Helvetica-Bold"))
         .fontSize(9)
-        .fillColor("#16FF70")
+        .fillColor(theme.accent)
         .text(k, leftX, rowTop, {
           width: keyRight - leftX,
         });
 
       // Value text (can wrap to multiple lines)
-      doc.font("Helvetica")
+      doc.font(fontFor(v, "Helvetica"))
         .fontSize(9)
-        .fillColor("#E6E7EB")
+        .fillColor(theme.text)
         .text(v, valueX, rowTop, {
           width: valueWidth,
         });
@@ -166,9 +304,9 @@ exports.handler = async (event) => {
 
       let afterHelperY = afterValueY;
       if (helper) {
-        doc.font("Helvetica")
+        doc.font(fontFor(helper, "Helvetica"))
           .fontSize(8)
-          .fillColor("#A8AAB0")
+          .fillColor(theme.muted)
           .text(helper, valueX, afterValueY + mm(1.5), {
             width: valueWidth,
           });
@@ -179,29 +317,42 @@ exports.handler = async (event) => {
       y = afterHelperY + mm(3);
     }
 
-    // QR code
-    const qrPng = await QRCode.toBuffer(verifyUrl, {
+    // QR code: docuProof's colors for the template, whatever the branding
+    const qrPng = await QRCode.toBuffer(qrPayload, {
       width: 280,
       margin: 0,
-      color: { dark: "#0b0d0f", light: "#16FF70" },
+      color: { dark: theme.qr.dark, light: theme.qr.light },
     });
 
-    // Green patch + QR in reserved right column
-    doc.rect(qrX, qrY, qrBoxW, qrBoxW).fill("#16FF70");
+    // Patch + QR in reserved right column
+    doc.rect(qrX, qrY, qrBoxW, qrBoxW).fill(theme.qr.patch);
     doc.image(qrPng, qrX + qrPadding, qrY + qrPadding, {
       width: qrBoxW - 2 * qrPadding,
     });
+    if (theme.branded) {
+      const caption = t("pdf.qr.caption");
+      doc.font(fontFor(caption, "Helvetica"))
+        .fontSize(7)
+        .fillColor(theme.muted)
+        .text(caption, qrX, qrY + qrBoxW + mm(2), { width: qrBoxW, align: "center" });
+    }
 
-    // Footer
-    const footerY = pageH - mm(18);
-
-    doc.font("Helvetica")
+    // Footer (on the last page)
+    const generated = t("pdf.footer.generated", { time: formatDateTime(manifest.generatedAt, lang) });
+    doc.font(fontFor(generated, "Helvetica"))
+      .fontSize(8)
+      .fillColor(theme.muted)
+      .text(generated, leftX, footerY, {
+        width: rightX - leftX,
+      });
+    const disclaimer = t("pdf.footer.disclaimer");
+    doc.font(fontFor(disclaimer, "Helvetica"))
       .fontSize(8)
-      .fillColor("#A8AAB0")
+      .fillColor(theme.muted)
       .text(
-        "docuProof batches proofs to Bitcoin for tamper-evident timestamping. docuProof is not a notary and does not provide legal attestation.",
+        disclaimer,
         leftX,
-        footerY,
+        footerY + mm(4),
         {
           width: rightX - leftX,
           align: "left",
@@ -209,17 +360,22 @@ exports.handler = async (event) => {
       );
 
     doc.end();
-    const pdf = await done;
+    // The receipt and signed manifest ride along, so the PDF alone is the proof bundle
+    const pdf = Buffer.from(await embedBundle(await done, { manifest: { ...manifest, signature }, receipt: cert.receiptBytes }));
     const b64 = pdf.toString("base64");
 
     return {
       statusCode: 200,
       headers: {
         "Content-Type": "application/pdf",
-        "Content-Disposition": `inline; filename="${filename.replace(/"/g, "")}"`,
+        "Content-Disposition": `inline; filename="${filename.replace(/[^\x20-\x7e]|"/g, "_")}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+        "Content-Language": lang,
         "Cache-Control": "no-store, no-cache, must-revalidate",
         "Content-Length": String(pdf.length),
-        "x-docuproof-version": "proof_pdf v5.3.1",
+        "x-docuproof-version": "proof_pdf v6.2.0",
+        "x-docuproof-edition": cert.edition,
+        "x-docuproof-template": theme.template,
+        "x-docuproof-certificate": certId,
       },
       body: b64,
       isBase64Encoded: true,
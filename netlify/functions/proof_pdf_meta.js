@@ -1,15 +1,11 @@
 // netlify/functions/proof_pdf_meta.js
-// Helper: given ?id=cs_..., look up proof metadata in Blobs and redirect
-// to proof_pdf with filename/displayName/quickId filled in.
+// Stable certificate link: given ?id=cs_..., check the caller owns the proof
+// and redirect to proof_pdf, which renders the current edition from the stored
+// records (_certificate.js) — so the same link regenerates the certificate
+// with the Bitcoin details once the proof is anchored.
+// Owner only (_auth.js): signed-out browsers are sent to the login page.
 
-const { getProof } = require("./_db");
-
-// Derive a short ID from the stored hash
-function shortIdFromHash(h) {
-  if (!h || typeof h !== "string") return "----------";
-  const m = h.toLowerCase().match(/[0-9a-f]{12,}/);
-  return m ? m[0].slice(0, 12) : "----------";
-}
+const { proofAccess, loginRedirect } = require("./_auth");
 
 exports.handler = async (event) => {
   const qp = event.queryStringParameters || {};
@@ -26,38 +22,20 @@ exports.handler = async (event) => {
     };
   }
 
-  // Defaults (if lookup fails)
-  let filename = "docuProof.pdf";
-  let displayName = "Untitled";
-  let quickId = "----------";
-  let verifyUrl =
-    `https://docuproof.io/.netlify/functions/verify_page?id=${encodeURIComponent(id)}`;
-
-  try {
-    const proof = await getProof(id);
-    if (proof && typeof proof === "object") {
-      if (proof.filename && typeof proof.filename === "string") {
-        filename = proof.filename;
-      }
-      if (proof.displayName && typeof proof.displayName === "string") {
-        displayName = proof.displayName;
-      }
-      if (proof.hash && typeof proof.hash === "string") {
-        quickId = shortIdFromHash(proof.hash);
-      }
-    }
-  } catch (e) {
-    console.error("proof_pdf_meta getProof error:", e);
-    // fall back to defaults
+  const access = await proofAccess(event, id);
+  if (access.status === 401) return loginRedirect(event);
+  if (!access.ok) {
+    return {
+      statusCode: access.status,
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+      },
+      body: JSON.stringify({ ok: false, error: access.error, id }),
+    };
   }
 
-  const params = new URLSearchParams({
-    id,
-    filename,
-    displayName,
-    quickId,
-    verifyUrl,
-  });
+  const params = new URLSearchParams({ id });
 
   return {
     statusCode: 302,
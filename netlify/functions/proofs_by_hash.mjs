@@ -0,0 +1,87 @@
+// netlify/functions/proofs_by_hash.mjs
+// ESM — List every proof recorded for a SHA-256 digest, with its anchoring
+// status, from the hash index that saveProof() maintains (_db.js).
+// Used by the verify page's "find by file" mode: the browser hashes the file
+// and only the digest is sent here.
+// Proofs saved before the index existed are picked up by migrate_stores.
+// Files of a multi-file proof report the status of their batch root.
+// States use the _anchor_state.js names (legacy OTS_RECEIPT / PENDING / …
+// mapped through normalize()), the same ones anchor_status reports.
+//
+// Usage:
+//   /.netlify/functions/proofs_by_hash?hash=<64 hex chars>
+
+import { getOtsReceiptEx, normalizeHash, findProofsByHash } from "./_db.js";
+import { STATES, normalize } from "./_anchor_state.js";
+import { getProofAnchor } from "./_batch.js";
+
+const MAX_RESULTS = 50;
+
+export const handler = async (event) => {
+  try {
+    if (event.httpMethod !== "GET") {
+      return json(405, { ok: false, error: "GET required" });
+    }
+    const raw = (event.queryStringParameters?.hash || "").trim();
+    if (!raw) return json(400, { ok: false, error: "missing hash" });
+    const hash = normalizeHash(raw);
+    if (!hash) return json(400, { ok: false, error: "hash must be a SHA-256 hex digest (64 characters)" });
+
+    const indexed = await findProofsByHash(hash);
+    const proofs = [];
+    for (const entry of indexed.slice(-MAX_RESULTS)) {
+      const summary = await summarize(entry.id, hash);
+      if (summary) proofs.push(summary);
+    }
+    proofs.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+
+    return json(200, {
+      ok: true,
+      hash,
+      count: proofs.length,
+      truncated: indexed.length > MAX_RESULTS,
+      proofs,
+    });
+  } catch (e) {
+    return json(500, { ok: false, error: String(e?.message || e) });
+  }
+};
+
+// ————— helpers —————
+
+// Public status of one indexed proof; null when the record is gone or no
+// longer carries this hash (stale index entry)
+async function summarize(id, hash) {
+  const found = await getProofAnchor(id);
+  const { proof, anchorId } = found;
+  if (!proof || normalizeHash(proof.hash) !== hash) return null;
+  const anchor = normalize(found.anchor, anchorId);
+
+  let state = anchor ? anchor.state : null;
+  if (!state) {
+    const receipt = await getOtsReceiptEx(anchorId);
+    state = receipt.bytes ? STATES.CALENDAR_PENDING : "NOT_FOUND";
+  }
+
+  return {
+    id,
+    displayName: proof.displayName || null,
+    createdAt: proof.createdAt || null,
+    state,
+    txid: anchor?.txid || null,
+    blockHeight: anchor?.blockHeight ?? null,
+    confirmations: anchor?.confirmations ?? 0,
+    updatedAt: anchor?.updatedAt || null,
+  };
+}
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+    },
+    body: JSON.stringify(body),
+  };
+}
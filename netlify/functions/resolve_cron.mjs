@@ -1,102 +1,121 @@
 // netlify/functions/resolve_cron.mjs
-// Scheduled resolver: walk a small index of recent IDs and backfill txid/confirmations.
-// ESM, no top-level await.
+// Scheduled resolver (schedule in netlify.toml): walk the pending-work index and
+// run the sidecar /upgrade flow (_upgrade.js) for every due receipt, persisting
+// upgraded .ots bytes, txid and block height; anchored proofs get their
+// confirmations refreshed (and their block header check retried) until they
+// reach CONFIRMED, and get the one-time anchored email retried if it failed.
+// Each run takes the least recently checked due ids first, so the whole backlog
+// is visited in rotation; ids whose anchor reached a terminal state (or vanished)
+// are dropped from the index. Receipts still waiting at the calendars back off
+// exponentially (attempts / nextAttemptAt on the index entry).
+// ESM, no top-level await. Persistence through _db.js, state changes through _anchor_state.js.
+//
+// Env:
+//   UPGRADE_BACKOFF_BASE_MINUTES  first retry delay (default 10)
+//   UPGRADE_BACKOFF_MAX_MINUTES   cap on the delay (default 360)
+//   RESOLVE_CRON_TIME_BUDGET_MS   stop starting new ids after this long (default 20000)
+
+import { listPending, settlePendingShard } from "./_db.js";
+import { STATES, getAnchorState, isTerminal } from "./_anchor_state.js";
+import { upgradeProof, refreshConfirmations, refreshVerification } from "./_upgrade.js";
+import { notifyAnchored } from "./_notify.js";
 
-const OTS_SIDECAR_URL   = process.env.OTS_SIDECAR_URL;
-const NETLIFY_SITE_ID   = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
-const NETLIFY_API_TOKEN = process.env.NETLIFY_API_TOKEN || process.env.BLOBS_TOKEN;
 const BATCH_LIMIT = 40; // scan up to N ids per run
+const BACKOFF_BASE_MS = Number(process.env.UPGRADE_BACKOFF_BASE_MINUTES || 10) * 60_000;
+const BACKOFF_MAX_MS = Number(process.env.UPGRADE_BACKOFF_MAX_MINUTES || 360) * 60_000;
+const TIME_BUDGET_MS = Number(process.env.RESOLVE_CRON_TIME_BUDGET_MS || 20_000);
 
 function json(status, body){
   return { statusCode: status, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
 }
 
-async function getStore(){
-  const mod = await import("@netlify/blobs");
-  const gs = mod.getStore || (mod.default && mod.default.getStore);
-  if(!gs) throw new Error("getStore not available from @netlify/blobs");
-  try {
-    return gs("default");
-  } catch(e){
-    const msg = e?.message || "";
-    if(!/not been configured|requires the name of the store|is not configured/i.test(msg)) throw e;
-    if(!NETLIFY_SITE_ID || !NETLIFY_API_TOKEN) throw new Error("Netlify Blobs not bound and manual credentials missing. Set NETLIFY_SITE_ID and NETLIFY_API_TOKEN.");
-    return gs({ name:"default", siteID: NETLIFY_SITE_ID, token: NETLIFY_API_TOKEN });
-  }
+// Delay before the next check after `attempts` checks without progress
+function backoffMs(attempts){
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
 }
 
-async function sidecarTxidFromReceipt(receiptBase64){
-  if(!OTS_SIDECAR_URL) throw new Error("OTS_SIDECAR_URL not configured");
-  const tries = ["txid-from-receipt","txid","verify"].map(p => `${OTS_SIDECAR_URL}/${p}`);
-  for(const url of tries){
-    try{
-      const r = await fetch(url, {
-        method:"POST",
-        headers:{ "Content-Type":"application/json" },
-        body: JSON.stringify({ receiptBase64 })
-      });
-      if(!r.ok) continue;
-      const j = await r.json();
-      return { txid: j.txid || null, confirmations: Number(j.confirmations) || 0 };
-    }catch{}
-  }
-  return { txid:null, confirmations:0 };
+// Is there anything the upgrade flow can still add for this anchor?
+function needsUpgrade(st){
+  if(st.state === STATES.CALENDAR_PENDING) return true;
+  return st.state === STATES.ANCHORED && Array.isArray(st.pendingCalendars) && st.pendingCalendars.length > 0;
 }
 
 export const handler = async (_event)=>{
+  const started = Date.now();
   try{
-    const store = await getStore();
+    const pending = await listPending();
+    if(pending.length === 0) return json(200, { ok:true, processed:0, note:"empty index" });
 
-    // Load index of recent IDs
-    const idxKey = "anchors/index.json";
-    const idxRaw = await store.get(idxKey, { type:"arrayBuffer" });
-    if(!idxRaw) return json(200, { ok:true, processed:0, note:"no index yet" });
+    const nowIso = new Date().toISOString();
+    const due = pending.filter((e) => !e.nextAttemptAt || e.nextAttemptAt <= nowIso);
 
-    const ids = JSON.parse(Buffer.from(idxRaw).toString("utf8"));
-    if(!Array.isArray(ids) || ids.length === 0) return json(200, { ok:true, processed:0, note:"empty index" });
+    // Never checked first, then oldest check; ties by registration time
+    due.sort((a, b) =>
+      (a.checkedAt || "").localeCompare(b.checkedAt || "") || (a.since || "").localeCompare(b.since || "")
+    );
+    const batch = due.slice(0, BATCH_LIMIT);
 
-    const batch = ids.slice(0, BATCH_LIMIT);
-    let processed = 0, updated = 0, withTxid = 0;
+    let processed = 0, upgraded = 0, anchored = 0, confirmed = 0, removed = 0, failed = 0;
+    const settle = new Map(); // shard -> { remove: [], checked: { id: fields } }
+    const shardOf = (entry) => {
+      if(!settle.has(entry.shard)) settle.set(entry.shard, { remove: [], checked: {} });
+      return settle.get(entry.shard);
+    };
+    const backOff = (entry, lastError = null) => {
+      const attempts = (entry.attempts || 0) + 1;
+      shardOf(entry).checked[entry.id] = {
+        attempts,
+        nextAttemptAt: new Date(Date.now() + backoffMs(attempts)).toISOString(),
+        lastError,
+      };
+    };
 
-    for(const id of batch){
+    for(const entry of batch){
+      if(Date.now() - started > TIME_BUDGET_MS) break;
+      const { id } = entry;
+      processed++;
       try{
-        const statusKey = `anchor:${id}.json`;
-        const stRaw = await store.get(statusKey, { type:"arrayBuffer" });
-        if(!stRaw){ processed++; continue; }
-        const st = JSON.parse(Buffer.from(stRaw).toString("utf8"));
-
-        const candidates = [ st.receipt_ref, `ots/receipts/${id}.ots`, `ots:${id}.receipt` ].filter(Boolean);
-        let bytes = null;
-        for(const ref of candidates){
-          const b = await store.get(ref, { type:"arrayBuffer" });
-          if(b){ bytes = Buffer.from(b); break; }
-        }
-        if(!bytes){ processed++; continue; }
-
-        const { txid, confirmations } = await sidecarTxidFromReceipt(bytes.toString("base64"));
+        const st = await getAnchorState(id);
+        if(!st || isTerminal(st.state)){ shardOf(entry).remove.push(id); removed++; continue; }
 
-        let changed = false;
-        if(txid && txid !== st.txid){ st.txid = txid; changed = true; withTxid++; }
-        if(Number.isFinite(confirmations) && confirmations !== (st.confirmations ?? 0)){
-          st.confirmations = confirmations; changed = true;
+        let result;
+        if(needsUpgrade(st)){
+          result = await upgradeProof(id, { source: "resolve_cron" });
+          if(result.changed) upgraded++;
+        }else if(st.state === STATES.ANCHORED){
+          const checked = st.verification?.verified ? st : await refreshVerification(st, { source: "resolve_cron" });
+          result = await refreshConfirmations(checked, { source: "resolve_cron" });
+          await notifyAnchored(id).catch((e) =>
+            console.warn(`resolve_cron: anchored email for ${id} failed:`, e?.message || e));
+        }else{
+          backOff(entry);
+          continue;
         }
+        if(result.anchor.state !== st.state && result.anchor.state === STATES.ANCHORED) anchored++;
+        if(result.anchor.state === STATES.CONFIRMED) confirmed++;
 
-        if(changed){
-          st.updatedAt = new Date().toISOString();
-          await store.set(statusKey, JSON.stringify(st), {
-            metadata:{ contentType:"application/json; charset=utf-8" }
-          });
-          updated++;
+        if(result.progressed){
+          shardOf(entry).checked[id] = { attempts: 0, nextAttemptAt: null, lastError: null };
+        }else{
+          backOff(entry);
         }
-        processed++;
-      }catch{
-        processed++;
+      }catch(e){
+        failed++;
+        console.warn(`resolve_cron: ${id} failed:`, e?.message || e);
+        backOff(entry, String(e?.message || e));
       }
     }
 
-    return json(200, { ok:true, processed, updated, withTxid, batch:batch.length, total:ids.length });
+    for(const [shard, changes] of settle){
+      await settlePendingShard(shard, changes);
+    }
+
+    return json(200, {
+      ok:true, processed, upgraded, anchored, confirmed, removed, failed,
+      batch:batch.length, due:due.length, total:pending.length,
+    });
   }catch(e){
     console.error("resolve_cron error:", e);
     return json(500, { error: e.message });
   }
-};
\ No newline at end of file
+};
@@ -1,52 +1,20 @@
 // netlify/functions/resolve_now.mjs
-// Manually upgrade an OTS receipt via the sidecar and persist anchor JSON.
+// Manually upgrade an OTS receipt via the sidecar and record the anchoring state.
 //
 // Usage:
 //   /.netlify/functions/resolve_now?id=<proofId>
 
-let _storePromise = null;
+import { keys } from "./_db.js";
+import { upgradeProof } from "./_upgrade.js";
 
-// Minimal, robust store getter mirroring _db.js behavior.
-async function getStoreSafe() {
-  if (_storePromise) return _storePromise;
-
-  _storePromise = (async () => {
-    try {
-      const mod = await import("@netlify/blobs");
-
-      // First: try automatic environment binding (same as _db.js)
-      try {
-        return mod.getStore("proofs");
-      } catch {
-        // Fallback: manual configuration if needed
-        const siteID =
-          process.env.NETLIFY_SITE_ID ||
-          process.env.SITE_ID ||
-          process.env.SITE_NAME ||
-          null;
-
-        const token =
-          process.env.NETLIFY_BLOBS_TOKEN ||
-          process.env.BLOBS_TOKEN ||
-          null;
-
-        if (siteID && token) {
-          if (mod.BlobsClient) {
-            const client = new mod.BlobsClient({ siteID, token });
-            return client.getStore("proofs");
-          }
-          return mod.getStore({ name: "proofs", siteID, token });
-        }
-
-        return null;
-      }
-    } catch {
-      return null;
-    }
-  })();
-
-  return _storePromise;
-}
+// upgradeProof() error codes → HTTP status
+const STATUS_BY_CODE = {
+  NO_RECEIPT: 404,
+  SIDECAR_NOT_CONFIGURED: 500,
+  SIDECAR_ERROR: 502,
+  SIDECAR_BAD_RESPONSE: 502,
+  ILLEGAL_TRANSITION: 409,
+};
 
 export const handler = async (event) => {
   try {
@@ -59,122 +27,36 @@ export const handler = async (event) => {
       return json(400, { ok: false, error: "missing id" });
     }
 
-    const sidecarBase = (process.env.OTS_SIDECAR_URL || "").replace(/\/+$/, "");
-    if (!sidecarBase) {
-      return json(500, { ok: false, error: "OTS_SIDECAR_URL not configured" });
-    }
-
-    const store = await getStoreSafe();
-    if (!store) {
-      return json(500, {
-        ok: false,
-        error: "Blobs store 'proofs' not available from this function",
-      });
-    }
-
-    const receiptKey = `ots/receipts/${id}.ots`;
+    const anchorKey = keys.anchor(id);
 
-    // 1) Load the .ots receipt exactly where _db.setOtsReceipt wrote it
-    let ab;
+    let result;
     try {
-      ab = await store.get(receiptKey, { type: "arrayBuffer" });
-    } catch (e) {
-      return json(500, {
-        ok: false,
-        error: "error reading receipt from blobs",
-        detail: String(e?.message || e),
-        id,
-        receiptKey,
-      });
-    }
-
-    if (!ab || !ab.byteLength) {
-      return json(404, {
-        ok: false,
-        error: "receipt not found in blobs",
-        id,
-        receiptKey,
-      });
-    }
-
-    const receiptB64 = Buffer.from(ab).toString("base64");
-
-    // 2) Call sidecar /upgrade
-    const upgradeResp = await fetch(`${sidecarBase}/upgrade`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ id, receipt_b64: receiptB64 }),
-    });
-
-    if (!upgradeResp.ok) {
-      const text = await upgradeResp.text().catch(() => "");
-      return json(502, {
-        ok: false,
-        error: "OTS sidecar /upgrade failed",
-        status: upgradeResp.status,
-        detail: text,
-        id,
-      });
-    }
-
-    const upgrade = await upgradeResp.json().catch(() => ({}));
-
-    if (!upgrade || upgrade.ok !== true || !upgrade.receipt_b64) {
-      return json(502, {
-        ok: false,
-        error: "Invalid response from OTS sidecar /upgrade",
-        raw: upgrade,
-        id,
-      });
-    }
-
-    const state = upgrade.state || "OTS_RECEIPT";
-    const txid  = upgrade.txid || null;
-
-    // 3) Persist upgraded receipt back into the same store
-    try {
-      const upgradedBytes = Buffer.from(upgrade.receipt_b64, "base64");
-      await store.set(receiptKey, upgradedBytes, {
-        contentType: "application/octet-stream",
-      });
-    } catch (e) {
-      console.error("resolve_now: failed to persist upgraded receipt:", e);
-      // Non-fatal.
-    }
-
-    // 4) Write anchor JSON so anchor_status can see it
-    const anchorKey = `anchor:${id}.json`;
-    const anchorDoc = {
-      id,
-      state,
-      txid,
-      confirmations: 0,
-      updatedAt: new Date().toISOString(),
-      source: "resolve_now",
-    };
-
-    try {
-      await store.set(anchorKey, JSON.stringify(anchorDoc), {
-        contentType: "application/json",
-      });
+      result = await upgradeProof(id, { source: "resolve_now" });
     } catch (e) {
-      return json(500, {
+      const status = STATUS_BY_CODE[e?.code];
+      if (!status) throw e;
+      return json(status, {
         ok: false,
-        error: "failed to persist anchor JSON",
-        detail: String(e?.message || e),
+        error: e.message,
+        ...(e.status ? { status: e.status } : {}),
+        ...(e.detail ? { detail: e.detail } : {}),
+        ...(e.raw ? { raw: e.raw } : {}),
         id,
         anchorKey,
-        state,
-        txid,
+        receiptKey: keys.receipt(id),
       });
     }
 
+    const { anchor } = result;
     return json(200, {
       ok: true,
       id,
       anchorKey,
-      state,
-      txid,
+      state: anchor.state,
+      txid: anchor.txid,
+      blockHeight: anchor.blockHeight,
+      receiptChanged: result.changed,
+      pendingCalendars: result.pendingCalendars,
     });
   } catch (e) {
     console.error("resolve_now error:", e);
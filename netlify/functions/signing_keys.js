@@ -0,0 +1,48 @@
+// netlify/functions/signing_keys.js
+// docuProof's public certificate keys (_signing.js), for anyone checking a
+// certificate signature without docuProof: the current key first, then keys
+// retired by a rotation that older certificates may still be signed with.
+//
+//   GET              → { ok, alg, keys: [{ kid, alg, publicKey, pem, current }] }
+//   GET ?format=pem  → the current key as a PEM SubjectPublicKeyInfo
+
+const { SIGNING_ALG, trustedKeys } = require("./_signing");
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      "Cache-Control": status === 200 ? "public, max-age=3600" : "no-store",
+      "Access-Control-Allow-Origin": "*",
+    },
+    body: JSON.stringify(body),
+  };
+}
+
+exports.handler = async (event) => {
+  const qp = event.queryStringParameters || {};
+  let keys;
+  try {
+    keys = trustedKeys();
+  } catch (e) {
+    console.error("signing_keys error:", e);
+    return json(500, { ok: false, error: String(e?.message || e) });
+  }
+  if (!keys.length) return json(503, { ok: false, error: "No signing key is configured" });
+
+  if (qp.format === "pem") {
+    const current = keys.find((k) => k.current) || keys[0];
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "application/x-pem-file",
+        "Content-Disposition": `inline; filename="docuproof-${current.kid}.pem"`,
+        "Cache-Control": "public, max-age=3600",
+        "Access-Control-Allow-Origin": "*",
+      },
+      body: current.pem,
+    };
+  }
+  return json(200, { ok: true, alg: SIGNING_ALG, keys });
+};
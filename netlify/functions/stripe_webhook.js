@@ -1,19 +1,57 @@
 // netlify/functions/stripe_webhook.js
 // CommonJS runtime
 const Stripe = require("stripe");
-const { sendEmail } = require("./_email");
+const { sendTemplate } = require("./_email");
 function shortIdFromHash(h) {
   if (!h || typeof h !== "string") return "----------";
   const m = h.toLowerCase().match(/[0-9a-f]{12,}/);
   return m ? m[0].slice(0, 12) : "----------";
 }
 
-const { saveProof, appendToFeeds, getProof } = require("./_db");
+const {
+  saveProof,
+  appendToFeeds,
+  getProof,
+  claimWebhookEvent,
+  recordWebhookEvent,
+  getAccountEmailByCustomer,
+  linkAccountCustomer,
+} = require("./_db");
+const { expandBatch } = require("./_batch");
+const { recordSubscription, recordInvoice, consumeProof } = require("./_accounts");
+const { proofAccessToken } = require("./_auth");
+const { notifyQuota } = require("./_notify");
+const { normalizeLang } = require("./_i18n");
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: "2024-06-20",
 });
 
+// Max age (seconds) of the Stripe-Signature timestamp we accept.
+const SIGNATURE_TOLERANCE =
+  parseInt(process.env.STRIPE_WEBHOOK_TOLERANCE || "", 10) ||
+  stripe.webhooks.DEFAULT_TOLERANCE;
+
+// A delivery still marked "processing" after this long is assumed dead
+// (function timeout) and may be retried.
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+function jsonResponse(statusCode, body) {
+  return { statusCode, body: JSON.stringify(body) };
+}
+
+/** Raw request body exactly as Stripe signed it */
+function rawBody(event) {
+  const body = event.body || "";
+  return event.isBase64Encoded ? Buffer.from(body, "base64") : body;
+}
+
+function header(event, name) {
+  const headers = event.headers || {};
+  const hit = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return hit ? headers[hit] : undefined;
+}
+
 /** Get site origin for self-calling functions (proof_pdf, submit_proof) */
 function siteOrigin(event) {
   const url =
@@ -35,64 +73,165 @@ exports.handler = async (event) => {
     return { statusCode: 405, body: "Method Not Allowed" };
   }
 
-  // We accept the JSON as-is; Stripe signature verification is external.
-  let payload;
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error("stripe_webhook: STRIPE_WEBHOOK_SECRET not configured");
+    return jsonResponse(500, { ok: false, error: "Webhook secret not configured" });
+  }
+
+  // --- 0) Authenticate: only Stripe-signed, fresh payloads get past here ---
+  let stripeEvent;
   try {
-    payload = JSON.parse(event.body || "{}");
+    stripeEvent = stripe.webhooks.constructEvent(
+      rawBody(event),
+      header(event, "stripe-signature"),
+      secret,
+      SIGNATURE_TOLERANCE
+    );
   } catch (e) {
-    return { statusCode: 400, body: "Invalid JSON" };
+    console.warn("stripe_webhook: signature verification failed:", e.message);
+    return jsonResponse(400, { ok: false, error: "Invalid signature" });
   }
 
-  const type = payload?.type;
-  const obj = payload?.data?.object || {};
+  const type = stripeEvent.type;
+  const obj = stripeEvent.data?.object || {};
 
-  // We only care about completed Checkout Sessions
+  // --- Replay protection: one successful run per event.id, claimed atomically ---
+  let claim;
+  try {
+    claim = await claimWebhookEvent(
+      stripeEvent.id,
+      { type, livemode: !!stripeEvent.livemode },
+      { leaseMs: PROCESSING_LEASE_MS }
+    );
+  } catch (err) {
+    // Store unavailable: a 500 makes Stripe deliver the event again later
+    console.error("stripe_webhook: claiming event failed:", err);
+    return jsonResponse(500, { ok: false, error: err.message });
+  }
+  if (!claim.claimed && claim.prior?.status === "processed") {
+    console.log("stripe_webhook: replayed event ignored", stripeEvent.id);
+    return jsonResponse(200, { ok: true, duplicate: true, event: stripeEvent.id });
+  }
+  if (!claim.claimed) {
+    // Another delivery is in flight; let Stripe retry later.
+    return jsonResponse(409, { ok: false, error: "Event already in progress", event: stripeEvent.id });
+  }
+
+  let response;
   if (type === "checkout.session.completed") {
-    const proofId = obj.id;
+    response = await handleCheckoutCompleted(obj, event);
+  } else if (type.startsWith("customer.subscription.")) {
+    response = await handleSubscriptionEvent(obj, stripeEvent);
+  } else if (type === "invoice.paid") {
+    response = await handleInvoicePaid(obj, stripeEvent);
+  } else {
+    // Non-target events: succeed no-op
+    response = jsonResponse(200, { ok: true, ignored: type });
+  }
 
-    try {
-      // --- 1) Idempotency: bail out if we've already marked email for this id ---
-      const existing = proofId ? await getProof(proofId).catch(() => null) : null;
-      if (existing && existing.emailSentAt) {
-        console.log("stripe_webhook: duplicate event, already emailed", proofId);
-        return {
-          statusCode: 200,
-          body: JSON.stringify({ ok: true, duplicate: true, id: proofId }),
-        };
+  const succeeded = response.statusCode < 300;
+  await recordWebhookEvent(stripeEvent.id, {
+    status: succeeded ? "processed" : "failed",
+    finishedAt: new Date().toISOString(),
+    statusCode: response.statusCode,
+    objectId: obj.id || null,
+  }).catch((e) => console.error("stripe_webhook: ledger write failed:", e));
+
+  return response;
+};
+
+/** checkout.session.completed → persist proof, start anchoring, email certificate */
+async function handleCheckoutCompleted(obj, event) {
+  const proofId = obj.id;
+
+  try {
+    // --- 1) Idempotency: bail out if we've already marked email for this id ---
+    const existing = proofId ? await getProof(proofId).catch(() => null) : null;
+    if (existing && existing.emailSentAt) {
+      console.log("stripe_webhook: duplicate event, already emailed", proofId);
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ ok: true, duplicate: true, id: proofId }),
+      };
+    }
+
+    const to = obj.customer_email || obj.customer_details?.email;
+    if (!to) throw new Error("Missing customer_email in Stripe session");
+
+    // Metadata from create_checkout_session
+    const md = obj.metadata || {};
+
+    // Subscription checkout: open the account now rather than waiting for
+    // customer.subscription.created. Plan-only checkouts (pricing cards) stop here.
+    if (obj.mode === "subscription" && obj.customer) {
+      await linkAccountCustomer(obj.customer, to);
+      if (obj.subscription) {
+        const sub = await stripe.subscriptions.retrieve(obj.subscription);
+        await recordSubscription(to, sub, { eventCreated: Math.floor(Date.now() / 1000) });
       }
+      if (!md.hash) {
+        return jsonResponse(200, { ok: true, subscription: obj.subscription || null });
+      }
+      // The proof bought with the first payment counts against the allowance
+      await consumeProof(to, proofId).catch((e) =>
+        console.warn("stripe_webhook: allowance not charged for", proofId, e.message));
+      await notifyQuota(to, { origin: siteOrigin(event) }).catch((e) =>
+        console.warn("stripe_webhook: allowance warning failed:", e.message));
+    }
+    const displayName = md.displayName || "Document Proof";
+    const lang = normalizeLang(md.lang);
+    const filename =
+      md.filename && md.filename.trim()
+        ? md.filename.trim()
+        : "DocuProof-Certificate.pdf";
+    const hash = md.hash || null;
+    const shortId = hash ? shortIdFromHash(hash) : "----------";
+
+    const origin = siteOrigin(event);
+    if (!origin) throw new Error("Could not determine site origin");
+
+    const nowIso =
+      existing?.createdAt && typeof existing.createdAt === "string"
+        ? existing.createdAt
+        : new Date().toISOString();
+
+    const emailMarkTime = new Date().toISOString();
+    const emailCount =
+      typeof existing?.emailCount === "number"
+        ? existing.emailCount + 1
+        : 1;
+
+    // --- 2) Persist / update proof metadata (Blobs) + history feeds
+    //       IMPORTANT: we write emailSentAt BEFORE sending the email
+    //       so any retry of this event sees it and short-circuits.
+    //       A batch (multi-file) checkout anchors its merkle root under proofId;
+    //       its per-file records are written in the background (see _batch.js)
+    //       and only the root goes into the feeds.
+    let record = null;
+    let members = [];
+    try {
+      if (md.batchId) {
+        ({ root: record, members } = await expandBatch(md.batchId, proofId, {
+          displayName,
+          customerEmail: to,
+          source: "stripe_webhook",
+          createdAt: nowIso,
+          ...(lang ? { lang } : {}),
+        }, {
+          rootFields: { emailSentAt: emailMarkTime, emailCount, ...(md.filename ? { filename } : {}) },
+        }));
+        await appendToFeeds(record);
 
-      const to = obj.customer_email;
-      if (!to) throw new Error("Missing customer_email in Stripe session");
-
-      // Metadata from create_checkout_session
-      const md = obj.metadata || {};
-      const displayName = md.displayName || "Document Proof";
-      const filename =
-        md.filename && md.filename.trim()
-          ? md.filename.trim()
-          : "DocuProof-Certificate.pdf";
-      const hash = md.hash || null;
-      const shortId = hash ? shortIdFromHash(hash) : "----------";
-
-      const origin = siteOrigin(event);
-      if (!origin) throw new Error("Could not determine site origin");
-
-      const nowIso =
-        existing?.createdAt && typeof existing.createdAt === "string"
-          ? existing.createdAt
-          : new Date().toISOString();
-
-      const emailMarkTime = new Date().toISOString();
-      const emailCount =
-        typeof existing?.emailCount === "number"
-          ? existing.emailCount + 1
-          : 1;
-
-      // --- 2) Persist / update proof metadata (Blobs) + history feeds
-      //       IMPORTANT: we write emailSentAt BEFORE sending the email
-      //       so any retry of this event sees it and short-circuits.
-      let record = null;
-      try {
+        // Fire-and-forget: a background function answers 202 at once
+        fetch(`${origin}/.netlify/functions/expand_batch-background`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ batchId: md.batchId }),
+        }).catch((err) => {
+          console.error("expand_batch fire-and-forget error (batch_cron will retry):", err);
+        });
+      } else {
         record = await saveProof({
           id: proofId,
           filename,
@@ -101,129 +240,160 @@ exports.handler = async (event) => {
           customerEmail: to,
           source: "stripe_webhook",
           createdAt: nowIso,
+          ...(lang ? { lang } : {}),
           emailSentAt: emailMarkTime,
           emailCount,
         });
 
         await appendToFeeds(record);
-      } catch (dbErr) {
-        console.error("saveProof/appendToFeeds error (non-fatal):", dbErr);
-        // Do not fail the webhook if persistence has a transient problem
       }
+    } catch (dbErr) {
+      console.error("saveProof/appendToFeeds error (non-fatal):", dbErr);
+      // Do not fail the webhook if persistence has a transient problem
+    }
+
+    // --- 3) Fire-and-forget anchoring job via submit_proof (non-blocking) ---
+    try {
+      if (hash) {
+        const submitUrl = `${origin}/.netlify/functions/submit_proof`;
+        const body = {
+          id: proofId,
+          hash,
+          filename,
+          displayName,
+          customerEmail: to,
+          shortId,
+          source: "stripe_webhook",
+        };
 
-      // --- 3) Fire-and-forget anchoring job via submit_proof (non-blocking) ---
-      try {
-        if (hash) {
-          const submitUrl = `${origin}/.netlify/functions/submit_proof`;
-          const body = {
-            id: proofId,
-            hash,
-            filename,
-            displayName,
-            customerEmail: to,
-            shortId,
-            source: "stripe_webhook",
-          };
-
-          fetch(submitUrl, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(body),
+        fetch(submitUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        })
+          .then((res) => {
+            if (!res.ok) {
+              console.error(
+                "submit_proof returned non-2xx:",
+                res.status,
+                res.statusText
+              );
+            }
           })
-            .then((res) => {
-              if (!res.ok) {
-                console.error(
-                  "submit_proof returned non-2xx:",
-                  res.status,
-                  res.statusText
-                );
-              }
-            })
-            .catch((err) => {
-              console.error("submit_proof fire-and-forget error:", err);
-            });
-        } else {
-          console.warn(
-            `No hash in session metadata for ${proofId}; skipping submit_proof.`
-          );
-        }
-      } catch (submitErr) {
-        console.error("submit_proof scheduling error (non-fatal):", submitErr);
-        // Still continue with PDF + email
+          .catch((err) => {
+            console.error("submit_proof fire-and-forget error:", err);
+          });
+      } else {
+        console.warn(
+          `No hash in session metadata for ${proofId}; skipping submit_proof.`
+        );
       }
+    } catch (submitErr) {
+      console.error("submit_proof scheduling error (non-fatal):", submitErr);
+      // Still continue with PDF + email
+    }
 
-      // --- 4) Generate PDF certificate via proof_pdf (now with quickId) ---
-      const qs = new URLSearchParams({
-        id: proofId,
-        filename,
-        displayName,
-        quickId: shortId,
-      }).toString();
-
+    // --- 4) Generate PDF certificate via proof_pdf (it reads the record saved above) ---
+    //        The access grant stands in for the customer's session.
+    let pdfB64 = null;
+    try {
+      const qs = new URLSearchParams({ id: proofId, access: proofAccessToken(proofId) }).toString();
       const pdfUrl = `${origin}/.netlify/functions/proof_pdf?${qs}`;
-      let pdfB64 = null;
-      try {
-        const pdfRes = await fetch(pdfUrl, { method: "GET" });
-        if (!pdfRes.ok) {
-          const errText = await pdfRes.text().catch(() => "");
-          console.error(`proof_pdf failed ${pdfRes.status}: ${errText}`);
-        } else {
-          pdfB64 = await arrayBufferToBase64(await pdfRes.arrayBuffer());
-        }
-      } catch (e) {
-        console.error("Error calling proof_pdf:", e);
+      const pdfRes = await fetch(pdfUrl, { method: "GET" });
+      if (!pdfRes.ok) {
+        const errText = await pdfRes.text().catch(() => "");
+        console.error(`proof_pdf failed ${pdfRes.status}: ${errText}`);
+      } else {
+        pdfB64 = await arrayBufferToBase64(await pdfRes.arrayBuffer());
       }
+    } catch (e) {
+      console.error("Error calling proof_pdf:", e);
+    }
 
-      // --- 5) Email certificate via Postmark (best-effort) ---
-      try {
-        const attachments = [];
-        if (pdfB64) {
-          attachments.push({
-            Name: filename.endsWith(".pdf") ? filename : `${filename}.pdf`,
-            Content: pdfB64,
-            ContentType: "application/pdf",
-          });
-        }
-
-        await sendEmail({
-          to,
-          subject: `Your Proof Certificate: ${displayName}`,
-          htmlBody: `
-            <p>Thanks for using docuProof.io.</p>
-            <p>Your proof certificate is attached as a PDF.</p>
-            <p>Reference: <code>${proofId}</code></p>
-            <p>You can always verify later at <a href="${origin}/verify">${origin}/verify</a>
-            using your Proof ID.</p>
-          `,
-          textBody:
-            `Thanks for using docuProof.io.\n\n` +
-            `Your proof certificate is attached (PDF).\n` +
-            `Reference: ${proofId}\n` +
-            `You can always verify later at ${origin}/verify using your Proof ID.\n`,
-          attachments,
+    // --- 5) Email certificate via Postmark (best-effort) ---
+    try {
+      const attachments = [];
+      if (pdfB64) {
+        attachments.push({
+          Name: filename.endsWith(".pdf") ? filename : `${filename}.pdf`,
+          Content: pdfB64,
+          ContentType: "application/pdf",
         });
-      } catch (emailErr) {
-        // We log but DO NOT throw, so Stripe doesn't keep retrying and cause duplicates.
-        console.error("Postmark sendEmail error (non-fatal):", emailErr);
       }
 
-      // We already wrote emailSentAt/emailCount above, so nothing more to persist.
-      return {
-        statusCode: 200,
-        body: JSON.stringify({ ok: true, emailed: true, id: proofId }),
-      };
-    } catch (err) {
-      console.error("stripe_webhook error:", err);
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ ok: false, error: err.message }),
-      };
+      await sendTemplate(
+        "certificate",
+        { origin, proofId, displayName, members: members.map((m) => ({ id: m.id, filename: m.filename })) },
+        { to, attachments }
+      );
+    } catch (emailErr) {
+      // We log but DO NOT throw, so Stripe doesn't keep retrying and cause duplicates.
+      console.error("Postmark sendEmail error (non-fatal):", emailErr);
     }
+
+    // We already wrote emailSentAt/emailCount above, so nothing more to persist.
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ok: true, emailed: true, id: proofId }),
+    };
+  } catch (err) {
+    console.error("stripe_webhook error:", err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ ok: false, error: err.message }),
+    };
   }
+}
 
-  // Non-target events: succeed no-op
-  return {
-    statusCode: 200,
-    body: JSON.stringify({ ok: true, ignored: type }),
-  };
-};
+/** Email for a Stripe customer: our mapping first, then the customer object */
+async function accountEmailFor(customerId) {
+  const known = await getAccountEmailByCustomer(customerId);
+  if (known) return known;
+  const customer = await stripe.customers.retrieve(customerId);
+  const email = customer && !customer.deleted ? customer.email : null;
+  if (email) await linkAccountCustomer(customerId, email);
+  return email;
+}
+
+/** customer.subscription.created / updated / deleted → account subscription state */
+async function handleSubscriptionEvent(sub, stripeEvent) {
+  try {
+    const email = await accountEmailFor(sub.customer);
+    if (!email) {
+      console.warn("stripe_webhook: no email for customer", sub.customer);
+      return jsonResponse(200, { ok: true, ignored: stripeEvent.type, reason: "no customer email" });
+    }
+    const account = await recordSubscription(email, sub, { eventCreated: stripeEvent.created });
+    return jsonResponse(200, {
+      ok: true,
+      subscription: sub.id,
+      status: account.subscription.status,
+      plan: account.subscription.plan,
+    });
+  } catch (err) {
+    console.error("stripe_webhook subscription error:", err);
+    return jsonResponse(500, { ok: false, error: err.message });
+  }
+}
+
+/** invoice.paid → renewal bookkeeping plus a fresh copy of the subscription */
+async function handleInvoicePaid(invoice, stripeEvent) {
+  if (!invoice.subscription) {
+    return jsonResponse(200, { ok: true, ignored: stripeEvent.type, reason: "not a subscription invoice" });
+  }
+  try {
+    const email = await accountEmailFor(invoice.customer);
+    if (!email) {
+      console.warn("stripe_webhook: no email for customer", invoice.customer);
+      return jsonResponse(200, { ok: true, ignored: stripeEvent.type, reason: "no customer email" });
+    }
+    await recordInvoice(email, invoice);
+    const sub = await stripe.subscriptions.retrieve(invoice.subscription);
+    // Freshly retrieved, so newer than any subscription event already delivered
+    await recordSubscription(email, sub, { eventCreated: Math.floor(Date.now() / 1000) });
+    return jsonResponse(200, { ok: true, invoice: invoice.id, subscription: sub.id });
+  } catch (err) {
+    console.error("stripe_webhook invoice error:", err);
+    return jsonResponse(500, { ok: false, error: err.message });
+  }
+}
@@ -0,0 +1,176 @@
+// netlify/functions/subscriber_proof.mjs
+// ESM — Proofs for Starter/Pro subscribers without going through Checkout.
+// Each proof is counted against the plan's monthly allowance (_accounts.js).
+//
+//   POST { email, hash, filename?, displayName?, lang? }
+//     → checks the allowance and emails a one-time confirmation link (202);
+//       signed in as that email (_auth.js): creates the proof right away (201)
+//   GET ?token=<from the email>
+//     → charges the allowance, creates the proof (_issue.js), redirects to /success
+//
+// Over the allowance: 402 { ok: false, code: "QUOTA_EXCEEDED", limit, used, resetsAt }.
+// No active plan:     403 { ok: false, code: "NO_SUBSCRIPTION" }.
+
+import crypto from "node:crypto";
+import { normalizeEmail, normalizeHash, getProof, getProofRequest, saveProofRequest } from "./_db.js";
+import { getEntitlement } from "./_accounts.js";
+import { newProofId, issueProof } from "./_issue.js";
+import { sendTemplate } from "./_email.js";
+import { getSession } from "./_auth.js";
+import { normalizeLang } from "./_i18n.js";
+
+// How long a confirmation link stays valid
+const REQUEST_TTL_MS = 60 * 60 * 1000;
+
+export const handler = async (event) => {
+  try {
+    if (event.httpMethod === "POST") return await requestProof(event);
+    if (event.httpMethod === "GET") return await confirmProof(event);
+    return json(405, { ok: false, error: "GET or POST required" });
+  } catch (e) {
+    console.error("subscriber_proof error:", e);
+    return json(500, { ok: false, error: String(e?.message || e) });
+  }
+};
+
+async function requestProof(event) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { ok: false, error: "Invalid JSON" });
+  }
+
+  const email = normalizeEmail(body.email);
+  const hash = normalizeHash(body.hash);
+  if (!email) return json(400, { ok: false, error: "missing or invalid email" });
+  if (!hash) return json(400, { ok: false, error: "hash must be a SHA-256 hex digest" });
+
+  const ent = await getEntitlement(email);
+  const refusal = allowanceRefusal(ent);
+  if (refusal) return refusal;
+
+  const origin = siteOrigin(event);
+  const fields = {
+    id: newProofId(),
+    email,
+    hash,
+    filename: String(body.filename || "").slice(0, 200) || null,
+    displayName: String(body.displayName || "").slice(0, 200) || null,
+    lang: normalizeLang(body.lang),
+  };
+
+  // The session already proves the email: no confirmation round trip
+  if (getSession(event)?.email === email) {
+    try {
+      const { record, entitlement } = await issueProof({ ...fields, origin });
+      return json(201, { ok: true, id: record.id, allowance: allowanceOf(entitlement) });
+    } catch (e) {
+      if (e.code !== "QUOTA_EXCEEDED" && e.code !== "NO_SUBSCRIPTION") throw e;
+      return allowanceRefusal(await getEntitlement(email));
+    }
+  }
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  const request = await saveProofRequest(sha256(token), {
+    ...fields,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + REQUEST_TTL_MS).toISOString(),
+  });
+
+  const link = `${origin}/.netlify/functions/subscriber_proof?token=${token}`;
+  await sendTemplate(
+    "proof-confirm",
+    { origin, link, hash, remaining: ent.remaining, planLabel: ent.planLabel },
+    { to: email }
+  );
+
+  return json(202, { ok: true, pending: true, id: request.id, allowance: allowanceOf(ent) });
+}
+
+async function confirmProof(event) {
+  const token = ((event.queryStringParameters || {}).token || "").trim();
+  if (!token) return json(400, { ok: false, error: "missing token" });
+
+  const request = await getProofRequest(sha256(token));
+  if (!request) return page(404, "This confirmation link is not valid.");
+
+  // Clicking the link again after success just shows the proof
+  if (await getProof(request.id)) return redirect(`/success?id=${encodeURIComponent(request.id)}`);
+  if (Date.parse(request.expiresAt) < Date.now()) {
+    return page(410, "This confirmation link has expired. Submit the file again to get a new one.");
+  }
+
+  try {
+    await issueProof({ ...request, origin: siteOrigin(event) });
+  } catch (e) {
+    if (e.code === "QUOTA_EXCEEDED" || e.code === "NO_SUBSCRIPTION") {
+      return page(e.code === "QUOTA_EXCEEDED" ? 402 : 403, e.message);
+    }
+    throw e;
+  }
+  return redirect(`/success?id=${encodeURIComponent(request.id)}`);
+}
+
+function allowanceOf(ent) {
+  return { plan: ent.plan, limit: ent.limit, used: ent.used, remaining: ent.remaining, resetsAt: ent.resetsAt };
+}
+
+// 403/402 response when the entitlement does not cover another proof, else null
+function allowanceRefusal(ent) {
+  if (!ent.active) {
+    return json(403, {
+      ok: false,
+      code: "NO_SUBSCRIPTION",
+      error: "No active docuProof subscription for this email. Choose a plan at /start to create proofs without checkout.",
+      status: ent.status,
+    });
+  }
+  if (ent.remaining <= 0) {
+    return json(402, {
+      ok: false,
+      code: "QUOTA_EXCEEDED",
+      error:
+        `Monthly proof allowance used: ${ent.used} of ${ent.limit} on the ${ent.planLabel} plan. ` +
+        `It resets on ${ent.resetsAt.slice(0, 10)}.`,
+      ...allowanceOf(ent),
+    });
+  }
+  return null;
+}
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(s).digest("hex");
+}
+
+function siteOrigin(event) {
+  const h = event.headers || {};
+  const host = h["x-forwarded-host"] || h.host;
+  return (process.env.URL || (host ? `https://${host}` : "")).replace(/\/$/, "");
+}
+
+function redirect(location) {
+  return { statusCode: 302, headers: { location, "cache-control": "no-store" }, body: "" };
+}
+
+function page(status, message) {
+  const text = String(message).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return {
+    statusCode: status,
+    headers: { "content-type": "text/html; charset=utf-8", "cache-control": "no-store" },
+    body: `<!doctype html><meta charset="utf-8"><title>docuProof</title>` +
+      `<p style="font-family:system-ui,sans-serif;max-width:32rem;margin:3rem auto">${text}</p>` +
+      `<p style="font-family:system-ui,sans-serif;max-width:32rem;margin:0 auto"><a href="/">docuProof.io</a></p>`,
+  };
+}
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+    },
+    body: JSON.stringify(body),
+  };
+}
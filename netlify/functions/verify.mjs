@@ -1,96 +1,41 @@
 // netlify/functions/verify.mjs
-// Robust, helper-free verification that probes multiple stores.
-// IMPORTANT: never calls obj.text()/obj.json(); always requests explicit types.
+// Receipt + anchor lookup through _db.js (primary store, then legacy stores).
+// When a receipt is found, it is decoded and checked against the stored hash
+// (see _ots.js) so the reported state is backed by the receipt itself.
+// Bitcoin attestations are then replayed from the document hash and compared
+// with the block header merkle roots from the header provider (_headers.js);
+// `verified` is true only when that check passes.
+// A file of a multi-file proof is checked through its own receipt: the batch
+// root's receipt with the file's merkle path grafted on (_batch.js).
+
+import { keys, getAnchor, getProof, ping } from "./_db.js";
+import { getProofReceipt } from "./_batch.js";
+import { verifyReceipt, verifyAgainstHeaders } from "./_ots.js";
+import { getBlockHeader } from "./_headers.js";
+import { STATES, normalize } from "./_anchor_state.js";
 
 export const handler = async (event) => {
   try {
     const id = (event.queryStringParameters?.id || "").trim();
     if (!id) return json(400, { ok: false, error: "missing ?id=" });
 
-    const siteID = (process.env.NETLIFY_SITE_ID || "").trim();
-    const token  = (process.env.NETLIFY_BLOBS_TOKEN || "").trim();
-    const primary = (process.env.BLOBS_STORE_NAME || "docuproof").trim();
+    const { authPath, primaryStore, legacyStores } = await ping();
+    const tried = [keys.receipt(id), keys.receiptLegacy(id)];
 
-    // The same discovery order your diag uses:
-    const STORES = [
-      primary,
-      "docuproof",
-      "ots",
-      "default",
-      "blobs",
-      "public",
-    ].filter(Boolean);
-
-    const keys = [
-      `ots/receipts/${id}.ots`,
-      `ots:${id}.receipt`,
-    ];
-
-    const { getStore } = await import("@netlify/blobs");
-
-    const probe = {};
-    let receipt = null;
-    let receiptKey = null;
-    let receiptFoundInStore = null;
-
-    // Helper: try to fetch in a type-safe way.
-    async function fetchAny(store, key) {
-      // Prefer bytes so we can measure length even for binary OTS files.
-      try {
-        const ab = await store.get(key, { type: "arrayBuffer" });
-        if (ab) return { kind: "Bytes", bytes: ab.byteLength, ab };
-      } catch (_) {}
-
-      // Next, try text.
-      try {
-        const txt = await store.get(key, { type: "text" });
-        if (typeof txt === "string") {
-          return { kind: "Text", bytes: Buffer.byteLength(txt, "utf8"), text: txt };
-        }
-      } catch (_) {}
-
-      // Finally, try JSON.
-      try {
-        const js = await store.get(key, { type: "json" });
-        if (js != null) {
-          const s = JSON.stringify(js);
-          return { kind: "JSON", bytes: Buffer.byteLength(s, "utf8"), json: js };
-        }
-      } catch (_) {}
-
-      return null;
-    }
-
-    // Probe both candidate keys across stores until we find one.
-    for (const key of keys) {
-      for (const name of STORES) {
-        const store = getStore({ name, siteID, token });
-        const res = await fetchAny(store, key);
-
-        probe[key] ||= {};
-        if (!res) {
-          probe[key][name] = { ok: false, bytes: 0 };
-          continue;
-        }
+    const base = {
+      ok: true,
+      id,
+      authPath,
+      primaryStore,
+      probedStores: [primaryStore, ...legacyStores],
+      tried,
+    };
 
-        probe[key][name] = { ok: true, bytes: res.bytes, kind: res.kind };
-        receipt = res;
-        receiptKey = key;
-        receiptFoundInStore = name;
-        break;
-      }
-      if (receipt) break;
-    }
+    const receipt = await getProofReceipt(id);
 
-    if (!receipt) {
+    if (!receipt.bytes) {
       return json(200, {
-        ok: true,
-        id,
-        authPath: "manual-blobs-token",
-        primaryStore: primary,
-        probedStores: STORES,
-        tried: keys,
-        probe,
+        ...base,
         receiptAvailable: false,
         receiptKey: null,
         receiptFoundInStore: null,
@@ -99,44 +44,42 @@ export const handler = async (event) => {
         txid: null,
         confirmations: 0,
         hash: null,
+        verified: false,
       });
     }
 
-    // Try to read the anchor sidecar JSON.
-    const anchorKey = `anchor:${id}.json`;
-    let anchor = null;
-    for (const name of STORES) {
-      const store = getStore({ name, siteID, token });
-      // Prefer JSON; fall back to text -> JSON.parse
-      try {
-        anchor = await store.get(anchorKey, { type: "json" });
-        if (anchor != null) break;
-      } catch (_) {
-        try {
-          const txt = await store.get(anchorKey, { type: "text" });
-          if (txt) {
-            try { anchor = JSON.parse(txt); break; } catch {}
-          }
-        } catch {}
-      }
+    const anchor = normalize(await getAnchor(receipt.anchorId), receipt.anchorId);
+
+    // The hash the receipt must commit to: anchor JSON first, then the proof record.
+    // (A batch member's anchor JSON holds the batch root, so only its record counts.)
+    let expectedHash = receipt.member ? null : anchor?.hash ?? null;
+    if (!expectedHash) {
+      const proof = await getProof(id).catch(() => null);
+      expectedHash = proof?.hash ?? null;
+    }
+
+    const verification = verifyReceipt(receipt.bytes, { hash: expectedHash });
+
+    let headerCheck = null;
+    if (verification.ok && verification.bitcoin.length > 0) {
+      headerCheck = await verifyAgainstHeaders(receipt.bytes, {
+        hash: expectedHash,
+        getHeader: getBlockHeader,
+      });
     }
 
     return json(200, {
-      ok: true,
-      id,
-      authPath: "manual-blobs-token",
-      primaryStore: primary,
-      probedStores: STORES,
-      tried: keys,
-      probe,
+      ...base,
       receiptAvailable: true,
-      receiptKey,
-      receiptFoundInStore,
-      anchorKey: anchor ? anchorKey : null,
-      state: anchor?.state || "OTS_RECEIPT",
+      receiptKey: receipt.key,
+      receiptFoundInStore: receipt.storeName,
+      anchorKey: anchor ? keys.anchor(receipt.anchorId) : null,
+      state: anchor?.state || STATES.CALENDAR_PENDING,
       txid: anchor?.txid ?? null,
       confirmations: anchor?.confirmations ?? 0,
-      hash: anchor?.hash ?? null,
+      hash: expectedHash,
+      verified: !!(verification.digestMatches && headerCheck?.verified),
+      verification: { ...verification, headers: headerCheck },
     });
   } catch (e) {
     return json(500, { ok: false, error: String(e?.message || e) });
@@ -152,4 +95,4 @@ function json(status, body) {
     },
     body: JSON.stringify(body),
   };
-}
\ No newline at end of file
+}
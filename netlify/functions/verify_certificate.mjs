@@ -0,0 +1,147 @@
+// netlify/functions/verify_certificate.mjs
+// Verify a certificate PDF on its own: POST the PDF (Content-Type
+// application/pdf) and the embedded manifest and .ots receipt (_bundle.js) are
+// extracted, the manifest's docuProof signature is checked (_signing.js), the
+// parts are checked against each other and, when the receipt is complete,
+// against the Bitcoin block headers (_headers.js). The anchor check needs
+// nothing from docuProof's store: the PDF is the whole proof. The signed
+// claims are also compared with the stored proof record, which flags
+// certificates that were altered or never issued.
+//
+//   POST                   → { ok, authentic, verified, signature, record, bundle: { ok, problems }, manifest, verification }
+//   POST ?extract=ots      → the embedded receipt, as <id>.ots
+//   POST ?extract=manifest → the embedded manifest JSON
+//   GET ?id=&sig=          → QR code check: { ok, authentic, reason, certificate, manifest, record }
+
+import { extractBundle, verifyBundle, MANIFEST_NAME } from "./_bundle.js";
+import { verifyAgainstHeaders } from "./_ots.js";
+import { getBlockHeader } from "./_headers.js";
+import { verifyManifestSignature, certificateIdOf } from "./_signing.js";
+import { getProof, getIssuedCertificate } from "./_db.js";
+
+// Netlify's request body ceiling, roughly
+const MAX_PDF_BYTES = 6 * 1024 * 1024;
+
+// Signed claims that must agree with the stored proof record
+const RECORD_FIELDS = [
+  ["hash", (p) => p.hash],
+  ["created", (p) => p.createdAt],
+  ["filename", (p) => p.filename || null],
+  ["displayName", (p) => p.displayName || null],
+];
+
+// { found, matches, mismatches: [field] } for a manifest against the stored record
+async function compareWithRecord(manifest) {
+  const proof = manifest && manifest.id ? await getProof(String(manifest.id)) : null;
+  if (!proof) return { found: false, matches: false, mismatches: [] };
+  const mismatches = RECORD_FIELDS
+    .filter(([field, of]) => (manifest[field] ?? null) !== (of(proof) ?? null))
+    .map(([field]) => field);
+  return { found: true, matches: mismatches.length === 0, mismatches };
+}
+
+async function checkQr(id, sig) {
+  const issued = await getIssuedCertificate(id, certificateIdOf(sig));
+  if (!issued || !issued.signature || issued.signature.value !== sig) {
+    return json(200, { ok: true, authentic: false, reason: "not_issued", certificate: null, manifest: null, record: null });
+  }
+  const signature = verifyManifestSignature(issued.manifest, issued.signature);
+  const record = await compareWithRecord(issued.manifest);
+  return json(200, {
+    ok: true,
+    authentic: signature.ok && record.matches,
+    reason: !signature.ok ? signature.reason : record.matches ? null : "record_mismatch",
+    certificate: { certId: issued.certId, issuedAt: issued.issuedAt, kid: issued.signature.kid, edition: issued.manifest.edition },
+    manifest: issued.manifest,
+    record,
+  });
+}
+
+export const handler = async (event) => {
+  if (event.httpMethod === "GET") {
+    const qp = event.queryStringParameters || {};
+    const id = (qp.id || "").trim();
+    const sig = (qp.sig || "").trim();
+    if (!id || !sig) return json(400, { ok: false, error: "id and sig are required (scan the certificate's QR code)" });
+    try {
+      return await checkQr(id, sig);
+    } catch (e) {
+      console.error("verify_certificate error:", e);
+      return json(500, { ok: false, error: String(e?.message || e) });
+    }
+  }
+  if (event.httpMethod !== "POST") return json(405, { ok: false, error: "POST the certificate PDF" });
+
+  const pdf = Buffer.from(event.body || "", event.isBase64Encoded ? "base64" : "binary");
+  if (!pdf.length) return json(400, { ok: false, error: "empty body: POST the certificate PDF" });
+  if (pdf.length > MAX_PDF_BYTES) return json(413, { ok: false, error: "PDF too large" });
+
+  try {
+    const extract = (event.queryStringParameters || {}).extract;
+    if (extract) return await download(pdf, extract);
+
+    const bundle = await verifyBundle(pdf);
+    let headers = null;
+    if (bundle.receiptCheck && bundle.receiptCheck.ok && bundle.receiptCheck.bitcoin.length > 0 && bundle.manifest) {
+      headers = await verifyAgainstHeaders(bundle.receipt, { hash: bundle.manifest.hash, getHeader: getBlockHeader });
+    }
+
+    const record = bundle.manifest ? await compareWithRecord(bundle.manifest) : { found: false, matches: false, mismatches: [] };
+    if (bundle.manifest && !record.found) bundle.problems.push("no docuProof proof record has this id");
+    for (const field of record.mismatches) bundle.problems.push(`signed ${field} differs from the proof record`);
+    const bundleOk = bundle.problems.length === 0;
+
+    return json(200, {
+      ok: true,
+      authentic: !!(bundle.signature.ok && record.matches),
+      verified: !!(bundleOk && headers && headers.verified),
+      signature: bundle.signature,
+      record,
+      bundle: { ok: bundleOk, problems: bundle.problems },
+      manifest: bundle.manifest,
+      verification: bundle.receiptCheck ? { ...bundle.receiptCheck, headers } : null,
+    });
+  } catch (e) {
+    if (e.code === "NOT_A_PDF" || e.code === "BAD_MANIFEST") return json(400, { ok: false, error: e.message });
+    console.error("verify_certificate error:", e);
+    return json(500, { ok: false, error: String(e?.message || e) });
+  }
+};
+
+async function download(pdf, what) {
+  const { manifest, receipt } = await extractBundle(pdf);
+  const id = manifest && manifest.id ? String(manifest.id).replace(/[^\w.-]/g, "_") : "docuproof";
+  if (what === "ots") {
+    if (!receipt) return json(404, { ok: false, error: "no .ots receipt embedded in this PDF" });
+    return file(receipt, "application/octet-stream", `${id}.ots`);
+  }
+  if (what === "manifest") {
+    if (!manifest) return json(404, { ok: false, error: "no docuProof manifest embedded in this PDF" });
+    return file(Buffer.from(JSON.stringify(manifest, null, 2)), "application/json", MANIFEST_NAME);
+  }
+  return json(400, { ok: false, error: 'extract must be "ots" or "manifest"' });
+}
+
+function file(bytes, contentType, name) {
+  return {
+    statusCode: 200,
+    headers: {
+      "content-type": contentType,
+      "content-disposition": `attachment; filename="${name}"`,
+      "cache-control": "no-store",
+    },
+    isBase64Encoded: true,
+    body: bytes.toString("base64"),
+  };
+}
+
+function json(status, body) {
+  return {
+    statusCode: status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+    },
+    body: JSON.stringify(body),
+  };
+}
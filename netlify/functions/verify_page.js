@@ -5,18 +5,35 @@
 //  - /.netlify/functions/anchor_status?id=...
 //  - /.netlify/functions/download_receipt?id=...
 //  - /.netlify/functions/download_receipt_json?id=...
+//  - /.netlify/functions/proofs_by_hash?hash=...   ("by file or hash" mode; ?hash= preselects it)
+//  - /.netlify/functions/verify_certificate         ("Check a certificate": a scanned QR code's
+//                                                   ?id=&sig=, or an uploaded certificate PDF)
+// The "Verify a file locally" panel hashes a dropped file and reads its .ots
+// receipt in the browser (_ots_browser.js); neither is sent to the server.
+// Language: ?lang=, else the best match for Accept-Language (_i18n.js); the
+// script's strings are passed down from the same catalog.
+// Proofs of Pro accounts with branding (_branding.js) show the owner's logo,
+// name and accent color; the checks themselves stay docuProof's.
+
+const { SCRIPT: OTS_SCRIPT } = require("./_ots_browser");
+const { normalizeLang, negotiateLang, translator, strings, listLangs } = require("./_i18n");
+const { themeForProof } = require("./_branding");
 
 exports.handler = async (event) => {
   const rawUrl = event.rawUrl || "http://x/";
+  const headers = event.headers || {};
   let initialId = "";
+  let lang = null;
 
   try {
     const url = new URL(rawUrl);
     const qsId = (url.searchParams.get("id") || "").trim();
     if (qsId) initialId = qsId;
+    lang = normalizeLang(url.searchParams.get("lang"));
   } catch {
     // ignore
   }
+  if (!lang) lang = negotiateLang(headers["accept-language"] || headers["Accept-Language"]);
 
   // Also support /v/:id or /verify/:id style paths
   if (!initialId && event.path) {
@@ -27,13 +44,26 @@ exports.handler = async (event) => {
     }
   }
 
-  const html = buildHtml(initialId);
+  // Accent contrast is worked out against the dark template, which this page matches
+  let brand = null;
+  if (initialId) {
+    try {
+      const theme = await themeForProof(initialId, { template: "dark" });
+      if (theme.branded) brand = theme;
+    } catch (e) {
+      console.warn("verify_page: branding lookup failed for", initialId, e.message);
+    }
+  }
+
+  const html = buildHtml(initialId, lang, brand);
 
   return {
     statusCode: 200,
     headers: {
       "content-type": "text/html; charset=utf-8",
       "cache-control": "no-store",
+      "content-language": lang,
+      vary: "Accept-Language",
     },
     body: html,
   };
@@ -47,14 +77,42 @@ function esc(s) {
     .replace(/"/g, "&quot;");
 }
 
-function buildHtml(initialId) {
+// Links to this page in each language, keeping the proof id
+function langLinks(initialId, lang) {
+  return listLangs()
+    .map(({ lang: l, name }) => {
+      const qs = new URLSearchParams({ ...(initialId ? { id: initialId } : {}), lang: l });
+      return l === lang ? `<strong>${esc(name)}</strong>` : `<a href="/verify?${esc(qs.toString())}" hreflang="${l}">${esc(name)}</a>`;
+    })
+    .join(" · ");
+}
+
+// Owner branding: accent override and an "issued by" strip with their logo
+function brandParts(brand, t) {
+  if (!brand) return { style: "", strip: "" };
+  const n = parseInt(brand.accent.slice(1), 16);
+  const style = `<style>:root{--accent:${brand.accent};--accent-rgb:${(n >> 16) & 255},${(n >> 8) & 255},${n & 255};}</style>`;
+  const logo = brand.logo && brand.logoType
+    ? `<img class="brand-logo" src="data:${brand.logoType};base64,${brand.logo.toString("base64")}" alt="${esc(brand.name)}" />`
+    : "";
+  const label = brand.name ? `<span>${esc(t("verify.brand.issuedBy", { name: brand.name }))}</span>` : "";
+  const strip = logo || label ? `<div class="brand-strip">${logo}${label}</div>` : "";
+  return { style, strip };
+}
+
+function buildHtml(initialId, lang, brand = null) {
   const initialEsc = esc(initialId);
+  const t = translator(lang);
+  const tx = (key, vars) => esc(t(key, vars));
+  const branding = brandParts(brand, t);
+  // Script strings; "<" escaped so catalog text cannot close the script element
+  const scriptStrings = JSON.stringify(strings(lang, "verify.js.")).replace(/</g, "\\u003c");
 
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${lang}">
 <head>
   <meta charset="utf-8" />
-  <title>Verify · docuProof</title>
+  <title>${tx("verify.title")}</title>
   <meta name="viewport" content="width=device-width, initial-scale=1" />
   <style>
     :root {
@@ -65,8 +123,9 @@ function buildHtml(initialId) {
       --text: #f7f9ff;
       --text-muted: #9aa4c4;
       --accent: #16ff70;
-      --accent-soft: rgba(22,255,112,0.12);
-      --accent-strong: rgba(22,255,112,0.32);
+      --accent-rgb: 22,255,112;
+      --accent-soft: rgba(var(--accent-rgb),0.12);
+      --accent-strong: rgba(var(--accent-rgb),0.32);
       --danger: #ff4d6a;
       --pill-bg: #050b1d;
       --pill-border: #252c45;
@@ -122,8 +181,8 @@ function buildHtml(initialId) {
       border-radius: 10px;
       background: radial-gradient(circle at 30% 0, #7bffb1 0, #16ff70 25%, #00c854 65%, #006634 100%);
       box-shadow:
-        0 0 20px rgba(22,255,112,0.6),
-        0 0 60px rgba(22,255,112,0.45);
+        0 0 20px rgba(var(--accent-rgb),0.6),
+        0 0 60px rgba(var(--accent-rgb),0.45);
       display: flex;
       align-items: center;
       justify-content: center;
@@ -194,16 +253,16 @@ function buildHtml(initialId) {
       background: var(--accent);
       color: #020513;
       border-color: transparent;
-      box-shadow: 0 0 18px rgba(22,255,112,0.35);
+      box-shadow: 0 0 18px rgba(var(--accent-rgb),0.35);
     }
 
     .btn-primary:hover {
       filter: brightness(1.02);
-      box-shadow: 0 0 24px rgba(22,255,112,0.5);
+      box-shadow: 0 0 24px rgba(var(--accent-rgb),0.5);
       transform: translateY(-0.5px);
     }
 .btn-outline:hover {
-  background: rgba(22,255,112,0.15);
+  background: rgba(var(--accent-rgb),0.15);
 }
 
 .pill:hover {
@@ -276,10 +335,10 @@ function buildHtml(initialId) {
     }
 
     .input:focus {
-      border-color: rgba(22,255,112,0.7);
+      border-color: rgba(var(--accent-rgb),0.7);
       box-shadow:
-        0 0 0 1px rgba(22,255,112,0.3),
-        0 0 24px rgba(22,255,112,0.22);
+        0 0 0 1px rgba(var(--accent-rgb),0.3),
+        0 0 24px rgba(var(--accent-rgb),0.22);
     }
 
     .btn-check {
@@ -291,7 +350,7 @@ function buildHtml(initialId) {
       font-size: 13px;
       font-weight: 550;
       padding: 10px 18px;
-      box-shadow: 0 0 18px rgba(22,255,112,0.4);
+      box-shadow: 0 0 18px rgba(var(--accent-rgb),0.4);
       cursor: pointer;
       white-space: nowrap;
       display: inline-flex;
@@ -301,7 +360,7 @@ function buildHtml(initialId) {
 
     .btn-check:hover {
       filter: brightness(1.03);
-      box-shadow: 0 0 24px rgba(22,255,112,0.6);
+      box-shadow: 0 0 24px rgba(var(--accent-rgb),0.6);
       transform: translateY(-0.5px);
     }
 
@@ -334,14 +393,14 @@ function buildHtml(initialId) {
 
     .status-pill-primary {
       border-color: var(--accent-strong);
-      background: radial-gradient(circle at 10% 0, rgba(22,255,112,0.5) 0,
+      background: radial-gradient(circle at 10% 0, rgba(var(--accent-rgb),0.5) 0,
                 rgba(5,12,32,0.95) 40%, #050814 100%);
       color: #d8ffe9;
     }
 
     .status-pill-primary .status-pill-dot {
       background: var(--accent);
-      box-shadow: 0 0 10px rgba(22,255,112,0.8);
+      box-shadow: 0 0 10px rgba(var(--accent-rgb),0.8);
     }
 
     .field-row {
@@ -444,7 +503,7 @@ function buildHtml(initialId) {
       gap: 7px;
       font-size: 12px;
       color: var(--text-muted);
-      background: radial-gradient(circle at left, rgba(22,255,112,0.17) 0,
+      background: radial-gradient(circle at left, rgba(var(--accent-rgb),0.17) 0,
                  rgba(11,18,40,0.96) 42%, #050817 100%);
     }
 
@@ -453,7 +512,54 @@ function buildHtml(initialId) {
       height: 8px;
       border-radius: 50%;
       background: var(--accent);
-      box-shadow: 0 0 10px rgba(22,255,112,0.9);
+      box-shadow: 0 0 10px rgba(var(--accent-rgb),0.9);
+    }
+
+    .panel-wide {
+      grid-column: 1 / -1;
+    }
+
+    .drop-zone {
+      margin-top: 16px;
+      padding: 22px 16px;
+      border-radius: var(--radius-lg);
+      border: 1px dashed rgba(255,255,255,0.18);
+      background: radial-gradient(circle at top left, #0c152e 0, #050b1c 40%, #020512 100%);
+      text-align: center;
+      font-size: 13px;
+      color: var(--text-muted);
+      cursor: pointer;
+      transition: border-color 0.12s ease, box-shadow 0.12s ease;
+    }
+
+    .drop-zone.drag-over {
+      border-color: rgba(var(--accent-rgb),0.7);
+      box-shadow: 0 0 24px rgba(var(--accent-rgb),0.22);
+    }
+
+    .sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+    }
+
+    .local-grid {
+      display: grid;
+      grid-template-columns: minmax(0, 1fr) minmax(0, 1fr);
+      column-gap: 20px;
+    }
+
+    .status-pill-danger {
+      border-color: rgba(255,77,106,0.5);
+      color: #ffd6de;
+    }
+
+    .status-pill-danger .status-pill-dot {
+      background: var(--danger);
+      box-shadow: 0 0 10px rgba(255,77,106,0.8);
     }
 
     .footer {
@@ -470,6 +576,9 @@ function buildHtml(initialId) {
       .panel {
         padding: 18px 16px 20px;
       }
+      .local-grid {
+        grid-template-columns: minmax(0, 1fr);
+      }
       body {
         padding-top: 22px;
       }
@@ -514,8 +623,24 @@ function buildHtml(initialId) {
   color: #ffffff;
   border-color: var(--accent);
 }
+
+    .brand-strip {
+      display: flex;
+      align-items: center;
+      gap: 14px;
+      margin: -8px 0 24px;
+      font-size: 13px;
+      color: var(--text-muted);
+    }
+
+    .brand-logo {
+      max-height: 40px;
+      max-width: 180px;
+      object-fit: contain;
+    }
  
  </style>
+  ${branding.style}
 </head>
 <body>
   <div class="page">
@@ -524,40 +649,74 @@ function buildHtml(initialId) {
         <div class="logo-glyph">dp</div>
         <div class="logo-text">
           <div class="logo-title">docuProof</div>
-          <div class="logo-sub">Proof you can point to.</div>
+          <div class="logo-sub">${tx("verify.tagline")}</div>
         </div>
       </div>
       <div class="header-actions">
-        <a id="nav-verify-link" href="/verify" class="btn-ghost">Verify</a>
-        <a href="/start" class="btn-primary">Start · Generate</a>
+        <a id="nav-verify-link" href="/verify" class="btn-ghost">${tx("verify.nav.verify")}</a>
+        <a href="/start" class="btn-primary">${tx("verify.nav.start")}</a>
       </div>
     </header>
+    ${branding.strip}
 
     <main class="layout">
       <section class="panel">
         <div class="verify-header">
-          <div class="panel-title">Check a timestamped proof</div>
+          <div class="panel-title">${tx("verify.check.title")}</div>
           <div class="panel-subtitle">
-            Paste the <strong>Proof ID</strong> from your docuProof certificate.
-            You'll see its anchor status on the Bitcoin blockchain and can download the underlying timestamp receipt.
+            ${t("verify.check.subtitleHtml")}
           </div>
         </div>
 
+        <div class="pill-row" style="margin-top:14px;">
+          <button id="mode-id" class="pill pill-pill active" type="button">${tx("verify.mode.id")}</button>
+          <button id="mode-hash" class="pill pill-pill" type="button">${tx("verify.mode.hash")}</button>
+        </div>
+
+        <form id="hash-form" hidden>
+          <div class="form-row">
+            <div class="form-label">${tx("verify.hash.label")}</div>
+            <div class="input-row">
+              <input
+                id="hash-input"
+                class="input"
+                type="text"
+                placeholder="${tx("verify.hash.placeholder")}"
+                autocomplete="off"
+                spellcheck="false"
+              />
+              <input id="hash-file" class="sr-only" type="file" />
+              <label for="hash-file" class="pill pill-pill">${tx("verify.hash.file")}</label>
+              <button class="btn-check" type="submit">
+                <span>●</span>
+                <span>${tx("verify.hash.submit")}</span>
+              </button>
+            </div>
+            <div class="field-value field-value-muted" id="hash-note" style="margin-top:6px;">
+              ${tx("verify.hash.note")}
+            </div>
+          </div>
+          <div class="field-row">
+            <div class="field-label">${tx("verify.hash.results")}</div>
+            <div class="field-value" id="hash-results">—</div>
+          </div>
+        </form>
+
         <form id="verify-form">
           <div class="form-row">
-            <div class="form-label">Proof ID</div>
+            <div class="form-label">${tx("verify.id.label")}</div>
             <div class="input-row">
               <input
                 id="proof-id-input"
                 class="input"
                 type="text"
-                placeholder="e.g. e2e-demo-001"
+                placeholder="${tx("verify.id.placeholder")}"
                 autocomplete="off"
                 value="${initialEsc}"
               />
               <button id="btn-check" class="btn-check" type="submit">
                 <span>●</span>
-                <span>Check status</span>
+                <span>${tx("verify.id.submit")}</span>
               </button>
             </div>
           </div>
@@ -566,83 +725,204 @@ function buildHtml(initialId) {
         <div class="status-pills">
           <div id="badge-anchor-state" class="status-pill status-pill-primary">
             <div class="status-pill-dot"></div>
-            <span>Waiting for a proof id</span>
+            <span>${tx("verify.js.waiting")}</span>
           </div>
           <div id="badge-anchor-id" class="status-pill">
-            <span>ANCHOR ID: —</span>
+            <span>${tx("verify.js.anchorId", { id: "—" })}</span>
           </div>
         </div>
 
         <div class="field-row">
-          <div class="field-label">Anchor state</div>
+          <div class="field-label">${tx("verify.field.state")}</div>
           <div class="field-value" id="anchor-state">—</div>
         </div>
 
         <div class="field-row">
-          <div class="field-label">Bitcoin txid</div>
+          <div class="field-label">${tx("verify.field.txid")}</div>
           <div class="field-value mono" id="bitcoin-txid">—</div>
         </div>
 
         <div class="field-row">
-          <div class="field-label">Confirmations</div>
+          <div class="field-label">${tx("verify.field.confirmations")}</div>
           <div class="field-value field-value-muted" id="confirmations">—</div>
         </div>
 
         <div class="field-row">
-          <div class="field-label">Receipt</div>
+          <div class="field-label">${tx("verify.field.receipt")}</div>
           <div class="pill-row">
-            <button id="btn-ots" class="pill pill-pill pill-disabled" disabled>OTS</button>
-            <button id="btn-anchor-receipt" class="pill pill-pill pill-disabled" disabled>anchor receipt</button>
-            <button id="btn-anchor-json" class="pill pill-pill pill-disabled" disabled>anchor metadata</button>
+            <button id="btn-ots" class="pill pill-pill pill-disabled" disabled>${tx("verify.receipt.ots")}</button>
+            <button id="btn-anchor-receipt" class="pill pill-pill pill-disabled" disabled>${tx("verify.receipt.anchor")}</button>
+            <button id="btn-anchor-json" class="pill pill-pill pill-disabled" disabled>${tx("verify.receipt.json")}</button>
           </div>
         </div>
 
         <div class="field-row">
-          <div class="field-label">What you're seeing</div>
+          <div class="field-label">${tx("verify.field.seeing")}</div>
           <div class="field-value field-value-muted">
-            docuProof stores your receipt and anchor metadata, and independently you can verify the txid
-            and Merkle inclusion on any Bitcoin blockchain explorer.
+            ${tx("verify.field.seeing.body")}
           </div>
         </div>
       </section>
 
       <section class="panel">
-        <div class="panel-right-title">How this verification works</div>
+        <div class="panel-right-title">${tx("verify.how.title")}</div>
         <div class="panel-right-body">
-          docuProof keeps your file private in your browser. What we store is a cryptographic fingerprint
-          (SHA-256 hash) and an OpenTimestamps receipt anchored to the Bitcoin blockchain.
+          ${tx("verify.how.body")}
         </div>
         <ul class="bullet-list">
-          <li><strong>Anchor state</strong> tells you whether your proof has been committed into a Bitcoin block.</li>
-          <li><strong>Bitcoin txid</strong> is the transaction you can inspect on any public Bitcoin explorer.</li>
-          <li><strong>OTS receipt</strong> is the portable proof file. You can independently verify it with the
-              open-source OpenTimestamps tools.</li>
+          <li>${t("verify.how.stateHtml")}</li>
+          <li>${t("verify.how.txidHtml")}</li>
+          <li>${t("verify.how.otsHtml")}</li>
         </ul>
         <div class="bullet-list" style="margin-top:18px;">
-          For strict evidentiary use, keep these together:
+          ${tx("verify.how.keep")}
           <ul class="bullet-list">
-            <li>Your original file (unchanged).</li>
-            <li>Your docuProof PDF certificate.</li>
-            <li>The downloaded <code>.ots</code> receipt file.</li>
+            <li>${tx("verify.how.keep.file")}</li>
+            <li>${tx("verify.how.keep.certificate")}</li>
+            <li>${t("verify.how.keep.receiptHtml")}</li>
           </ul>
         </div>
 
         <div class="note-row">
           <div class="note-dot"></div>
           <div>
-            The closer you are to the original anchor date, the harder it is to dispute when the file existed.
+            ${tx("verify.how.note")}
+          </div>
+        </div>
+      </section>
+
+      <section class="panel panel-wide">
+        <div class="verify-header">
+          <div class="panel-title">${tx("verify.local.title")}</div>
+          <div class="panel-subtitle">
+            ${t("verify.local.subtitleHtml")}
+          </div>
+        </div>
+
+        <label id="local-drop" class="drop-zone" for="local-files">
+          <input id="local-files" class="sr-only" type="file" multiple />
+          <span id="local-drop-text">${tx("verify.local.drop")}</span>
+        </label>
+
+        <div class="status-pills" style="margin-top:16px;">
+          <div id="badge-local" class="status-pill">
+            <div class="status-pill-dot"></div>
+            <span>${tx("verify.local.waiting")}</span>
+          </div>
+        </div>
+
+        <div class="local-grid">
+          <div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.local.file")}</div>
+              <div class="field-value" id="local-file-name">—</div>
+            </div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.local.fileDigest")}</div>
+              <div class="field-value mono" id="local-file-digest">—</div>
+            </div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.local.receiptDigest")}</div>
+              <div class="field-value mono" id="local-receipt-digest">—</div>
+            </div>
+          </div>
+          <div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.local.bitcoin")}</div>
+              <div class="field-value mono" id="local-bitcoin">—</div>
+            </div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.local.pending")}</div>
+              <div class="field-value field-value-muted" id="local-pending">—</div>
+            </div>
+          </div>
+        </div>
+
+        <div class="note-row">
+          <div class="note-dot"></div>
+          <div>
+            ${tx("verify.local.note")}
+          </div>
+        </div>
+      </section>
+
+      <section class="panel panel-wide">
+        <div class="verify-header">
+          <div class="panel-title">${tx("verify.cert.title")}</div>
+          <div class="panel-subtitle">
+            ${tx("verify.cert.subtitle")}
+          </div>
+        </div>
+
+        <label id="cert-drop" class="drop-zone" for="cert-files">
+          <input id="cert-files" class="sr-only" type="file" accept="application/pdf,.pdf" />
+          <span id="cert-drop-text">${tx("verify.cert.drop")}</span>
+        </label>
+
+        <div class="status-pills" style="margin-top:16px;">
+          <div id="badge-cert" class="status-pill">
+            <div class="status-pill-dot"></div>
+            <span>${tx("verify.cert.waiting")}</span>
+          </div>
+        </div>
+
+        <div class="local-grid">
+          <div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.cert.proofId")}</div>
+              <div class="field-value mono" id="cert-proof-id">—</div>
+            </div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.cert.names")}</div>
+              <div class="field-value" id="cert-names">—</div>
+            </div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.cert.hash")}</div>
+              <div class="field-value mono" id="cert-hash">—</div>
+            </div>
+          </div>
+          <div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.cert.signature")}</div>
+              <div class="field-value field-value-muted" id="cert-signature">—</div>
+            </div>
+            <div class="field-row">
+              <div class="field-label">${tx("verify.cert.problems")}</div>
+              <div class="field-value field-value-muted" id="cert-problems">—</div>
+            </div>
+          </div>
+        </div>
+
+        <div class="note-row">
+          <div class="note-dot"></div>
+          <div>
+            ${t("verify.cert.noteHtml")}
           </div>
         </div>
       </section>
     </main>
 
     <footer class="footer">
-      © 2025 docuProof.io — Bitcoin-anchored proof of existence.
+      ${tx("verify.footer")}
+      <div style="margin-top:6px;">${tx("verify.language")}: ${langLinks(initialId, lang)}</div>
     </footer>
   </div>
 
+  <script>${OTS_SCRIPT}</script>
   <script>
     (function () {
+      var LANG = "${lang}";
+      var T = ${scriptStrings};
+
+      // Catalog string "verify.js.<key>" with {name} placeholders filled in
+      function t(key, vars) {
+        var text = T["verify.js." + key];
+        if (text === undefined) return key;
+        return text.replace(/\\{(\\w+)\\}/g, function (m, name) {
+          return vars && vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m;
+        });
+      }
+
       function byId(id) { return document.getElementById(id); }
       var input = byId("proof-id-input");
       var btnCheck = byId("btn-check");
@@ -665,12 +945,17 @@ function buildHtml(initialId) {
       function setConfirmations(state, data) {
         if (!fieldConf) return;
         if (typeof data.confirmations === "number" && data.confirmations >= 0) {
-          setText(fieldConf, String(data.confirmations));
+          var conf = String(data.confirmations);
+          if (state === "CONFIRMED") {
+            conf = t("confirmed", { count: conf });
+          } else if (state === "ANCHORED" && typeof data.confirmationThreshold === "number") {
+            conf = t("ofRequired", { count: conf, required: data.confirmationThreshold });
+          }
+          setText(fieldConf, conf);
           return;
         }
-        if (state === "ANCHORED" && data.txid) {
-          fieldConf.textContent =
-            "Not tracked by docuProof — check confirmations in your Bitcoin explorer.";
+        if ((state === "ANCHORED" || state === "CONFIRMED") && data.txid) {
+          fieldConf.textContent = t("untracked");
         } else {
           fieldConf.textContent = "—";
         }
@@ -763,7 +1048,7 @@ function buildHtml(initialId) {
             '<div class="status-pill-dot"></div><span>Waiting for a proof id</span>';
         }
         if (badgeAnchorId) {
-          badgeAnchorId.innerHTML = "<span>ANCHOR ID: —</span>";
+          badgeAnchorId.innerHTML = "<span>" + t("anchorId", { id: "—" }) + "</span>";
         }
         setButtonsEnabled(currentId, false);
       }
@@ -777,14 +1062,13 @@ function buildHtml(initialId) {
 
         if (badgeState) {
           var label;
-          if (state === "ANCHORED") {
-            label = "Anchored on the Bitcoin blockchain";
-          } else if (state === "OTS_RECEIPT") {
-            label = "Receipt available — awaiting anchor";
-          } else if (state === "NOT_FOUND") {
-            label = "Proof not found";
+          if (state === "CONFIRMED" || state === "ANCHORED" || state === "CALENDAR_PENDING" ||
+              state === "QUEUED" || state === "FAILED" || state === "NOT_FOUND") {
+            label = t("state." + state);
+          } else if (state === "SUBMITTED" || state === "RETRYING") {
+            label = t("state.QUEUED");
           } else {
-            label = "Waiting for a proof id";
+            label = t("waiting");
           }
           badgeState.innerHTML =
             '<div class="status-pill-dot"></div><span>' + label + "</span>";
@@ -792,7 +1076,7 @@ function buildHtml(initialId) {
 
         if (badgeAnchorId) {
           var anchorLabel = data && data.anchorKey ? data.anchorKey : "—";
-          badgeAnchorId.innerHTML = "<span>ANCHOR ID: " + anchorLabel + "</span>";
+          badgeAnchorId.innerHTML = "<span>" + t("anchorId", { id: anchorLabel }) + "</span>";
         }
 
         setConfirmations(state, data || {});
@@ -800,14 +1084,14 @@ function buildHtml(initialId) {
       }
 
       function showError(msg) {
-        setText(fieldState, "ERROR");
+        setText(fieldState, t("error"));
         setText(fieldTxid, "—");
         if (fieldConf) {
-          fieldConf.textContent = msg || "Unable to load status.";
+          fieldConf.textContent = msg || t("unableToLoad");
         }
         if (badgeState) {
           badgeState.innerHTML =
-            '<div class="status-pill-dot"></div><span>Error loading status</span>';
+            '<div class="status-pill-dot"></div><span>' + t("errorLoading") + "</span>";
         }
         setButtonsEnabled(currentId, false);
       }
@@ -825,14 +1109,14 @@ function buildHtml(initialId) {
 
         setText(fieldState, "…");
         setText(fieldTxid, "…");
-        if (fieldConf) fieldConf.textContent = "Checking status…";
+        if (fieldConf) fieldConf.textContent = t("checkingStatus");
         setButtonsEnabled(id, false);
 
         fetch("/.netlify/functions/anchor_status?id=" + encodeURIComponent(id))
           .then(function (res) { return res.json(); })
           .then(function (data) {
             if (!data || data.ok === false) {
-              var msg = (data && data.error) || "Status not found.";
+              var msg = (data && data.error) || t("statusNotFound");
               showError(msg);
               return;
             }
@@ -840,7 +1124,7 @@ function buildHtml(initialId) {
           })
           .catch(function (err) {
             console.error("anchor_status error", err);
-            showError("Network error while loading status.");
+            showError(t("statusNetwork"));
           });
       }
 
@@ -860,6 +1144,413 @@ function buildHtml(initialId) {
         });
       }
 
+      // ————— find by file or hash (only the digest is sent) —————
+
+      var modeId = byId("mode-id");
+      var modeHash = byId("mode-hash");
+      var hashForm = byId("hash-form");
+      var hashInput = byId("hash-input");
+      var hashFile = byId("hash-file");
+      var hashNote = byId("hash-note");
+      var hashResults = byId("hash-results");
+
+      function setMode(mode) {
+        var byHash = mode === "hash";
+        if (form) form.hidden = byHash;
+        if (hashForm) hashForm.hidden = !byHash;
+        if (modeId) modeId.classList.toggle("active", !byHash);
+        if (modeHash) modeHash.classList.toggle("active", byHash);
+      }
+
+      function toHex(buf) {
+        var bytes = new Uint8Array(buf);
+        var out = "";
+        for (var i = 0; i < bytes.length; i++) out += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+        return out;
+      }
+
+      function renderProofList(data) {
+        if (!hashResults) return;
+        hashResults.textContent = "";
+        if (!data.proofs.length) {
+          hashResults.textContent = t("noProofs");
+          return;
+        }
+        data.proofs.forEach(function (p) {
+          var row = document.createElement("div");
+          row.className = "pill-row";
+          var btn = document.createElement("button");
+          btn.type = "button";
+          btn.className = "pill";
+          btn.textContent = p.id;
+          btn.onclick = function () {
+            setMode("id");
+            if (input) input.value = p.id;
+            fetchStatus(p.id);
+          };
+          var meta = document.createElement("span");
+          meta.className = "field-value-muted";
+          meta.textContent = [
+            p.state,
+            p.displayName,
+            p.createdAt ? "created " + p.createdAt.slice(0, 10) : null,
+            typeof p.blockHeight === "number" ? "block " + p.blockHeight : null,
+          ].filter(Boolean).join(" · ");
+          row.appendChild(btn);
+          row.appendChild(meta);
+          hashResults.appendChild(row);
+        });
+      }
+
+      function findByHash(hash) {
+        hash = String(hash || "").trim().toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(hash)) {
+          setText(hashResults, t("enterHash"));
+          return;
+        }
+        setText(hashResults, t("lookingUp"));
+        fetch("/.netlify/functions/proofs_by_hash?hash=" + encodeURIComponent(hash))
+          .then(function (res) { return res.json(); })
+          .then(function (data) {
+            if (!data || data.ok === false) {
+              setText(hashResults, (data && data.error) || t("lookupFailed"));
+              return;
+            }
+            renderProofList(data);
+          })
+          .catch(function (err) {
+            console.error("proofs_by_hash error", err);
+            setText(hashResults, t("lookupNetwork"));
+          });
+      }
+
+      if (modeId) modeId.addEventListener("click", function () { setMode("id"); });
+      if (modeHash) modeHash.addEventListener("click", function () { setMode("hash"); });
+
+      if (hashFile) {
+        hashFile.addEventListener("change", function () {
+          var file = hashFile.files && hashFile.files[0];
+          if (!file) return;
+          if (!window.crypto || !window.crypto.subtle) {
+            setText(hashResults, t("cannotHash"));
+            return;
+          }
+          setText(hashNote, t("hashing", { name: file.name }));
+          file.arrayBuffer()
+            .then(function (buf) { return window.crypto.subtle.digest("SHA-256", buf); })
+            .then(function (digest) {
+              var hex = toHex(digest);
+              if (hashInput) hashInput.value = hex;
+              setText(hashNote, file.name + " — hashed locally, contents not uploaded.");
+              findByHash(hex);
+            })
+            .catch(function (err) {
+              console.error("hash error", err);
+              setText(hashNote, t("cannotRead", { name: file.name }));
+            });
+          hashFile.value = "";
+        });
+      }
+
+      if (hashForm) {
+        hashForm.addEventListener("submit", function (e) {
+          e.preventDefault();
+          findByHash(hashInput && hashInput.value);
+        });
+      }
+
+      (function initHashMode() {
+        try {
+          var qsHash = (new URL(window.location.href).searchParams.get("hash") || "").trim();
+          if (qsHash && !currentId) {
+            setMode("hash");
+            if (hashInput) hashInput.value = qsHash;
+            findByHash(qsHash);
+          }
+        } catch (e) {
+          // ignore
+        }
+      })();
+
+      // ————— local receipt check (nothing leaves the browser) —————
+
+      var localDrop = byId("local-drop");
+      var localInput = byId("local-files");
+      var localDropText = byId("local-drop-text");
+      var badgeLocal = byId("badge-local");
+      var localFileName = byId("local-file-name");
+      var localFileDigest = byId("local-file-digest");
+      var localReceiptDigest = byId("local-receipt-digest");
+      var localBitcoin = byId("local-bitcoin");
+      var localPending = byId("local-pending");
+      var localFiles = { doc: null, ots: null };
+      var OTS_MAGIC = [0x00, 0x4f, 0x70, 0x65, 0x6e, 0x54, 0x69, 0x6d, 0x65]; // "\\0OpenTime"
+
+      function setLocalBadge(label, kind) {
+        if (!badgeLocal) return;
+        badgeLocal.className = "status-pill" + (kind ? " status-pill-" + kind : "");
+        badgeLocal.innerHTML = '<div class="status-pill-dot"></div><span></span>';
+        setText(badgeLocal.lastChild, label);
+      }
+
+      function setLines(el, lines) {
+        if (!el) return;
+        el.textContent = "";
+        if (!lines.length) {
+          el.textContent = "—";
+          return;
+        }
+        lines.forEach(function (line) {
+          var div = document.createElement("div");
+          div.textContent = line;
+          el.appendChild(div);
+        });
+      }
+
+      function readBytes(file) {
+        return new Promise(function (resolve, reject) {
+          var reader = new FileReader();
+          reader.onload = function () { resolve(new Uint8Array(reader.result)); };
+          reader.onerror = function () { reject(reader.error); };
+          reader.readAsArrayBuffer(file);
+        });
+      }
+
+      function isReceipt(file, bytes) {
+        if (/\\.ots$/i.test(file.name)) return true;
+        for (var i = 0; i < OTS_MAGIC.length; i++) {
+          if (bytes[i] !== OTS_MAGIC[i]) return false;
+        }
+        return true;
+      }
+
+      function clearLocalResult() {
+        setText(localFileDigest, "—");
+        setText(localReceiptDigest, "—");
+        setLines(localBitcoin, []);
+        setLines(localPending, []);
+      }
+
+      function renderLocal(result) {
+        if (!result.ok) {
+          clearLocalResult();
+          setLocalBadge(t("receiptUnreadable", { error: result.error }), "danger");
+          return;
+        }
+        setText(localFileDigest, result.hashOp.toUpperCase() + " " + result.fileDigest);
+        setText(localReceiptDigest, result.hashOp.toUpperCase() + " " + result.receiptDigest);
+        setLines(localBitcoin, result.bitcoin.map(function (b) {
+          return t("block", { height: b.height }) +
+            (b.merkleRoot ? " · " + t("merkleRoot", { root: b.merkleRoot }) : "") +
+            (b.txid ? " · " + t("txid", { txid: b.txid }) : "");
+        }));
+        setLines(localPending, result.pending);
+
+        if (!result.matches) {
+          setLocalBadge(t("receiptMismatch"), "danger");
+        } else if (result.complete) {
+          setLocalBadge(t("receiptAnchored"), "primary");
+        } else {
+          setLocalBadge(t("receiptPending"), "primary");
+        }
+      }
+
+      function checkLocal() {
+        setText(localFileName, localFiles.doc ? localFiles.doc.file.name : "—");
+        if (!localFiles.doc || !localFiles.ots) {
+          clearLocalResult();
+          setLocalBadge(localFiles.doc ? t("addReceipt") : t("addFile"));
+          return;
+        }
+        if (!window.DocuProofOTS || !window.crypto || !window.crypto.subtle) {
+          setLocalBadge(t("cannotVerify"), "danger");
+          return;
+        }
+        setLocalBadge(t("checking"));
+        window.DocuProofOTS.verify(localFiles.doc.bytes, localFiles.ots.bytes)
+          .then(renderLocal)
+          .catch(function (err) {
+            console.error("local verify error", err);
+            clearLocalResult();
+            setLocalBadge(t("checkFailed"), "danger");
+          });
+      }
+
+      function addLocalFiles(fileList) {
+        var files = Array.prototype.slice.call(fileList || []);
+        if (!files.length) return;
+        Promise.all(files.map(function (file) {
+          return readBytes(file).then(function (bytes) { return { file: file, bytes: bytes }; });
+        }))
+          .then(function (items) {
+            items.forEach(function (item) {
+              if (isReceipt(item.file, item.bytes)) {
+                localFiles.ots = item;
+              } else {
+                localFiles.doc = item;
+              }
+            });
+            if (localDropText) {
+              setText(localDropText,
+                (localFiles.doc ? localFiles.doc.file.name : t("noFile")) + " + " +
+                (localFiles.ots ? localFiles.ots.file.name : t("noReceipt")) +
+                " — drop again to replace either.");
+            }
+            checkLocal();
+          })
+          .catch(function (err) {
+            console.error("local read error", err);
+            setLocalBadge(t("dropFailed"), "danger");
+          });
+      }
+
+      if (localInput) {
+        localInput.addEventListener("change", function () {
+          addLocalFiles(localInput.files);
+          localInput.value = "";
+        });
+      }
+
+      if (localDrop) {
+        localDrop.addEventListener("dragover", function (e) {
+          e.preventDefault();
+          localDrop.classList.add("drag-over");
+        });
+        localDrop.addEventListener("dragleave", function () {
+          localDrop.classList.remove("drag-over");
+        });
+        localDrop.addEventListener("drop", function (e) {
+          e.preventDefault();
+          localDrop.classList.remove("drag-over");
+          addLocalFiles(e.dataTransfer && e.dataTransfer.files);
+        });
+      }
+
+      // ————— certificate check (QR signature or uploaded PDF) —————
+
+      var certDrop = byId("cert-drop");
+      var certInput = byId("cert-files");
+      var certDropText = byId("cert-drop-text");
+      var badgeCert = byId("badge-cert");
+      var certProofId = byId("cert-proof-id");
+      var certNames = byId("cert-names");
+      var certHash = byId("cert-hash");
+      var certSignature = byId("cert-signature");
+      var certProblems = byId("cert-problems");
+
+      var CERT_REASONS = {
+        not_issued: t("cert.not_issued"),
+        unsigned: t("cert.unsigned"),
+        unknown_key: t("cert.unknown_key"),
+        bad_signature: t("cert.bad_signature"),
+        record_mismatch: t("cert.record_mismatch"),
+      };
+
+      function formatTime(iso) {
+        var d = new Date(iso);
+        if (isNaN(d.getTime())) return iso;
+        try {
+          return d.toLocaleString(LANG, { dateStyle: "long", timeStyle: "medium", timeZone: "UTC" }) + " UTC";
+        } catch (e) {
+          return iso;
+        }
+      }
+
+      function setCertBadge(label, kind) {
+        if (!badgeCert) return;
+        badgeCert.className = "status-pill" + (kind ? " status-pill-" + kind : "");
+        badgeCert.innerHTML = '<div class="status-pill-dot"></div><span></span>';
+        setText(badgeCert.lastChild, label);
+      }
+
+      function renderCertificate(data) {
+        if (!data || data.ok === false) {
+          setCertBadge((data && data.error) || t("cert.failed"), "danger");
+          return;
+        }
+        var m = data.manifest || {};
+        var sig = data.signature || (data.certificate ? { ok: data.authentic, kid: data.certificate.kid } : null);
+        setText(certProofId, m.id || "—");
+        setText(certNames, m.id ? (m.filename || "—") + " / " + (m.displayName || "—") : "—");
+        setText(certHash, m.hash || "—");
+        setText(certSignature, sig && sig.kid
+          ? t("cert.key", { kid: sig.kid }) +
+            (data.certificate && data.certificate.issuedAt ? " — " + t("cert.issued", { time: formatTime(data.certificate.issuedAt) }) : "")
+          : "—");
+        var problems = (data.bundle && data.bundle.problems) || [];
+        setLines(certProblems, problems.length ? problems : [t("cert.none")]);
+
+        if (data.authentic) {
+          setCertBadge(t("cert.genuine"), "primary");
+        } else if (data.reason || (sig && sig.reason)) {
+          setCertBadge(CERT_REASONS[data.reason || sig.reason] || t("cert.notGenuine"), "danger");
+        } else {
+          setCertBadge(problems[0] || t("cert.notGenuine"), "danger");
+        }
+      }
+
+      function checkCertificateQr(id, sig) {
+        setCertBadge(t("cert.checkingSignature"));
+        fetch("/.netlify/functions/verify_certificate?id=" + encodeURIComponent(id) + "&sig=" + encodeURIComponent(sig))
+          .then(function (res) { return res.json(); })
+          .then(renderCertificate)
+          .catch(function (err) {
+            console.error("verify_certificate error", err);
+            setCertBadge(t("cert.network"), "danger");
+          });
+      }
+
+      function checkCertificatePdf(file) {
+        if (!file) return;
+        setText(certDropText, file.name);
+        setCertBadge("Checking the certificate…");
+        readBytes(file)
+          .then(function (bytes) {
+            return fetch("/.netlify/functions/verify_certificate", {
+              method: "POST",
+              headers: { "content-type": "application/pdf" },
+              body: bytes,
+            });
+          })
+          .then(function (res) { return res.json(); })
+          .then(renderCertificate)
+          .catch(function (err) {
+            console.error("verify_certificate error", err);
+            setCertBadge(t("cert.failed"), "danger");
+          });
+      }
+
+      if (certInput) {
+        certInput.addEventListener("change", function () {
+          checkCertificatePdf(certInput.files && certInput.files[0]);
+          certInput.value = "";
+        });
+      }
+
+      if (certDrop) {
+        certDrop.addEventListener("dragover", function (e) {
+          e.preventDefault();
+          certDrop.classList.add("drag-over");
+        });
+        certDrop.addEventListener("dragleave", function () {
+          certDrop.classList.remove("drag-over");
+        });
+        certDrop.addEventListener("drop", function (e) {
+          e.preventDefault();
+          certDrop.classList.remove("drag-over");
+          checkCertificatePdf(e.dataTransfer && e.dataTransfer.files && e.dataTransfer.files[0]);
+        });
+      }
+
+      (function initCertificateQr() {
+        try {
+          var sig = (new URL(window.location.href).searchParams.get("sig") || "").trim();
+          if (sig && currentId) checkCertificateQr(currentId, sig);
+        } catch (e) {
+          // ignore
+        }
+      })();
+
       // Initial render
       if (currentId) {
         fetchStatus(currentId);
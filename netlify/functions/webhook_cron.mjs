@@ -0,0 +1,28 @@
+// netlify/functions/webhook_cron.mjs
+// Scheduled webhook sender (schedule in netlify.toml): attempt every queued
+// delivery that is due (_webhooks.js processRetries). Anchor transitions only
+// queue deliveries, so this sends first attempts as well as retries whose
+// backoff has elapsed.
+//
+// Env:
+//   WEBHOOK_CRON_BATCH_LIMIT      deliveries per run (default 50)
+//   WEBHOOK_CRON_TIME_BUDGET_MS   stop starting new attempts after this long (default 20000)
+
+import { processRetries } from "./_webhooks.js";
+
+const BATCH_LIMIT = Number(process.env.WEBHOOK_CRON_BATCH_LIMIT || 50);
+const TIME_BUDGET_MS = Number(process.env.WEBHOOK_CRON_TIME_BUDGET_MS || 20_000);
+
+function json(status, body){
+  return { statusCode: status, headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) };
+}
+
+export const handler = async (_event)=>{
+  try{
+    const result = await processRetries({ limit: BATCH_LIMIT, budgetMs: TIME_BUDGET_MS });
+    return json(200, { ok:true, ...result });
+  }catch(e){
+    console.error("webhook_cron error:", e);
+    return json(500, { error: e.message });
+  }
+};
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// scripts/check_confirmations.js
+// Run confirmation counting (netlify/functions/_headers.js) against the static
+// "file" header provider and a headers fixture, without any network. Exits
+// non-zero when a check fails.
+//
+// The default fixture, scripts/fixtures/headers/chain.json, is a synthetic
+// chain: heights 812400–812405 with the tip at 812405; its hashes and merkle
+// roots are placeholders, not mainnet data.
+//
+// Usage:
+//   node scripts/check_confirmations.js [headers.json]
+//
+// Env:
+//   CONFIRMATION_THRESHOLD  as in _headers.js (default 6); the fixture is
+//                           checked against whatever threshold is set
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const file = path.resolve(process.argv[2] || path.join(__dirname, "fixtures/headers/chain.json"));
+
+// _headers.js reads its configuration when it is loaded
+process.env.BTC_HEADER_PROVIDER = "file";
+process.env.BTC_HEADERS_FILE = file;
+
+const {
+  CONFIRMATION_THRESHOLD,
+  getHeaderProvider,
+  getTipHeight,
+  getBlockHeader,
+  confirmationsAt,
+} = require("../netlify/functions/_headers");
+
+function ok(message) {
+  console.log(`ok - ${message}`);
+}
+
+async function main() {
+  const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+  const heights = fixture.headers.map((h) => h.height).sort((a, b) => a - b);
+
+  assert.strictEqual(getHeaderProvider().name, "file");
+  const tip = await getTipHeight();
+  assert.strictEqual(tip, fixture.tipHeight);
+  ok(`tip height ${tip} from ${path.relative(process.cwd(), file)}`);
+
+  for (const height of heights) {
+    const header = await getBlockHeader(height);
+    const want = fixture.headers.find((h) => h.height === height);
+    assert.deepStrictEqual(header, { height, hash: want.hash, merkleRoot: want.merkleRoot, time: want.time });
+
+    const confirmations = confirmationsAt(height, tip);
+    assert.strictEqual(confirmations, tip - height + 1);
+    const confirmed = confirmations >= CONFIRMATION_THRESHOLD;
+    ok(`block ${height}: ${confirmations} confirmation(s), ${confirmed ? "CONFIRMED" : "ANCHORED"}`);
+  }
+
+  assert.strictEqual(confirmationsAt(tip + 1, tip), 0);
+  assert.strictEqual(confirmationsAt(null, tip), 0);
+  ok("blocks above the tip and unknown heights have 0 confirmations");
+
+  await assert.rejects(getBlockHeader(heights[0] - 1), /no header for height/);
+  ok("heights missing from the fixture are rejected");
+
+  console.log(`all checks passed (threshold ${CONFIRMATION_THRESHOLD})`);
+}
+
+main().catch((e) => {
+  console.error(`not ok - ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// scripts/check_merkle_root.js
+// Run the merkle-root check (netlify/functions/_ots.js verifyAgainstHeaders)
+// on the bundled receipt fixture, through the static "file" header provider
+// (_headers.js), without any network. Exits non-zero when a check fails.
+//
+// Fixtures:
+//   anchor-demo-001.ots                            the demo receipt: calendar
+//                                                  attestations only (pending)
+//   scripts/fixtures/ots/anchor-demo-001.bitcoin.ots
+//                                                  the same receipt with its first
+//                                                  calendar branch completed by a
+//                                                  Bitcoin attestation at 812400
+//   scripts/fixtures/headers/anchor-demo-001.json  the header at 812400
+//
+// The Bitcoin branch and its header are synthetic (made-up transaction bytes,
+// merkle sibling and block hash), since the demo receipt was never upgraded;
+// they exercise the commitment replay and the root comparison, not mainnet.
+//
+// Usage:
+//   node scripts/check_merkle_root.js
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+
+const root = path.join(__dirname, "..");
+const headersFile = path.join(__dirname, "fixtures/headers/anchor-demo-001.json");
+
+// _headers.js reads its configuration when it is loaded
+process.env.BTC_HEADER_PROVIDER = "file";
+process.env.BTC_HEADERS_FILE = headersFile;
+
+const { deserialize, verifyAgainstHeaders } = require("../netlify/functions/_ots");
+const { getBlockHeader } = require("../netlify/functions/_headers");
+
+function ok(message) {
+  console.log(`ok - ${message}`);
+}
+
+async function main() {
+  const pending = fs.readFileSync(path.join(root, "anchor-demo-001.ots"));
+  const anchored = fs.readFileSync(path.join(__dirname, "fixtures/ots/anchor-demo-001.bitcoin.ots"));
+  // The receipt digest is the SHA-256 of the demo document
+  const hash = deserialize(pending).digest.toString("hex");
+  assert.strictEqual(deserialize(anchored).digest.toString("hex"), hash);
+
+  const pass = await verifyAgainstHeaders(anchored, { hash, getHeader: getBlockHeader });
+  assert.strictEqual(pass.verified, true);
+  assert.strictEqual(pass.checks.length, 1);
+  assert.strictEqual(pass.checks[0].height, 812400);
+  assert.strictEqual(pass.checks[0].matches, true);
+  assert.strictEqual(pass.checks[0].computedMerkleRoot, pass.checks[0].headerMerkleRoot);
+  ok(`merkle root ${pass.checks[0].computedMerkleRoot.slice(0, 16)}… matches block 812400`);
+
+  const { headers } = JSON.parse(fs.readFileSync(headersFile, "utf8"));
+  const otherRoot = async (height) => ({ ...(await getBlockHeader(height)), merkleRoot: "00".repeat(32) });
+  const wrongHeader = await verifyAgainstHeaders(anchored, { hash, getHeader: otherRoot });
+  assert.strictEqual(wrongHeader.verified, false);
+  assert.strictEqual(wrongHeader.checks[0].matches, false);
+  assert.strictEqual(wrongHeader.checks[0].computedMerkleRoot, headers[0].merkleRoot);
+  ok("a header with another merkle root fails");
+
+  const wrongHash = await verifyAgainstHeaders(anchored, { hash: "ff".repeat(32), getHeader: getBlockHeader });
+  assert.strictEqual(wrongHash.verified, false);
+  assert.strictEqual(wrongHash.checks[0].matches, false);
+  ok("another document hash fails (the commitment is replayed from the hash, not the receipt digest)");
+
+  const missing = await verifyAgainstHeaders(anchored, {
+    hash,
+    getHeader: () => Promise.reject(new Error("provider down")),
+  });
+  assert.strictEqual(missing.verified, false);
+  assert.match(missing.checks[0].error, /provider down/);
+  ok("an unavailable header is reported, not verified");
+
+  const unanchored = await verifyAgainstHeaders(pending, { hash, getHeader: getBlockHeader });
+  assert.strictEqual(unanchored.verified, false);
+  assert.deepStrictEqual(unanchored.checks, []);
+  ok("the pending-only demo receipt has nothing to verify");
+
+  console.log("all checks passed");
+}
+
+main().catch((e) => {
+  console.error(`not ok - ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// scripts/extract_certificate.js
+// Pull the .ots receipt and the JSON manifest back out of a docuProof
+// certificate PDF (see netlify/functions/_bundle.js) and check that they
+// belong together, without any network access or docuProof account.
+//
+// Usage:
+//   node scripts/extract_certificate.js certificate.pdf [--out <dir>] [--public-key <pem file | base64>]
+//
+// Writes <id>.ots and docuproof-manifest.json into --out (default: the PDF's
+// directory) and prints the bundle check. The manifest signature is checked
+// against --public-key (from /.netlify/functions/signing_keys), else against
+// DOCUPROOF_SIGNING_KEY / DOCUPROOF_SIGNING_RETIRED_KEYS when set.
+// Then, with the original file:
+//   ots verify <id>.ots -f <original file>
+
+const fs = require("fs");
+const path = require("path");
+const { verifyBundle, MANIFEST_NAME } = require("../netlify/functions/_bundle");
+const { trustedKeys } = require("../netlify/functions/_signing");
+
+function parseArgs(argv) {
+  const opts = { file: null, out: null, publicKey: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--out") opts.out = argv[++i];
+    else if (a === "--public-key") opts.publicKey = argv[++i];
+    else if (!opts.file) opts.file = a;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  if (!opts.file) {
+    throw new Error("Usage: node scripts/extract_certificate.js certificate.pdf [--out <dir>] [--public-key <pem file | base64>]");
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const outDir = opts.out || path.dirname(opts.file);
+  const keys = opts.publicKey
+    ? [{ publicKey: fs.existsSync(opts.publicKey) ? fs.readFileSync(opts.publicKey, "utf8") : opts.publicKey }]
+    : trustedKeys();
+  const bundle = await verifyBundle(fs.readFileSync(opts.file), { keys });
+
+  fs.mkdirSync(outDir, { recursive: true });
+  if (bundle.manifest) {
+    fs.writeFileSync(path.join(outDir, MANIFEST_NAME), JSON.stringify(bundle.manifest, null, 2) + "\n");
+    console.log(`wrote ${path.join(outDir, MANIFEST_NAME)}`);
+  }
+  if (bundle.receipt) {
+    const name = (bundle.manifest && bundle.manifest.receipt && bundle.manifest.receipt.name) || "receipt.ots";
+    fs.writeFileSync(path.join(outDir, path.basename(name)), bundle.receipt);
+    console.log(`wrote ${path.join(outDir, path.basename(name))}`);
+  }
+
+  const m = bundle.manifest || {};
+  const check = bundle.receiptCheck;
+  console.log(`proof:    ${m.id || "?"} (${m.edition || "?"} edition)`);
+  console.log(`sha256:   ${m.hash || "?"}`);
+  const sig = bundle.signature;
+  if (sig.ok) console.log(`signed:   docuProof key ${sig.kid}`);
+  else if (!sig.checked && sig.reason === "no_keys") console.log("signed:   not checked (pass --public-key, see /.netlify/functions/signing_keys)");
+  if (check && check.ok) {
+    console.log(`receipt:  ${check.complete ? `Bitcoin block ${check.bitcoin.map((b) => b.height).join(", ")}` : "pending at the calendars"}`);
+  }
+  if (bundle.ok) {
+    console.log("bundle:   OK — receipt matches the manifest and commits to its hash");
+  } else {
+    for (const p of bundle.problems) console.log(`problem:  ${p}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});